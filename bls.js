@@ -0,0 +1,167 @@
+// Box Least Squares transit search (Kovács, Zucker & Mazeh 2002) on a detrended, unfolded
+// light curve. For each trial period the series is folded into phase bins, and boxes of the
+// trial durations are slid across them; the signal residue
+//   SR = s² / (r·(1 − r))
+// of the best box, with r the fraction of points in transit and s the sum of their
+// mean-subtracted fluxes over the number of points, is the period's power.
+//
+// Trial durations scale with the duration a central transit would have at each period around
+// a star of the given density, so the grids stay small enough to search in the browser.
+
+// Points are averaged in bins of this many days before the search (two long cadences).
+const SEARCH_BIN = 2 * 29.4244 / 1440;
+// Trial durations as fractions of a central transit's; grazing and high-b transits are shorter.
+const DURATION_FACTORS = [0.4, 0.6, 0.85, 1.2];
+// Neighbouring trial periods of the coarse grid shift the last transit by this many central
+// durations over the baseline; the strongest peaks are then refined on a grid this many times
+// finer.
+const COARSE_STEP = 2;
+const REFINE_FACTOR = 16;
+const REFINED_PEAKS = 5;
+export const MIN_SEARCH_PERIOD = 0.5; // days
+// A box only counts when the baseline holds at least this many of its transits: periods up to
+// the baseline are searched, and beyond half of it only the epochs early enough for a second
+// transit are tried.
+export const MIN_TRANSITS = 2;
+
+const G_SOLAR = 2.959122e-4; // Gravitational constant in AU³ / (M☉ · day²)
+const R_SUN_AU = 1 / 215.032;
+
+// Duration (days) of a central transit at `period` for a star of the given mass and radius.
+export function centralDuration(period, { mass, radius }) {
+    const a = Math.cbrt(G_SOLAR * mass * period * period / (4 * Math.PI * Math.PI));
+    const aR = Math.max(1.5, a / (radius * R_SUN_AU));
+    return period / Math.PI * Math.asin(1 / aR);
+}
+
+// The longest trial period for a series spanning `baseline` days.
+export const longestSearchPeriod = (baseline) => baseline / (MIN_TRANSITS - 1);
+
+// Complete transits of an ephemeris { period, epoch, duration } between the first and last
+// points of `time`; the search cannot recover one with fewer than MIN_TRANSITS.
+export function transitsInBaseline(time, { period, epoch, duration }) {
+    const first = Math.ceil((time[0] + duration / 2 - epoch) / period);
+    const last = Math.floor((time[time.length - 1] - duration / 2 - epoch) / period);
+    return Math.max(0, last - first + 1);
+}
+
+// Duration of a central transit at the longest period searched in `time`; detrending for a
+// search must keep transits this long.
+export const longestSearchDuration = (time, star) => centralDuration(longestSearchPeriod(time[time.length - 1] - time[0]), star);
+
+// Means of consecutive SEARCH_BIN-day bins, so the search costs less per trial period.
+function binSeries(time, flux) {
+    const binned = { time: [], flux: [] };
+    let start = 0;
+    for (let i = 1; i <= time.length; i++) {
+        if (i < time.length && time[i] - time[start] < SEARCH_BIN) continue;
+        let sum = 0;
+        for (let j = start; j < i; j++) sum += flux[j];
+        binned.time.push((time[start] + time[i - 1]) / 2);
+        binned.flux.push(sum / (i - start));
+        start = i;
+    }
+    return { time: Float64Array.from(binned.time), flux: Float64Array.from(binned.flux) };
+}
+
+// Trial periods from `min` to `max`, evenly spaced in frequency with steps that shrink with
+// the central duration so that the last transit shifts by `step` durations between them.
+export function periodGrid(min, max, baseline, star, step = COARSE_STEP) {
+    const periods = [];
+    let period = max;
+    while (period >= min) {
+        periods.push(period);
+        period = 1 / (1 / period + step * centralDuration(period, star) / (baseline * period));
+    }
+    return periods.reverse();
+}
+
+// The strongest box at one trial period: { power, start, width, s, c, bins }, or null.
+function searchPeriod(series, period, star) {
+    const { offsets, centred, n, baseline } = series;
+    const central = centralDuration(period, star);
+    const bins = Math.max(8, Math.ceil(2 * period / (DURATION_FACTORS[0] * central)));
+    const sums = new Float64Array(bins);
+    const counts = new Float64Array(bins);
+    const frequency = 1 / period;
+    for (let i = 0; i < n; i++) {
+        const phase = offsets[i] * frequency;
+        const bin = ((phase - Math.floor(phase)) * bins) | 0;
+        sums[bin] += centred[i];
+        counts[bin]++;
+    }
+    let best = null;
+    DURATION_FACTORS.forEach(factor => {
+        const width = Math.max(1, Math.round(factor * central * bins / period));
+        if (width >= bins / 2) return;
+        // Slide the box across the bins, wrapping around phase 1, up to the last start that
+        // leaves MIN_TRANSITS transits in the baseline.
+        const lastStart = Math.min(bins - 1, Math.floor((baseline / period - (MIN_TRANSITS - 1)) * bins) - width);
+        let s = 0, c = 0;
+        for (let j = 0; j < width; j++) { s += sums[j]; c += counts[j]; }
+        for (let start = 0; start <= lastStart; start++) {
+            // Only dips count, and a box needs a couple of points.
+            if (s < 0 && c >= 2) {
+                const r = c / n;
+                const power = (s / n) * (s / n) / (r * (1 - r));
+                if (!best || power > best.power) best = { power, start, width, s, c, bins };
+            }
+            const entering = (start + width) % bins;
+            s += sums[entering] - sums[start];
+            c += counts[entering] - counts[start];
+        }
+    });
+    return best;
+}
+
+// The BLS periodogram of a detrended light curve around a star { mass, radius } (solar units).
+// Returns { periods, power, best } where `best` is the strongest box:
+//   { period, epoch, duration, depth, snr, power }
+// with `epoch` the mid-time of its first transit; best is null when nothing dips. The
+// periodogram is the coarse grid; the best period comes from refining its highest peaks.
+export function blsSearch(time, flux, star) {
+    const binned = binSeries(time, flux);
+    const n = binned.time.length;
+    const t0 = binned.time[0];
+    const baseline = binned.time[n - 1] - t0;
+    const mean = binned.flux.reduce((sum, f) => sum + f, 0) / n;
+    const centred = binned.flux.map(f => f - mean);
+    const sigma = Math.sqrt(centred.reduce((sum, f) => sum + f * f, 0) / n);
+    const series = { offsets: binned.time.map(t => t - t0), centred, n, baseline };
+
+    const periods = periodGrid(MIN_SEARCH_PERIOD, longestSearchPeriod(baseline), baseline, star);
+    const power = new Float64Array(periods.length);
+    periods.forEach((period, p) => { power[p] = searchPeriod(series, period, star)?.power ?? 0; });
+
+    // Refine around the highest local maxima of the coarse periodogram.
+    const peaks = [];
+    for (let p = 0; p < periods.length; p++) {
+        if (power[p] > 0 && power[p] >= (power[p - 1] ?? 0) && power[p] >= (power[p + 1] ?? 0)) peaks.push(p);
+    }
+    peaks.sort((a, b) => power[b] - power[a]);
+    let best = null;
+    peaks.slice(0, REFINED_PEAKS).forEach(p => {
+        const min = periods[Math.max(0, p - 1)], max = periods[Math.min(periods.length - 1, p + 1)];
+        periodGrid(min, max, baseline, star, COARSE_STEP / REFINE_FACTOR).forEach(period => {
+            const box = searchPeriod(series, period, star);
+            if (box && (!best || box.power > best.power)) best = { ...box, period };
+        });
+    });
+    if (!best) return { periods, power, best: null };
+
+    const { period, bins, start, width, s, c } = best;
+    const r = c / n;
+    const depth = -(s / n) / (r * (1 - r));
+    return {
+        periods,
+        power,
+        best: {
+            period,
+            epoch: t0 + (start + width / 2) / bins * period,
+            duration: width / bins * period,
+            depth,
+            snr: depth / sigma * Math.sqrt(c),
+            power: best.power,
+        },
+    };
+}
@@ -0,0 +1,367 @@
+// Catalog import for NASA Exoplanet Archive exports (CSV, IPAC table and VOTable XML).
+// Archive columns are mapped onto the same record shape used by the offline sample in
+// data.js, so the pipeline stages can consume imported catalogs unchanged.
+
+// --- RECORD SCHEMA ---
+export const CATALOG_FIELDS = {
+    pl_name:         { label: 'Planet Name', type: 'string', required: true },
+    pl_rade:         { label: 'Planet Radius', unit: 'R⊕', type: 'number', positive: true, required: true },
+    pl_insol:        { label: 'Insolation Flux', unit: 'F⊕', type: 'number', positive: true, required: true },
+    pl_orbper:       { label: 'Orbital Period', unit: 'days', type: 'number', positive: true, required: true },
+    pl_eqt:          { label: 'Equilibrium Temperature', unit: 'K', type: 'number', positive: true },
+    st_teff:         { label: 'Stellar Effective Temperature', unit: 'K', type: 'number', positive: true },
+    st_rad:          { label: 'Stellar Radius', unit: 'R☉', type: 'number', positive: true },
+    disc_facility:   { label: 'Discovery Facility', type: 'string' },
+    pl_masse:        { label: 'Planet Mass', unit: 'M⊕', type: 'number', positive: true },
+    pl_dens:         { label: 'Planet Density', unit: 'g/cm³', type: 'number', positive: true },
+    pl_orbsmax:      { label: 'Semi-Major Axis', unit: 'AU', type: 'number', positive: true },
+    st_mass:         { label: 'Stellar Mass', unit: 'M☉', type: 'number', positive: true },
+    st_lum:          { label: 'Stellar Luminosity', unit: 'L☉', type: 'number', positive: true },
+    sy_kepmag:       { label: 'Kepler Magnitude', unit: 'mag', type: 'number' },
+    disc_year:       { label: 'Discovery Year', type: 'number' },
+    discoverymethod: { label: 'Discovery Method', type: 'string' },
+};
+
+// Measured quantities may carry asymmetric uncertainties in the Archive convention:
+// `<field>err1` is the upper (+) error and `<field>err2` the lower (−, stored negative).
+export const UNCERTAINTY_FIELDS = Object.keys(CATALOG_FIELDS).filter(field => CATALOG_FIELDS[field].positive);
+
+export function errorFields(field) {
+    return [`${field}err1`, `${field}err2`];
+}
+
+// Where a row's values come from. Imported archive rows are always 'original'.
+export const PROVENANCE = {
+    original:  { label: 'Original', description: 'Published catalog values.' },
+    perturbed: { label: 'Perturbed copy', description: 'Randomized copy of a real planet; values are synthetic.' },
+    random:    { label: 'Random', description: 'Fully synthetic row drawn from random distributions.' },
+    injected:  { label: 'Injected candidate', description: 'Synthetic Earth-twin injected to test the pipeline.' },
+};
+
+// Alternative column names found in Archive tables (Planetary Systems, KOI cumulative).
+const COLUMN_ALIASES = {
+    pl_bmasse:  { field: 'pl_masse' },
+    kepoi_name: { field: 'pl_name' },
+    koi_prad:   { field: 'pl_rade' },
+    koi_insol:  { field: 'pl_insol' },
+    koi_period: { field: 'pl_orbper' },
+    koi_teq:    { field: 'pl_eqt' },
+    koi_steff:  { field: 'st_teff' },
+    koi_srad:   { field: 'st_rad' },
+    koi_smass:  { field: 'st_mass' },
+    koi_sma:    { field: 'pl_orbsmax' },
+    koi_kepmag: { field: 'sy_kepmag' },
+};
+
+// Converts archive units into the units used by CATALOG_FIELDS.
+// The Archive reports stellar luminosity as log10(L/L☉).
+const FIELD_TRANSFORMS = {
+    st_lum: (value) => Math.pow(10, value),
+};
+
+const NULL_TOKENS = new Set(['', 'null', 'nan', 'NaN', '--']);
+
+// --- FORMAT DETECTION ---
+export function detectCatalogFormat(text, fileName = '') {
+    const name = fileName.toLowerCase();
+    const head = text.trimStart().slice(0, 512);
+    if (name.endsWith('.xml') || name.endsWith('.vot') || name.endsWith('.votable') || head.startsWith('<?xml') || head.includes('<VOTABLE')) {
+        return 'votable';
+    }
+    if (name.endsWith('.tbl') || name.endsWith('.ipac') || head.startsWith('\\') || head.startsWith('|')) {
+        return 'ipac';
+    }
+    return 'csv';
+}
+
+// --- PARSERS ---
+// Every parser returns { columns, rows, comments } where rows are arrays of raw strings.
+
+export function parseCSV(text) {
+    const comments = [];
+    const rows = [];
+    let columns = null;
+
+    const splitLine = (line) => {
+        const cells = [];
+        let current = '';
+        let inQuotes = false;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (inQuotes) {
+                if (char === '"' && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                cells.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        cells.push(current);
+        return cells.map(c => c.trim());
+    };
+
+    text.split(/\r?\n/).forEach(line => {
+        if (line.startsWith('#')) {
+            comments.push(line.replace(/^#\s*/, ''));
+            return;
+        }
+        if (!line.trim()) return;
+        const cells = splitLine(line);
+        if (!columns) {
+            columns = cells;
+        } else {
+            rows.push(cells);
+        }
+    });
+
+    return { columns: columns || [], rows, comments };
+}
+
+export function parseIPAC(text) {
+    const comments = [];
+    const rows = [];
+    const headerLines = [];
+
+    text.split(/\r?\n/).forEach(line => {
+        if (line.startsWith('\\')) {
+            comments.push(line.replace(/^\\\s*/, ''));
+        } else if (line.startsWith('|')) {
+            headerLines.push(line);
+        } else if (line.trim() && headerLines.length > 0) {
+            rows.push(line);
+        }
+    });
+
+    if (headerLines.length === 0) {
+        return { columns: [], rows: [], comments };
+    }
+
+    // Column boundaries are given by the '|' positions in the first header line.
+    const header = headerLines[0];
+    const bounds = [];
+    for (let i = 0; i < header.length; i++) {
+        if (header[i] === '|') bounds.push(i);
+    }
+    const columns = [];
+    for (let i = 0; i < bounds.length - 1; i++) {
+        columns.push(header.slice(bounds[i] + 1, bounds[i + 1]).trim());
+    }
+
+    // The optional fourth header line declares the table's null token.
+    const nullLine = headerLines[3];
+    const nullTokens = nullLine
+        ? columns.map((_, i) => nullLine.slice(bounds[i] + 1, bounds[i + 1]).trim())
+        : [];
+
+    const parsedRows = rows.map(line => columns.map((_, i) => {
+        const cell = line.slice(bounds[i] + 1, bounds[i + 1] + 1).trim();
+        return cell === nullTokens[i] ? '' : cell;
+    }));
+
+    return { columns, rows: parsedRows, comments };
+}
+
+export function parseVOTable(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('VOTable is not well-formed XML.');
+    }
+    const table = doc.getElementsByTagName('TABLE')[0];
+    if (!table) {
+        throw new Error('VOTable contains no TABLE element.');
+    }
+
+    const columns = Array.from(table.getElementsByTagName('FIELD')).map(f => f.getAttribute('name') || f.getAttribute('ID') || '');
+    const rows = Array.from(table.getElementsByTagName('TR')).map(tr =>
+        Array.from(tr.getElementsByTagName('TD')).map(td => td.textContent.trim())
+    );
+    const comments = [
+        ...Array.from(doc.getElementsByTagName('INFO')).map(info => `${info.getAttribute('name') || ''} ${info.getAttribute('value') || ''} ${info.textContent}`.trim()),
+        ...Array.from(doc.getElementsByTagName('DESCRIPTION')).map(d => d.textContent.trim()),
+    ];
+
+    return { columns, rows, comments };
+}
+
+// --- SNAPSHOT DATE ---
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function findSnapshotDate(comments) {
+    const textDate = new RegExp(`\\b(${MONTHS.join('|')})[a-z]*\\s+(\\d{1,2})\\s+(?:[\\d:]+\\s+)?(?:[A-Z]{3,4}\\s+)?(\\d{4})\\b`);
+    const isoDate = /\b(\d{4})-(\d{2})-(\d{2})/;
+    for (const line of comments) {
+        const text = line.match(textDate);
+        if (text) {
+            return new Date(Date.UTC(Number(text[3]), MONTHS.indexOf(text[1]), Number(text[2]))).toISOString().slice(0, 10);
+        }
+        const iso = line.match(isoDate);
+        if (iso) {
+            return `${iso[1]}-${iso[2]}-${iso[3]}`;
+        }
+    }
+    return null;
+}
+
+// --- COLUMN MAPPING ---
+// Summarises a column -> field mapping: which columns are unused and which fields are unfilled.
+export function describeMapping(columns, mapping) {
+    const mappedFields = new Set(Object.values(mapping).filter(Boolean));
+    const unknownColumns = columns.filter(column => !mapping[column]);
+    const missingFields = Object.keys(CATALOG_FIELDS).filter(field => !mappedFields.has(field));
+    const missingRequired = missingFields.filter(field => CATALOG_FIELDS[field].required);
+    return { unknownColumns, missingFields, missingRequired };
+}
+
+// Maps archive column names (and known aliases) onto CATALOG_FIELDS.
+export function mapCatalogColumns(columns) {
+    const mapping = {};
+    const resolveField = (name) => CATALOG_FIELDS[name] ? name : COLUMN_ALIASES[name.toLowerCase()]?.field;
+
+    columns.forEach(column => {
+        const key = column.trim();
+        // Error columns: pl_radeerr1 (Archive), pl_rade_err1, koi_prad_err1 (KOI table)
+        const errorMatch = key.match(/^(.+?)_?err([12])$/i);
+        const errorBase = errorMatch && resolveField(errorMatch[1]);
+        if (errorBase && UNCERTAINTY_FIELDS.includes(errorBase)) {
+            mapping[column] = `${errorBase}err${errorMatch[2]}`;
+        } else if (CATALOG_FIELDS[key]) {
+            mapping[column] = key;
+        } else if (COLUMN_ALIASES[key.toLowerCase()]) {
+            const aliasField = COLUMN_ALIASES[key.toLowerCase()].field;
+            // A canonical column always wins over an alias for the same field.
+            if (!columns.includes(aliasField) && !Object.values(mapping).includes(aliasField)) {
+                mapping[column] = aliasField;
+            }
+        }
+    });
+
+    return { mapping, ...describeMapping(columns, mapping) };
+}
+
+function coerceValue(field, column, raw) {
+    if (raw == null || NULL_TOKENS.has(String(raw).trim())) return null;
+    if (CATALOG_FIELDS[field]?.type === 'string') return String(raw).trim();
+    const value = parseFloat(raw);
+    if (!Number.isFinite(value)) return null;
+    // Unit conversions only apply to the archive's own column names, not to user-mapped columns.
+    return column === field && FIELD_TRANSFORMS[field] ? FIELD_TRANSFORMS[field](value) : value;
+}
+
+export function buildRecords(columns, rows, mapping) {
+    return rows.map(row => {
+        const record = {};
+        Object.keys(CATALOG_FIELDS).forEach(field => { record[field] = null; });
+        columns.forEach((column, i) => {
+            const field = mapping[column];
+            if (field) record[field] = coerceValue(field, column, row[i]);
+        });
+        normalizeErrors(record, columns, mapping);
+        record.provenance = 'original';
+        return record;
+    });
+}
+
+// Enforces the err1 ≥ 0, err2 ≤ 0 convention (some exports give both as magnitudes)
+// and converts the Archive's luminosity errors from dex into L☉.
+function normalizeErrors(record, columns, mapping) {
+    const archiveLumErrors = columns.includes('st_lum') && mapping.st_lum === 'st_lum';
+    UNCERTAINTY_FIELDS.forEach(field => {
+        const [upperKey, lowerKey] = errorFields(field);
+        if (record[upperKey] == null && record[lowerKey] == null) return;
+        let upper = record[upperKey] != null ? Math.abs(record[upperKey]) : null;
+        let lower = record[lowerKey] != null ? -Math.abs(record[lowerKey]) : null;
+        if (field === 'st_lum' && archiveLumErrors && record.st_lum != null) {
+            if (upper != null) upper = record.st_lum * (Math.pow(10, upper) - 1);
+            if (lower != null) lower = record.st_lum * (Math.pow(10, lower) - 1);
+        }
+        // A single reported error is treated as symmetric.
+        record[upperKey] = upper ?? (lower != null ? -lower : null);
+        record[lowerKey] = lower ?? (upper != null ? -upper : null);
+    });
+}
+
+// --- ROW VALIDATION ---
+// Rejects rows that are physically impossible (negative radii, zero periods, ...) or
+// that would collide with another row, since the pipeline keys planets by name.
+export function validateRecords(records) {
+    const accepted = [];
+    const rejected = [];
+    const seenNames = new Set();
+
+    records.forEach((record, index) => {
+        const reasons = [];
+        Object.entries(CATALOG_FIELDS).forEach(([field, def]) => {
+            const value = record[field];
+            if (value == null) {
+                if (def.required) reasons.push(`${field} is missing`);
+                return;
+            }
+            if (def.positive && !(value > 0)) {
+                reasons.push(`${field} must be positive (got ${value})`);
+            }
+        });
+        if (record.pl_name != null) {
+            if (seenNames.has(record.pl_name)) {
+                reasons.push(`duplicate pl_name "${record.pl_name}"`);
+            }
+            seenNames.add(record.pl_name);
+        }
+
+        if (reasons.length > 0) {
+            // Row numbers are 1-based and exclude the header, matching what a spreadsheet shows.
+            rejected.push({ row: index + 1, name: record.pl_name || '(unnamed)', reasons });
+        } else {
+            accepted.push(record);
+        }
+    });
+
+    return { accepted, rejected };
+}
+
+// --- FINGERPRINT ---
+// FNV-1a over the catalog values, ignoring pipeline output and imputed fields' bookkeeping.
+export function hashCatalog(records) {
+    const text = JSON.stringify(records.map(({ analysis, imputed, ...record }) => record));
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// --- LOADER ---
+// Parses an archive export and maps it onto pipeline records. Missing required
+// fields are reported rather than thrown so the caller can decide how to react.
+export function loadCatalog(text, { fileName = 'catalog', lastModified = null } = {}) {
+    const format = detectCatalogFormat(text, fileName);
+    const parsers = { csv: parseCSV, ipac: parseIPAC, votable: parseVOTable };
+    const { columns, rows, comments } = parsers[format](text);
+
+    const { mapping, unknownColumns, missingFields, missingRequired } = mapCatalogColumns(columns);
+    const records = missingRequired.length === 0 ? buildRecords(columns, rows, mapping) : [];
+
+    const snapshotDate = findSnapshotDate(comments)
+        || (lastModified ? new Date(lastModified).toISOString().slice(0, 10) : null);
+
+    return {
+        meta: { name: fileName, format, snapshotDate, rowCount: rows.length },
+        columns,
+        rows,
+        mapping,
+        records,
+        unknownColumns,
+        missingFields,
+        missingRequired,
+    };
+}
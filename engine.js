@@ -0,0 +1,491 @@
+// The pipeline's analysis engine. Scoring runs the models behind each stage's metrics (see
+// METRIC_SOURCES); gating evaluates each stage's gate expression on those scores and the
+// thresholds. Scores do not depend on the thresholds, so a threshold change only re-gates.
+// Scoring has no DOM access so it can run in pipeline.worker.js. `ctx` is
+//   { settings: { thresholds, esiMetric, noise, lightCurveMode },
+//     models: { lc_cnn, spec_cnn, phi_mlp }, pipeline, lightCurves, realization, pointEstimates }
+// where `noise` lists the light-curve noise components (see photometry.js), `lightCurveMode`
+// is a LIGHT_CURVE_MODES id, `pipeline` is the compiled stage list (see pipeline.js), a null
+// model selects that metric's heuristic fallback, `lightCurves` holds imported light curves by
+// pl_name, `realization` (default 0, the nominal run) selects the random sequences used by
+// the stochastic steps and `pointEstimates` skips the ESI error-bar sampling.
+//
+// A planet's analysis is { scores: { [stageId]: ... }, gates: { [stageId]: ... } }. A stage is
+// scored only once a planet passes the stage before it, so later stages' scores may be missing.
+
+import { calculateESI, ESI_FIELDS, ESI_COMPONENTS } from './esi.js';
+import { evaluate, evaluateProbability } from './expressions.js';
+import { calculatePHI, calculateAtmosphericSimilarity } from './phi.js';
+import { MODEL_REGISTRY } from './models.js';
+import { computeRegisteredMetrics } from './metrics.js';
+import { normalizeLightCurve, LOCAL_VIEW_DURATIONS } from './lightcurves.js';
+import { transitParameters } from './transit.js';
+import { blsSearch, longestSearchDuration } from './bls.js';
+import { vetTransit, vettingStar } from './vetting.js';
+import { simulateLightCurve, detrend, detrendWindow, foldLocalView, KEPMAG_RANGE, QUARTER_DAYS, DEFAULT_NOISE } from './photometry.js';
+import { featureAmplitude, planetAtmosphereProps, forwardSpectrum, retrieveComposition, buildSpecInput } from './spectra.js';
+import { sampleMetric, samplePlanet, createNormal, summarizeSamples, quantileGrid, probabilityAtLeastFromGrid } from './uncertainty.js';
+import { UNCERTAINTY_FIELDS } from './catalog.js';
+import { createRandom } from './generator.js';
+
+export const DEFAULT_BATCH_SIZE = 250;
+export const DEFAULT_ROBUSTNESS_RUNS = 20;
+
+export function hashCode(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+        const char = str.charCodeAt(i);
+        hash = ((hash << 5) - hash) + char;
+        hash |= 0; // Convert to 32bit integer
+    }
+    return Math.abs(hash);
+}
+
+// Scrambles a hash so that nearby values seed unrelated sequences (murmur3's finalizer); the
+// LCG's first draws from seeds one apart are nearly equal.
+function mixSeed(hash) {
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+}
+
+// Every planet draws from its own sequence, so results do not depend on processing order.
+// Robustness realizations get sequences of their own; realization 0 is the nominal run.
+// SEED_SCHEME names this scheme in run manifests; change it whenever the seeds change.
+export const SEED_SCHEME = 'lcg:pl_name-hash:realization-murmur3-mix';
+const realizationSeed = (planet, realization, stream = '') => realization === 0 && !stream
+    ? hashCode(planet.pl_name)
+    : mixSeed(hashCode(`${planet.pl_name}#${realization}${stream}`));
+const planetRandom = (planet, realization = 0) => createRandom(realizationSeed(planet, realization));
+
+// Golden candidates are injected by the synthetic catalog generator.
+export function isIdealCandidate(planet) {
+    return planet.provenance === 'injected';
+}
+
+// 'model' when the named model's weights are loaded, otherwise 'fallback'.
+const modelSource = (ctx, id) => ctx.models[id] ? 'model' : 'fallback';
+
+// The planet's transit (see transit.js). Catalogs give no impact parameter, so it is drawn
+// uniformly from a sequence of its own, leaving the stage's sequence unchanged.
+export function planetTransit(planet, realization = 0) {
+    const impact = createRandom(realizationSeed(planet, realization, ':transit'))();
+    return transitParameters(planet, impact);
+}
+
+// The planet's unfolded light curve with the given noise components (see photometry.js). The
+// Kepler magnitude, when the catalog has none, the first transit and the noise are drawn from
+// a sequence of their own.
+export function simulatePlanetLightCurve(planet, transit, noise = DEFAULT_NOISE, realization = 0) {
+    const random = createRandom(realizationSeed(planet, realization, ':photometry'));
+    const kepmag = planet.sy_kepmag ?? KEPMAG_RANGE[0] + random() * (KEPMAG_RANGE[1] - KEPMAG_RANGE[0]);
+    // Within the first quarter, so that at least one transit is observed.
+    const epoch = random() * Math.min(transit.period, QUARTER_DAYS);
+    const lightCurve = simulateLightCurve(transit, { epoch, kepmag, teff: planet.st_teff || 5778, noise, random });
+    return { ...lightCurve, epoch, kepmag };
+}
+
+// How the LC stage finds the transit it folds for lc_cnn. Imported light curves are always
+// searched, since they come without an epoch. `batchSize` is the number of planets scored
+// between cancellation checks: a BLS search takes from half a second to several seconds per
+// planet, so search runs check after every one.
+export const LIGHT_CURVE_MODES = {
+    catalog: { label: 'Catalog ephemeris', description: 'Fold the simulated series on pl_orbper and its known first transit', batchSize: DEFAULT_BATCH_SIZE },
+    search:  { label: 'BLS search', description: 'Recover the period, epoch, depth and duration from the unfolded series with a BLS periodogram', batchSize: 1 },
+};
+export const DEFAULT_LIGHT_CURVE_MODE = 'catalog';
+
+// The light curve lc_cnn reads for a planet, `imported` or simulated, and the transit found in
+// it. In 'search' mode, or for an imported series, the series is detrended gently enough to
+// keep the longest transits searched, searched with BLS (see bls.js) and detrended again for
+// the transit found. The final detrend masks the transit it is folded on. Returns
+// { lightCurve, flux, ephemeris, search } with the detrended `flux`, the
+// { period, epoch, duration } to fold it on (null when the search found no dip) and the search
+// result (null on the catalog ephemeris).
+export function detectTransit(planet, transit, { noise = DEFAULT_NOISE, mode = DEFAULT_LIGHT_CURVE_MODE, imported = null, realization = 0 } = {}) {
+    const lightCurve = imported || simulatePlanetLightCurve(planet, transit, noise, realization);
+    const { time, breaks = [] } = lightCurve;
+    if (!imported && mode !== 'search') {
+        const ephemeris = { period: transit.period, epoch: lightCurve.epoch, duration: transit.duration };
+        return { lightCurve, flux: detrend(time, lightCurve.flux, detrendWindow(transit), breaks, ephemeris), ephemeris, search: null };
+    }
+    const star = { mass: planet.st_mass || 1, radius: planet.st_rad || 1 };
+    const searchFlux = detrend(time, lightCurve.flux, detrendWindow({ duration: longestSearchDuration(time, star) }), breaks);
+    const search = blsSearch(time, searchFlux, star);
+    if (!search.best) return { lightCurve, flux: searchFlux, ephemeris: null, search };
+    const { period, epoch, duration } = search.best;
+    const ephemeris = { period, epoch, duration };
+    return { lightCurve, flux: detrend(time, lightCurve.flux, detrendWindow(ephemeris), breaks, ephemeris), ephemeris, search };
+}
+
+// A detected transit's detrended light curve folded into lc_cnn's local view.
+export function generatePhaseFoldedLcData({ lightCurve, flux, ephemeris }, numPoints) {
+    return foldLocalView(lightCurve.time, flux, ephemeris, numPoints, LOCAL_VIEW_DURATIONS);
+}
+
+// The detection of a planet's transit, kept in the planet's `ctx.scratch` (see scorePlanet) so
+// that the LC score and the vetting share one simulated and searched light curve. A stage
+// scored later, from cached scores, detects it again.
+function planetDetection(planet, transit, ctx) {
+    const scratch = ctx.scratch ?? {};
+    if (scratch.transit !== transit) {
+        scratch.transit = transit;
+        scratch.detection = detectTransit(planet, transit, {
+            noise: ctx.settings.noise,
+            mode: ctx.settings.lightCurveMode,
+            imported: ctx.lightCurves?.[planet.pl_name],
+            realization: ctx.realization,
+        });
+    }
+    return scratch.detection;
+}
+
+async function runLcCNN(planet, transit, ctx, random) {
+    const model = ctx.models.lc_cnn;
+    if (!model) {
+        // Heuristic fallback when no weights are available: golden candidates score high and
+        // the rest skew low, so that roughly 20 candidates pass.
+        if (isIdealCandidate(planet)) {
+            return 0.95 + random() * 0.04;
+        }
+        return 0.1 + Math.pow(random(), 2.5) * 0.85;
+    }
+
+    const detection = planetDetection(planet, transit, ctx);
+    // A search that finds no dip leaves nothing to classify.
+    if (!detection.ephemeris) return 0;
+    const lcData = normalizeLightCurve(generatePhaseFoldedLcData(detection, MODEL_REGISTRY.lc_cnn.inputShape[0]));
+    const input = tf.tensor(lcData).reshape([1, ...MODEL_REGISTRY.lc_cnn.inputShape]);
+    const pred = model.predict(input);
+    const [score] = await pred.data();
+    tf.dispose([input, pred]);
+    return score;
+}
+
+// All ESI components with, for each, a credible interval and a quantile grid of the values
+// drawn from the catalog error bars; the grid lets any threshold be evaluated later.
+function scoreESI(planet) {
+    const esi = calculateESI(planet);
+    const samples = sampleMetric(planet, ESI_FIELDS, calculateESI, { seed: hashCode(planet.pl_name) });
+    esi.intervals = {};
+    esi.quantiles = {};
+    Object.keys(ESI_COMPONENTS).forEach(metric => {
+        const values = samples.map(sample => sample[metric]);
+        esi.intervals[metric] = summarizeSamples(values);
+        esi.quantiles[metric] = quantileGrid(values);
+    });
+    return esi;
+}
+
+// Heuristic composition for the companion decoder used when spec_cnn has no weights, and for
+// the spectra spec_cnn is trained on (scripts/train-models.js).
+export function heuristicComposition(planet, random) {
+    if (isIdealCandidate(planet)) {
+        // Give ideal candidates a very Earth-like atmosphere
+        return {
+            'H₂O': 1.0 + (random() - 0.5) * 0.5,
+            'O₂':  21 + (random() - 0.5) * 4,
+            'CO₂': 0.04 + (random() - 0.5) * 0.02,
+            'CH₄': 0.01 + (random() - 0.5) * 0.01,
+            'O₃':  0.01 + (random() - 0.5) * 0.01,
+            'SO₂': random() * 0.001,
+            'NH₃': random() * 0.001,
+            'CO':  random() * 0.001,
+        };
+    }
+    // Generate a random atmosphere for other planets
+    return {
+        'H₂O': random() * 10,
+        'O₂':  random() * 25,
+        'CO₂': random(),
+        'CH₄': random() * 0.1,
+        'O₃':  random() * 0.1,
+        'SO₂': random() * 0.1,
+        'NH₃': random() * 0.1,
+        'CO':  random() * 0.1,
+    };
+}
+
+// Predicted absorption spectrum (ppm on SPECTRUM_WAVELENGTHS) from spec_cnn, or from the
+// forward model of a heuristic composition with 5% noise when its weights are missing.
+async function runSpecCNN(planet, amplitude, ctx, random) {
+    const model = ctx.models.spec_cnn;
+    if (!model) {
+        const spectrum = forwardSpectrum(heuristicComposition(planet, random), amplitude);
+        return spectrum.map(v => Math.max(0, v + (random() - 0.5) * 0.05 * amplitude * 1e6));
+    }
+
+    const input = tf.tensor(buildSpecInput(planet)).reshape([1, ...MODEL_REGISTRY.spec_cnn.inputShape]);
+    const pred = model.predict(input);
+    const spectrum = Array.from(await pred.data());
+    tf.dispose([input, pred]);
+    return spectrum;
+}
+
+async function predictAtmosphereAndSimilarity(planet, ctx, random) {
+    const amplitude = featureAmplitude(planetAtmosphereProps(planet));
+    const spectrum = await runSpecCNN(planet, amplitude, ctx, random);
+    const composition = retrieveComposition(spectrum, amplitude);
+    return {
+        spectrum,
+        spectrumSource: modelSource(ctx, 'spec_cnn'),
+        composition,
+        earthSimilarity: calculateAtmosphericSimilarity(composition),
+    };
+}
+
+// Feature vector for phi_mlp; the order must match the one used in training.
+export function phiFeatures(planet, { esi, lcScore, earthSimilarity, phi }) {
+    return [
+        esi.global,
+        lcScore,
+        earthSimilarity,
+        phi.value,
+        Math.log10(planet.pl_rade || 1),
+        Math.log10(planet.pl_insol || 1),
+        (planet.pl_eqt || 255) / 1000,
+    ];
+}
+
+async function runPhiMLP(planet, inputs, ctx) {
+    const model = ctx.models.phi_mlp;
+    if (!model) {
+        // Heuristic fallback: blend the rule-based PHI with the earth similarity.
+        return inputs.phi.value * 0.6 + inputs.earthSimilarity * 0.4;
+    }
+
+    const input = tf.tensor2d([phiFeatures(planet, inputs)]);
+    const pred = model.predict(input);
+    const [likelihood] = await pred.data();
+    tf.dispose([input, pred]);
+    return likelihood;
+}
+
+// The scorers a pipeline config can name as a metric `source`. `score(planet, available, ctx,
+// random)` returns fields to merge into the stage's scores, given `available`, the fields scored
+// so far; `requires` lists the sources it reads, which are scored first if no earlier stage has.
+// `value(available, settings)` is the number gates compare. Uncertain sources also give
+// `probabilityAtLeast(available, settings, threshold)`, or null when there is no uncertainty.
+export const METRIC_SOURCES = {
+    esi: {
+        label: 'Earth Similarity Index',
+        requires: [],
+        score: async (planet, available, ctx) => ({ esi: ctx.pointEstimates ? calculateESI(planet) : scoreESI(planet) }),
+        value: ({ esi }, { esiMetric }) => esi[esiMetric],
+        probabilityAtLeast: ({ esi }, { esiMetric }, threshold) =>
+            esi.quantiles ? probabilityAtLeastFromGrid(esi.quantiles[esiMetric], threshold) : null,
+    },
+    lcScore: {
+        label: 'Light Curve CNN score',
+        requires: [],
+        score: async (planet, available, ctx, random) => {
+            const transit = planetTransit(planet, ctx.realization);
+            return { lcScore: await runLcCNN(planet, transit, ctx, random), lcSource: modelSource(ctx, 'lc_cnn'), transit };
+        },
+        value: ({ lcScore }) => lcScore,
+    },
+    // Robovetter-style tests of the transit found in the light curve (see vetting.js); any flag
+    // labels the planet a false positive. A search that found nothing leaves nothing to vet, and
+    // the heuristic LC score reads no light curve, so its planets are not vetted either.
+    vetting: {
+        label: 'False-positive vetting',
+        requires: ['lcScore'],
+        score: async (planet, { transit, lcSource }, ctx) => {
+            if (lcSource !== 'model') return { vetting: null };
+            const { lightCurve, flux, ephemeris } = planetDetection(planet, transit, ctx);
+            return { vetting: ephemeris ? { ephemeris, ...vetTransit(lightCurve.time, flux, ephemeris, vettingStar(planet)) } : null };
+        },
+        value: ({ vetting }) => vetting?.flags.length > 0 ? 1 : 0,
+    },
+    // Stage 2 predicts a transmission spectrum and retrieves the atmosphere from it
+    earthSimilarity: {
+        label: 'Predicted atmospheric Earth similarity',
+        requires: [],
+        score: (planet, available, ctx, random) => predictAtmosphereAndSimilarity(planet, ctx, random),
+        value: ({ earthSimilarity }) => earthSimilarity,
+    },
+    phi: {
+        label: 'Planetary Habitability Index',
+        requires: ['earthSimilarity'],
+        score: async (planet, { composition }) => ({ phi: calculatePHI(planet, composition) }),
+        value: ({ phi }) => phi.value,
+    },
+    // The PHI likelihood combines the rule-based PHI with the similarity score
+    phiLikelihood: {
+        label: 'PHI likelihood MLP',
+        requires: ['esi', 'lcScore', 'earthSimilarity', 'phi'],
+        score: async (planet, available, ctx) => ({ phiLikelihood: await runPhiMLP(planet, available, ctx), phiSource: modelSource(ctx, 'phi_mlp') }),
+        value: ({ phiLikelihood }) => phiLikelihood,
+    },
+};
+
+// A stage's scores: each of its sources in order, drawing on one random sequence per stage.
+export async function scoreStage(planet, stage, available, ctx) {
+    const random = planetRandom(planet, ctx.realization);
+    const scores = {};
+    for (const source of stage.sources) {
+        Object.assign(scores, await METRIC_SOURCES[source].score(planet, { ...available, ...scores }, ctx, random));
+    }
+    return scores;
+}
+
+// Metric values for one stage, in config order so derived metrics can use earlier ones.
+function metricValues(planet, stage, available, settings, pipeline, scope) {
+    const values = {};
+    stage.metrics.forEach(id => {
+        const metric = pipeline.metrics[id];
+        let value;
+        if (metric.source) value = METRIC_SOURCES[metric.source].value(available, settings);
+        else if (metric.registry) value = scope[metric.registry];
+        else value = evaluate(metric.expression, scope);
+        values[id] = value;
+        scope[id] = value;
+    });
+    return values;
+}
+
+// Names a gate can read before any stage metric: the catalog fields, the registered metrics
+// (metrics.js, null when skipped) and `thresholds.*`.
+const gateScope = (planet, settings) => ({ ...planet, ...computeRegisteredMetrics(planet).values, thresholds: settings.thresholds });
+
+// A stage's gate on the scores available to it. Names in the gate resolve to metrics, then
+// `thresholds.*`, then the registered metrics and the planet's catalog fields. `passProbability` treats the uncertain
+// metrics as distributions and everything else as exact.
+export function gateStage(planet, stage, available, settings, pipeline, scope = gateScope(planet, settings)) {
+    const values = metricValues(planet, stage, available, settings, pipeline, scope);
+    const probabilityAtLeast = (name, threshold) => {
+        const source = METRIC_SOURCES[pipeline.metrics[name]?.source];
+        return stage.metrics.includes(name) && source?.probabilityAtLeast ? source.probabilityAtLeast(available, settings, threshold) : null;
+    };
+    const passed = Boolean(evaluate(stage.gate, scope));
+    const passProbability = evaluateProbability(stage.gate, scope, probabilityAtLeast);
+    return { values, passed, passProbability };
+}
+
+// Gate decisions for a planet's scores, one per stage. A stage's gate is null when the planet
+// did not pass the stage before it, or passed it but has no scores for this stage yet.
+export function gatePlanet(planet, scores, settings, pipeline) {
+    const gates = {};
+    const scope = gateScope(planet, settings);
+    let available = {};
+    let reached = true;
+    pipeline.stages.forEach(stage => {
+        if (!reached || !scores[stage.id]) {
+            gates[stage.id] = null;
+            reached = false;
+            return;
+        }
+        available = { ...available, ...scores[stage.id] };
+        gates[stage.id] = gateStage(planet, stage, available, settings, pipeline, scope);
+        reached = gates[stage.id].passed;
+    });
+    return gates;
+}
+
+// The planet's gates as functions of the thresholds, by stage id: each re-evaluates the
+// stage's configured gate on the cached scores with `thresholds` in place of
+// settings.thresholds, so counts at other thresholds need no rescoring (see sensitivity.js).
+// A stage without scores has null.
+export function thresholdGates(planet, scores, settings, pipeline) {
+    const scope = gateScope(planet, settings);
+    const gates = {};
+    let available = {};
+    pipeline.stages.forEach(stage => {
+        if (!scores[stage.id]) {
+            gates[stage.id] = null;
+            return;
+        }
+        available = { ...available, ...scores[stage.id] };
+        metricValues(planet, stage, available, settings, pipeline, scope);
+        gates[stage.id] = (thresholds) => {
+            scope.thresholds = thresholds;
+            return Boolean(evaluate(stage.gate, scope));
+        };
+    });
+    return gates;
+}
+
+// Scores stages in order while the planet passes them under ctx.settings, starting from the
+// stages already in `scores`, which are kept. Sources share intermediate results through
+// `ctx.scratch`, which is dropped with the planet.
+export async function scorePlanet(planet, ctx, scores = {}) {
+    ctx = { ...ctx, scratch: {} };
+    const { settings, pipeline } = ctx;
+    const result = { ...scores };
+    const scope = gateScope(planet, settings);
+    let available = {};
+    for (const stage of pipeline.stages) {
+        if (!result[stage.id]) result[stage.id] = await scoreStage(planet, stage, available, ctx);
+        available = { ...available, ...result[stage.id] };
+        if (!gateStage(planet, stage, available, settings, pipeline, scope).passed) break;
+    }
+    return result;
+}
+
+// One robustness realization: the planet's catalog values are drawn from their error bars
+// and every stochastic step is reseeded. Point ESIs of the drawn values are gated, so no
+// ESI sampling is needed; later stages run only when the realization passes earlier ones.
+async function scoreRealization(planet, ctx, realization) {
+    const normal = createNormal(createRandom(realizationSeed(planet, realization, ':inputs')));
+    const drawn = samplePlanet(planet, UNCERTAINTY_FIELDS, normal);
+    const scores = await scorePlanet(drawn, { ...ctx, realization, pointEstimates: true });
+    return gatePlanet(drawn, scores, ctx.settings, ctx.pipeline);
+}
+
+// `runs` realizations of the whole pipeline for one planet under ctx.settings. `probability`
+// is the fraction in which the planet passed the last stage; `samples` hold each metric's
+// values by id, from the realizations that reached its stage.
+export async function scoreRobustness(planet, ctx, runs) {
+    const { stages } = ctx.pipeline;
+    const samples = Object.fromEntries(stages.flatMap(stage => stage.metrics.map(id => [id, []])));
+    let shortlisted = 0;
+    for (let realization = 1; realization <= runs; realization++) {
+        const gates = await scoreRealization(planet, ctx, realization);
+        stages.forEach(stage => {
+            Object.entries(gates[stage.id]?.values || {}).forEach(([id, value]) => samples[id].push(value));
+        });
+        if (gates[stages[stages.length - 1].id]?.passed) shortlisted++;
+    }
+    return { runs, probability: shortlisted / runs, samples };
+}
+
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Applies `score(item)` to `items` in batches. After each batch `onBatch(startIndex, results)`
+// is called and the event loop gets a turn, so cancellation messages can arrive;
+// `isCancelled()` is checked before each batch. Resolves to false if the run was cancelled.
+async function scoreInBatches(items, score, { batchSize = DEFAULT_BATCH_SIZE, onBatch, isCancelled = () => false } = {}) {
+    for (let start = 0; start < items.length; start += batchSize) {
+        if (isCancelled()) return false;
+        const batch = items.slice(start, start + batchSize);
+        const results = [];
+        for (const item of batch) {
+            results.push(await score(item));
+        }
+        onBatch?.(start, results);
+        await yieldToEventLoop();
+    }
+    return !isCancelled();
+}
+
+// Scores every planet; see scorePlanet().
+export function scoreCatalog(planets, ctx, options) {
+    return scoreInBatches(planets, planet => scorePlanet(planet, ctx), options);
+}
+
+// Scores for the stages that planets newly reach. `items` are { planet, scores } where scores
+// holds the planet's cached scores; only the newly scored stages are returned.
+export function scoreRemainingStages(items, ctx, options) {
+    return scoreInBatches(items, async ({ planet, scores }) => {
+        const result = await scorePlanet(planet, ctx, scores);
+        return Object.fromEntries(Object.entries(result).filter(([id]) => !scores[id]));
+    }, options);
+}
+
+// Robustness results for every planet; see scoreRobustness().
+export function scoreRobustnessCatalog(planets, ctx, runs, options) {
+    return scoreInBatches(planets, planet => scoreRobustness(planet, ctx, runs), options);
+}
@@ -0,0 +1,55 @@
+// Earth Similarity Index after Schulze-Makuch et al. (2011). Each property x is compared
+// to Earth's value x₀ as (1 - |(x - x₀) / (x + x₀)|)^w. The interior ESI combines radius and
+// bulk density, the surface ESI escape velocity and temperature; the global ESI is the
+// geometric mean of the two.
+
+// Earth reference values are 1 in catalog units except for temperature. The catalog has
+// equilibrium rather than surface temperatures, so Earth's equilibrium temperature is used.
+const EARTH_EQUILIBRIUM_TEMP = 255; // K
+const EARTH_DENSITY = 5.51;         // g/cm^3
+
+export const ESI_PARAMETERS = {
+    radius:         { label: 'Radius', weight: 0.57, fields: ['pl_rade'] },
+    density:        { label: 'Bulk Density', weight: 1.07, fields: ['pl_dens', 'pl_masse', 'pl_rade'] },
+    escapeVelocity: { label: 'Escape Velocity', weight: 0.70, fields: ['pl_masse', 'pl_rade'] },
+    temperature:    { label: 'Temperature', weight: 5.58, fields: ['pl_eqt', 'pl_insol'] },
+};
+
+export const ESI_COMPONENTS = {
+    global:   { label: 'Global ESI', parameters: ['radius', 'density', 'escapeVelocity', 'temperature'] },
+    interior: { label: 'Interior ESI', parameters: ['radius', 'density'] },
+    surface:  { label: 'Surface ESI', parameters: ['escapeVelocity', 'temperature'] },
+};
+
+// Catalog fields that feed any ESI component, for uncertainty propagation.
+export const ESI_FIELDS = [...new Set(Object.values(ESI_PARAMETERS).flatMap(p => p.fields))];
+
+function similarity(value, reference, weight) {
+    return Math.pow(1 - Math.abs((value - reference) / (value + reference)), weight);
+}
+
+// Values relative to Earth. Missing properties are derived from the others where possible
+// and otherwise fall back to Earth's, so a missing field never lowers the score.
+function relativeProperties(planet) {
+    const radius = planet.pl_rade || 1.0;
+    const mass = planet.pl_masse || (planet.pl_dens ? planet.pl_dens / EARTH_DENSITY * Math.pow(radius, 3) : Math.pow(radius, 3));
+    const density = planet.pl_dens ? planet.pl_dens / EARTH_DENSITY : mass / Math.pow(radius, 3);
+    const eqt = planet.pl_eqt || (planet.pl_insol ? EARTH_EQUILIBRIUM_TEMP * Math.pow(planet.pl_insol, 0.25) : EARTH_EQUILIBRIUM_TEMP);
+    return {
+        radius,
+        density,
+        escapeVelocity: Math.sqrt(mass / radius),
+        temperature: eqt / EARTH_EQUILIBRIUM_TEMP,
+    };
+}
+
+export function calculateESI(planet) {
+    const props = relativeProperties(planet);
+    const parameters = {};
+    Object.entries(ESI_PARAMETERS).forEach(([key, param]) => {
+        parameters[key] = similarity(props[key], 1, param.weight);
+    });
+    const interior = Math.sqrt(parameters.radius * parameters.density);
+    const surface = Math.sqrt(parameters.escapeVelocity * parameters.temperature);
+    return { parameters, interior, surface, global: Math.sqrt(interior * surface) };
+}
@@ -0,0 +1,181 @@
+// A small expression language for pipeline gates and derived metrics (see pipeline.json):
+// numbers, names (`esi`, `pl_rade`, `thresholds.esi`), arithmetic (+ - * /), comparisons
+// (>= > <= < == !=), logic (&& || !), parentheses and a few Math functions. Expressions
+// are parsed once into a plain-object AST, which can be posted to the pipeline worker.
+
+const FUNCTIONS = {
+    min: Math.min,
+    max: Math.max,
+    abs: Math.abs,
+    sqrt: Math.sqrt,
+    exp: Math.exp,
+    log10: Math.log10,
+    pow: Math.pow,
+};
+
+const TOKEN = /\s*(?:(\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+)|([A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*)|(>=|<=|==|!=|&&|\|\||[-+*\/()<>!,]))/y;
+
+function tokenize(source) {
+    const tokens = [];
+    TOKEN.lastIndex = 0;
+    while (TOKEN.lastIndex < source.length) {
+        if (/^\s*$/.test(source.slice(TOKEN.lastIndex))) break;
+        const at = TOKEN.lastIndex;
+        const match = TOKEN.exec(source);
+        if (!match) throw new Error(`Unexpected character at position ${at} in "${source}"`);
+        const [, number, name, op] = match;
+        if (number != null) tokens.push({ type: 'number', value: parseFloat(number) });
+        else if (name != null) tokens.push({ type: 'name', value: name });
+        else tokens.push({ type: 'op', value: op });
+    }
+    return tokens;
+}
+
+export function parseExpression(source) {
+    const tokens = tokenize(source);
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const isOp = (...ops) => peek()?.type === 'op' && ops.includes(peek().value);
+    const expect = (op) => {
+        if (!isOp(op)) throw new Error(`Expected "${op}" in "${source}"`);
+        pos++;
+    };
+    // Left-associative binary level: next (op next)*
+    const binary = (next, ...ops) => () => {
+        let left = next();
+        while (isOp(...ops)) {
+            const op = tokens[pos++].value;
+            left = { type: 'binary', op, left, right: next() };
+        }
+        return left;
+    };
+
+    const primary = () => {
+        const token = tokens[pos++];
+        if (!token) throw new Error(`Unexpected end of "${source}"`);
+        if (token.type === 'number') return { type: 'number', value: token.value };
+        if (token.type === 'name') {
+            if (!isOp('(')) return { type: 'name', path: token.value.split('.') };
+            if (!FUNCTIONS[token.value]) throw new Error(`Unknown function "${token.value}" in "${source}"`);
+            pos++;
+            const args = [];
+            if (!isOp(')')) {
+                args.push(or());
+                while (isOp(',')) {
+                    pos++;
+                    args.push(or());
+                }
+            }
+            expect(')');
+            return { type: 'call', name: token.value, args };
+        }
+        if (token.value === '(') {
+            const inner = or();
+            expect(')');
+            return inner;
+        }
+        throw new Error(`Unexpected "${token.value}" in "${source}"`);
+    };
+    const unary = () => {
+        if (isOp('-', '!')) {
+            const op = tokens[pos++].value;
+            return { type: 'unary', op, arg: unary() };
+        }
+        return primary();
+    };
+    const multiplicative = binary(unary, '*', '/');
+    const additive = binary(multiplicative, '+', '-');
+    const comparison = binary(additive, '>=', '<=', '>', '<', '==', '!=');
+    const and = binary(comparison, '&&');
+    const or = binary(and, '||');
+
+    const ast = or();
+    if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].value}" in "${source}"`);
+    return ast;
+}
+
+const lookup = (scope, path) => path.reduce((value, key) => value?.[key], scope);
+
+// Missing values propagate as NaN, so any comparison with them fails.
+export function evaluate(ast, scope) {
+    switch (ast.type) {
+        case 'number': return ast.value;
+        case 'name': return lookup(scope, ast.path) ?? NaN;
+        case 'call': return FUNCTIONS[ast.name](...ast.args.map(arg => evaluate(arg, scope)));
+        case 'unary': {
+            const value = evaluate(ast.arg, scope);
+            return ast.op === '-' ? -value : !value;
+        }
+        case 'binary': {
+            if (ast.op === '&&') return Boolean(evaluate(ast.left, scope)) && Boolean(evaluate(ast.right, scope));
+            if (ast.op === '||') return Boolean(evaluate(ast.left, scope)) || Boolean(evaluate(ast.right, scope));
+            const left = evaluate(ast.left, scope), right = evaluate(ast.right, scope);
+            switch (ast.op) {
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/': return left / right;
+                case '>=': return left >= right;
+                case '<=': return left <= right;
+                case '>': return left > right;
+                case '<': return left < right;
+                case '==': return left === right;
+                case '!=': return left !== right;
+            }
+        }
+    }
+    throw new Error(`Unknown expression node "${ast.type}"`);
+}
+
+// Probability that a boolean expression holds when some names are uncertain. `probabilityAtLeast
+// (name, threshold)` returns P(name ≥ threshold), or null when the name is not uncertain.
+// A comparison between an uncertain name and a certain value becomes that probability;
+// && and || combine probabilities as if independent; everything else evaluates to 0 or 1.
+export function evaluateProbability(ast, scope, probabilityAtLeast) {
+    if (ast.type === 'unary' && ast.op === '!') return 1 - evaluateProbability(ast.arg, scope, probabilityAtLeast);
+    if (ast.type === 'binary') {
+        if (ast.op === '&&' || ast.op === '||') {
+            const p = evaluateProbability(ast.left, scope, probabilityAtLeast);
+            const q = evaluateProbability(ast.right, scope, probabilityAtLeast);
+            return ast.op === '&&' ? p * q : p + q - p * q;
+        }
+        for (const bound of comparisonBounds(ast)) {
+            const p = probabilityAtLeast(bound.name, evaluate(bound.value, scope));
+            if (p != null) return bound.atLeast ? p : 1 - p;
+        }
+    }
+    return evaluate(ast, scope) ? 1 : 0;
+}
+
+// Readings of a comparison as `name >= value` or `name <= value`, one per side that is a
+// name: the name, the other side and whether the name must be at least the value. Strict
+// and non-strict comparisons are treated alike, as for continuous quantities.
+function comparisonBounds(ast) {
+    const atLeast = { '>=': true, '>': true, '<=': false, '<': false };
+    if (!(ast.op in atLeast)) return [];
+    const bounds = [];
+    if (ast.left.type === 'name') bounds.push({ name: ast.left.path.join('.'), value: ast.right, atLeast: atLeast[ast.op] });
+    if (ast.right.type === 'name') bounds.push({ name: ast.right.path.join('.'), value: ast.left, atLeast: !atLeast[ast.op] });
+    return bounds;
+}
+
+// Every name the expression reads.
+export function expressionNames(ast) {
+    switch (ast.type) {
+        case 'name': return [ast.path.join('.')];
+        case 'call': return ast.args.flatMap(expressionNames);
+        case 'unary': return expressionNames(ast.arg);
+        case 'binary': return [...expressionNames(ast.left), ...expressionNames(ast.right)];
+        default: return [];
+    }
+}
+
+// Names compared directly against a threshold, e.g. { esi: { threshold: 'esi', atLeast: true } }
+// for `esi >= thresholds.esi`.
+export function gatedThresholds(ast) {
+    if (ast.type !== 'binary') return {};
+    if (ast.op === '&&' || ast.op === '||') return { ...gatedThresholds(ast.left), ...gatedThresholds(ast.right) };
+    const bound = comparisonBounds(ast).find(b => b.value.type === 'name' && b.value.path[0] === 'thresholds');
+    if (!bound) return {};
+    return { [bound.name]: { threshold: bound.value.path[1], atLeast: bound.atLeast } };
+}
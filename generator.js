@@ -0,0 +1,245 @@
+// Configurable synthetic catalog generator. Expands the seed records in data.js into a
+// large candidate list for teaching and stress testing. Output is fully determined by
+// the configuration: the same config always yields the same catalog.
+
+import { basePlanetData, goldenCandidates } from './data.js';
+
+export const DISTRIBUTIONS = {
+    'uniform': { label: 'Uniform', params: [] },
+    // min + u^exponent * (max - min): exponents above 1 concentrate values near min.
+    'power-law': { label: 'Power-law', params: [{ key: 'exponent', label: 'Exponent' }] },
+    // exp(N(ln median, sigma)), clamped to [min, max].
+    'log-normal': { label: 'Log-normal', params: [{ key: 'median', label: 'Median' }, { key: 'sigma', label: 'σ (ln)' }] },
+};
+
+// Field ranges and distributions for the filler candidates.
+const DEFAULT_FIELDS = {
+    pl_rade:    { dist: 'power-law', min: 0.4, max: 25, exponent: 2.5 },     // Earth radii
+    pl_insol:   { dist: 'power-law', min: 0.1, max: 1500, exponent: 2 },     // Earth flux
+    pl_orbper:  { dist: 'power-law', min: 0.5, max: 1200, exponent: 2 },     // days
+    pl_eqt:     { dist: 'power-law', min: 80, max: 2800, exponent: 2 },      // Kelvin
+    st_teff:    { dist: 'power-law', min: 2400, max: 10000, exponent: 2 },   // Kelvin
+    st_rad:     { dist: 'power-law', min: 0.1, max: 10, exponent: 2.5 },     // Solar radii
+    pl_masse:   { dist: 'power-law', min: 0.1, max: 1000, exponent: 2.5 },   // Earth masses
+    pl_dens:    { dist: 'power-law', min: 0.3, max: 20, exponent: 2 },       // g/cm^3
+    pl_orbsmax: { dist: 'power-law', min: 0.01, max: 8, exponent: 2 },       // AU
+    st_mass:    { dist: 'power-law', min: 0.08, max: 8, exponent: 2.5 },     // Solar masses
+    st_lum:     { dist: 'power-law', min: 0.001, max: 500, exponent: 2 },    // Solar luminosity
+};
+
+// These defaults reproduce the original 1500-planet offline catalog, except that the
+// seed records now keep their published values instead of being randomized.
+export const DEFAULT_GENERATOR_CONFIG = {
+    size: 1500,
+    seed: 12345,
+    perturbedCopies: 4,   // randomized copies of each seed record (names suffixed -1..-4)
+    randomVariants: 50,   // K-RAND-* rows: seed star, random planet
+    goldenCount: 2,       // Earth-twin candidates appended at the end
+    fields: DEFAULT_FIELDS,
+    // Symmetric 1σ errors, as a fraction of the value, given to synthetic rows. Roughly
+    // Kepler DR25-like precision; seed records keep the (absent) errors of data.js.
+    errorFractions: { pl_rade: 0.08, pl_insol: 0.15, pl_eqt: 0.05, st_teff: 0.02, st_rad: 0.05, pl_masse: 0.25, st_mass: 0.05 },
+};
+
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+function sampleField(field, spec, random) {
+    const { min, max } = spec;
+    switch (spec.dist) {
+        case 'uniform':
+            return min + random() * (max - min);
+        case 'log-normal': {
+            const median = spec.median ?? Math.sqrt(min * max);
+            const sigma = spec.sigma ?? 1;
+            // Box-Muller; 1 - u keeps the logarithm finite.
+            const u1 = 1 - random(), u2 = random();
+            const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+            return Math.min(max, Math.max(min, median * Math.exp(sigma * z)));
+        }
+        case 'power-law':
+        default:
+            return min + Math.pow(random(), spec.exponent ?? 1) * (max - min);
+    }
+}
+
+function generateGoldenCandidate(index, random) {
+    // Beyond the two fixed candidates, inject Earth twins around Sun-like stars.
+    const jitter = (value, fraction) => value * (1 + (random() - 0.5) * 2 * fraction);
+    const st_teff = Math.round(jitter(5600, 0.05));
+    const st_lum = jitter(0.9, 0.15);
+    const pl_insol = jitter(0.95, 0.1);
+    const pl_orbsmax = Math.sqrt(st_lum / pl_insol);
+    const st_mass = jitter(0.95, 0.08);
+    return {
+        pl_name: `KOI-INJ-${String(index + 1).padStart(3, '0')}`,
+        pl_rade: jitter(1.03, 0.05),
+        pl_insol,
+        pl_orbper: 365.25 * Math.sqrt(Math.pow(pl_orbsmax, 3) / st_mass),
+        pl_eqt: Math.round(255 * Math.pow(pl_insol, 0.25)),
+        st_teff,
+        st_rad: jitter(0.97, 0.05),
+        disc_facility: 'Kepler',
+        pl_masse: jitter(1.1, 0.1),
+        pl_dens: jitter(5.5, 0.05),
+        pl_orbsmax,
+        st_mass,
+        st_lum,
+        disc_year: 2009 + Math.floor(random() * 10),
+        discoverymethod: 'Transit',
+    };
+}
+
+export function generateCatalog(config = DEFAULT_GENERATOR_CONFIG) {
+    const cfg = { ...DEFAULT_GENERATOR_CONFIG, ...config, fields: { ...DEFAULT_FIELDS, ...config.fields } };
+    const random = createRandom(cfg.seed);
+    const rows = [];
+
+    // Seed records and randomized copies of them
+    for (let i = 0; i <= cfg.perturbedCopies; i++) {
+        basePlanetData.forEach(planet => {
+            const newPlanet = JSON.parse(JSON.stringify(planet));
+            // The random draws are always taken so the rest of the catalog does not depend on
+            // whether the seed records keep their published values.
+            const factors = [random(), random(), random()];
+            const eqtShift = newPlanet.pl_eqt ? Math.round((random() - 0.5) * 50) : 0;
+            if (i === 0) {
+                rows.push({ ...newPlanet, provenance: 'original' });
+                return;
+            }
+            // Make the name unique for each copy
+            newPlanet.pl_name = `${planet.pl_name}-${i}`;
+            newPlanet.pl_rade *= (1 + (factors[0] - 0.5) * 0.2);
+            newPlanet.pl_insol *= (1 + (factors[1] - 0.5) * 0.2);
+            newPlanet.pl_orbper *= (1 + (factors[2] - 0.5) * 0.2);
+            newPlanet.pl_eqt = newPlanet.pl_eqt ? newPlanet.pl_eqt + eqtShift : null;
+            newPlanet.provenance = 'perturbed';
+            rows.push(newPlanet);
+        });
+    }
+
+    // Random planets around the seed stars for more variety
+    for (let i = 0; i < cfg.randomVariants; i++) {
+        const base = basePlanetData[i % basePlanetData.length];
+        rows.push({
+            ...JSON.parse(JSON.stringify(base)),
+            pl_name: `K-RAND-${Math.floor(random() * 9000) + 1000}.${String(i + 1).padStart(2, '0')}`,
+            pl_rade: random() * 3 + 0.5,
+            pl_insol: random() * 2 + 0.1,
+            pl_orbper: random() * 400 + 10,
+            pl_eqt: Math.floor(random() * 600) + 150,
+            provenance: 'random',
+        });
+    }
+
+    // Filler candidates drawn from the configured field distributions
+    const fillerCount = Math.max(0, cfg.size - rows.length - cfg.goldenCount);
+    const sample = (field) => sampleField(field, cfg.fields[field], random);
+    // Storage, light curves and run history are keyed by pl_name, so a name already drawn is
+    // drawn again.
+    const names = new Set(rows.map(row => row.pl_name));
+    const fillerName = () => {
+        let name;
+        do name = `KIC-${Math.floor(random() * 9000000) + 1000000}.01`; while (names.has(name));
+        names.add(name);
+        return name;
+    };
+    for (let i = 0; i < fillerCount; i++) {
+        rows.push({
+            pl_name: fillerName(),
+            pl_rade: sample('pl_rade'),
+            pl_insol: sample('pl_insol'),
+            pl_orbper: sample('pl_orbper'),
+            pl_eqt: Math.floor(sample('pl_eqt')),
+            st_teff: Math.floor(sample('st_teff')),
+            st_rad: sample('st_rad'),
+            disc_facility: "Kepler",
+            pl_masse: sample('pl_masse'),
+            pl_dens: sample('pl_dens'),
+            pl_orbsmax: sample('pl_orbsmax'),
+            st_mass: sample('st_mass'),
+            st_lum: sample('st_lum'),
+            disc_year: Math.floor(random() * (2018 - 2009 + 1)) + 2009,
+            discoverymethod: "Transit",
+            provenance: 'random',
+        });
+    }
+
+    // Golden candidates always survive, even when the catalog is smaller than the fixed sections.
+    const golden = [];
+    for (let i = 0; i < cfg.goldenCount; i++) {
+        const candidate = i < goldenCandidates.length
+            ? JSON.parse(JSON.stringify(goldenCandidates[i]))
+            : generateGoldenCandidate(i, random);
+        golden.push({ ...candidate, provenance: 'injected' });
+    }
+
+    const catalog = rows.slice(0, Math.max(0, cfg.size - golden.length)).concat(golden);
+    catalog.forEach(row => {
+        if (row.provenance === 'original') return;
+        Object.entries(cfg.errorFractions || {}).forEach(([field, fraction]) => {
+            if (row[field] == null) return;
+            row[`${field}err1`] = row[field] * fraction;
+            row[`${field}err2`] = -row[field] * fraction;
+        });
+    });
+    return catalog;
+}
+
+// --- URL PARAMETERS ---
+// ?catalog_size=3000&catalog_seed=7&catalog_golden=5&dist_pl_rade=log-normal,1.5,0.8
+// Distribution parameters follow the order listed in DISTRIBUTIONS.
+export function generatorConfigFromParams(params) {
+    const keys = ['catalog_size', 'catalog_seed', 'catalog_golden'];
+    const hasDist = Array.from(params.keys()).some(k => k.startsWith('dist_'));
+    if (!keys.some(k => params.has(k)) && !hasDist) return null;
+
+    const readInt = (key, fallback, min) => {
+        const value = parseInt(params.get(key), 10);
+        return Number.isFinite(value) ? Math.max(min, value) : fallback;
+    };
+    const config = {
+        size: readInt('catalog_size', DEFAULT_GENERATOR_CONFIG.size, 1),
+        seed: readInt('catalog_seed', DEFAULT_GENERATOR_CONFIG.seed, 0),
+        goldenCount: readInt('catalog_golden', DEFAULT_GENERATOR_CONFIG.goldenCount, 0),
+        fields: {},
+    };
+
+    Object.keys(DEFAULT_FIELDS).forEach(field => {
+        const raw = params.get(`dist_${field}`);
+        if (!raw) return;
+        const [dist, ...values] = raw.split(',');
+        if (!DISTRIBUTIONS[dist]) return;
+        const spec = { min: DEFAULT_FIELDS[field].min, max: DEFAULT_FIELDS[field].max, dist };
+        DISTRIBUTIONS[dist].params.forEach((param, i) => {
+            const value = parseFloat(values[i]);
+            if (Number.isFinite(value)) spec[param.key] = value;
+        });
+        config.fields[field] = spec;
+    });
+
+    return config;
+}
+
+export function generatorConfigToParams(config) {
+    const params = new URLSearchParams();
+    params.set('catalog_size', config.size);
+    params.set('catalog_seed', config.seed);
+    params.set('catalog_golden', config.goldenCount);
+    Object.entries(config.fields || {}).forEach(([field, spec]) => {
+        const defaults = DEFAULT_FIELDS[field];
+        const values = DISTRIBUTIONS[spec.dist].params.map(p => spec[p.key]);
+        const isDefault = spec.dist === defaults.dist && values.every((v, i) => v === defaults[DISTRIBUTIONS[spec.dist].params[i].key]);
+        if (!isDefault) params.set(`dist_${field}`, [spec.dist, ...values.filter(v => v != null)].join(','));
+    });
+    return params;
+}
+
+export function describeGeneratorConfig(config) {
+    return `Synthetic catalog (seed ${config.seed}, ${config.size} rows, ${config.goldenCount} injected)`;
+}
@@ -0,0 +1,60 @@
+// Habitable-zone limits after Kopparapu et al. (2014), for a 1 M⊕ planet. Each limit is an
+// effective stellar flux (relative to Earth's) that depends on the host's temperature:
+//   S_eff = S_eff☉ + a·T + b·T² + c·T³ + d·T⁴,  T = T_eff − 5780 K
+// The fits hold for 2600 K ≤ T_eff ≤ 7200 K; hotter and cooler stars are clamped to that range.
+
+export const HZ_LIMITS = {
+    recentVenus:       { label: 'Recent Venus',       seff: 1.776, coefficients: [2.136e-4, 2.533e-8, -1.332e-11, -3.097e-15] },
+    runawayGreenhouse: { label: 'Runaway Greenhouse', seff: 1.107, coefficients: [1.332e-4, 1.580e-8, -8.308e-12, -1.931e-15] },
+    maximumGreenhouse: { label: 'Maximum Greenhouse', seff: 0.356, coefficients: [6.171e-5, 1.698e-9, -3.198e-12, -5.575e-16] },
+    earlyMars:         { label: 'Early Mars',         seff: 0.320, coefficients: [5.547e-5, 1.526e-9, -2.874e-12, -5.011e-16] },
+};
+
+// Inner and outer limits of each set of boundaries.
+export const HZ_BOUNDARIES = {
+    conservative: { label: 'Conservative', inner: 'runawayGreenhouse', outer: 'maximumGreenhouse' },
+    optimistic:   { label: 'Optimistic', inner: 'recentVenus', outer: 'earlyMars' },
+};
+
+export const DEFAULT_HZ_BOUNDARIES = 'conservative';
+
+// Where an orbit lies relative to a zone.
+export const HZ_CLASSES = {
+    hot:       { label: 'Too Hot' },
+    habitable: { label: 'Habitable Zone' },
+    cold:      { label: 'Too Cold' },
+};
+
+const TEFF_RANGE = [2600, 7200];
+
+export function effectiveFlux(limit, teff) {
+    const { seff, coefficients } = HZ_LIMITS[limit];
+    const t = Math.min(TEFF_RANGE[1], Math.max(TEFF_RANGE[0], teff)) - 5780;
+    return coefficients.reduce((sum, c, i) => sum + c * Math.pow(t, i + 1), seff);
+}
+
+// { inner, outer } fluxes relative to Earth's; the inner edge receives more flux.
+export function hzFluxLimits(teff, boundaries = DEFAULT_HZ_BOUNDARIES) {
+    const { inner, outer } = HZ_BOUNDARIES[boundaries];
+    return { inner: effectiveFlux(inner, teff), outer: effectiveFlux(outer, teff) };
+}
+
+// Distance (AU) at which a star of `luminosity` (L☉) gives a limit's flux.
+export const limitDistance = (limit, teff, luminosity) => Math.sqrt(luminosity / effectiveFlux(limit, teff));
+
+// The HZ_CLASSES id of a planet receiving `insol` times Earth's flux.
+export function hzClass(insol, teff, boundaries = DEFAULT_HZ_BOUNDARIES) {
+    const limits = hzFluxLimits(teff, boundaries);
+    if (insol > limits.inner) return 'hot';
+    return insol < limits.outer ? 'cold' : 'habitable';
+}
+
+// Habitable Zone Distance (Menou & Tabachnik 2003): −1 at the inner edge, 0 at the centre and
+// +1 at the outer edge. Orbital distance scales as flux^(−1/2), so only fluxes are needed.
+export function hzDistance(insol, teff, boundaries = DEFAULT_HZ_BOUNDARIES) {
+    const limits = hzFluxLimits(teff, boundaries);
+    const r = 1 / Math.sqrt(insol);
+    const rInner = 1 / Math.sqrt(limits.inner);
+    const rOuter = 1 / Math.sqrt(limits.outer);
+    return (2 * r - rOuter - rInner) / (rOuter - rInner);
+}
@@ -0,0 +1,70 @@
+// Physically based imputation of missing catalog values. Runs before Stage 1 so that
+// the ESI and light-curve models see estimated values instead of silent 1.0 fallbacks.
+// Every filled value is recorded in `planet.imputed[field] = { method }`.
+
+const EARTH_DENSITY = 5.51;    // g/cm^3
+const SUN_TEFF = 5772;         // K (IAU nominal)
+const JUPITER_MASS = 317.8;    // Earth masses
+
+export const IMPUTATION_METHODS = {
+    massRadius: 'Chen & Kipping (2017) mass–radius relation',
+    bulkDensity: 'Bulk density from mass and radius',
+    stefanBoltzmann: 'Stefan–Boltzmann law, L = R²(T/T☉)⁴',
+    massLuminosity: 'Main-sequence mass–luminosity relation',
+};
+
+// Inverts the Chen & Kipping (2017) probabilistic M–R relation at its mean.
+// Terran worlds: R = 1.008 M^0.279 (M < 2.04 M⊕); Neptunian: R = 0.808 M^0.589 (M < 0.414 MJ).
+// Above ~14.3 R⊕ radius is degenerate with mass, so one Jupiter mass is assumed.
+export function massFromRadius(radius) {
+    if (!(radius > 0)) return null;
+    if (radius < 1.23) return Math.pow(radius / 1.008, 1 / 0.279);
+    if (radius < 14.3) return Math.pow(radius / 0.808, 1 / 0.589);
+    return JUPITER_MASS;
+}
+
+export function densityFromMassRadius(mass, radius) {
+    if (!(mass > 0) || !(radius > 0)) return null;
+    return EARTH_DENSITY * mass / Math.pow(radius, 3);
+}
+
+export function luminosityFromTeffRadius(teff, radius) {
+    if (!(teff > 0) || !(radius > 0)) return null;
+    return Math.pow(radius, 2) * Math.pow(teff / SUN_TEFF, 4);
+}
+
+// Piecewise main-sequence mass–luminosity relation (L ∝ M^a), inverted for mass.
+export function massFromLuminosity(luminosity) {
+    if (!(luminosity > 0)) return null;
+    if (luminosity < 0.033) return Math.pow(luminosity / 0.23, 1 / 2.3);   // M < 0.43 M☉
+    if (luminosity < 16) return Math.pow(luminosity, 1 / 4);               // 0.43 – 2 M☉
+    return Math.pow(luminosity / 1.4, 1 / 3.5);                            // 2 – 55 M☉
+}
+
+// Fills missing values in place. Only null fields are touched, so running it again is a no-op.
+export function imputeMissingValues(planet) {
+    const imputed = planet.imputed || {};
+    const fill = (field, value, method) => {
+        if (planet[field] != null || value == null || !Number.isFinite(value)) return;
+        planet[field] = value;
+        imputed[field] = { method };
+    };
+
+    fill('pl_masse', massFromRadius(planet.pl_rade), IMPUTATION_METHODS.massRadius);
+    fill('pl_dens', densityFromMassRadius(planet.pl_masse, planet.pl_rade), IMPUTATION_METHODS.bulkDensity);
+    fill('st_lum', luminosityFromTeffRadius(planet.st_teff, planet.st_rad), IMPUTATION_METHODS.stefanBoltzmann);
+    fill('st_mass', massFromLuminosity(planet.st_lum), IMPUTATION_METHODS.massLuminosity);
+
+    planet.imputed = imputed;
+    return planet;
+}
+
+export function imputeCatalog(records) {
+    let filled = 0;
+    records.forEach(planet => {
+        const before = Object.keys(planet.imputed || {}).length;
+        imputeMissingValues(planet);
+        filled += Object.keys(planet.imputed).length - before;
+    });
+    return filled;
+}
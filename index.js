@@ -5,33 +5,43 @@ import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { planetData } from './data.js';
-
-// --- SEEDED PRNG FOR DETERMINISTIC SIMULATION ---
-let prng_seed = 0;
-function reseed(s) {
-    prng_seed = s;
-}
-function seededRandom() {
-    prng_seed = (prng_seed * 1664525 + 1013904223) % 4294967296;
-    return prng_seed / 4294967296;
-}
-function hashCode(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-        const char = str.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash |= 0; // Convert to 32bit integer
-    }
-    return Math.abs(hash);
-}
-// --- END PRNG ---
+import { catalogMeta } from './data.js';
+import { imputeCatalog } from './imputation.js';
+import { ESI_COMPONENTS, ESI_PARAMETERS } from './esi.js';
+import { PHI_FACTORS, PHI_REFERENCE_BODIES, calculateAtmosphericSimilarity } from './phi.js';
+import { MODEL_REGISTRY, MODEL_STATUS, loadModel, loadModels, modelUrls, saveModel, removeSavedModel, weightHash } from './models.js';
+import { LC_CLASSES, LOCAL_VIEW_DURATIONS, generateTrainingSet, transitLightCurve, localViewTimes } from './lightcurves.js';
+import { TRANSIT_MODEL } from './transit.js';
+import { NOISE_COMPONENTS, DEFAULT_NOISE, DEFAULT_QUARTERS, parseLightCurve, hashLightCurve } from './photometry.js';
+import { VETTING_TESTS } from './vetting.js';
+import { MIN_TRANSITS, transitsInBaseline } from './bls.js';
+import { DEFAULT_TRAINING_CONFIG, createLcModel, trainLcModel, evaluateByClass } from './training.js';
+import { ABSORPTION_FEATURES, SPECTRUM_WAVELENGTHS, featureAmplitude, absorptionAt } from './spectra.js';
+import { scoreCatalog, scoreRemainingStages, scoreRobustnessCatalog, gatePlanet, thresholdGates, detectTransit, generatePhaseFoldedLcData, LIGHT_CURVE_MODES, DEFAULT_LIGHT_CURVE_MODE, METRIC_SOURCES, SEED_SCHEME, DEFAULT_BATCH_SIZE, DEFAULT_ROBUSTNESS_RUNS } from './engine.js';
+import { compilePipeline, pipelineBuckets, pipelineSignature, pipelineFingerprint } from './pipeline.js';
+import pipelineConfig from './pipeline.json';
+import { version as APP_VERSION } from './package.json';
+import { buildManifest, parseManifest, runResults, compareConfiguration, compareResults, describeImportedLightCurves } from './manifest.js';
+import { MAX_RUN_HISTORY, diffRuns } from './runHistory.js';
+import { analysisKey, saveCatalogRecords, loadCatalogRecords, saveAnalysis, loadAnalysis, saveRun, loadRuns, deleteRun, saveSettings, loadSettings, clearLocalData } from './storage.js';
+import { generateCatalog, generatorConfigFromParams, generatorConfigToParams, describeGeneratorConfig, DEFAULT_GENERATOR_CONFIG, DISTRIBUTIONS } from './generator.js';
+import { loadCatalog, buildRecords, describeMapping, validateRecords, hashCatalog, errorFields, CATALOG_FIELDS, PROVENANCE } from './catalog.js';
+import { hasUncertainty, histogram, CREDIBLE_INTERVAL } from './uncertainty.js';
+import { METRIC_REGISTRY, computeRegisteredMetrics } from './metrics.js';
+import { HZ_LIMITS, HZ_BOUNDARIES, HZ_CLASSES, DEFAULT_HZ_BOUNDARIES, hzClass, limitDistance } from './habitableZone.js';
+import { SENSITIVITY_GRID, stage1CountGrid, shortlistCountCurve } from './sensitivity.js';
 
 let camera, controls, composer, scene, sceneUI, bloomPass, stars1, stars2;
 let starMesh, planetMesh;
 let keplerModel = {}; // Use an object to hold the loaded model scene
 let jwstModel = {}; // Use an object to hold the loaded model scene
 let transitChart, atmosphereChart;
+let trainingLossChart, trainingAccuracyChart;
+let drawerSpectrumChart;
+let sensitivityChart;
+let drawerRobustnessCharts = [];
+let drawerLightCurveCharts = [];
+let drawerDetection = null; // { key, detection } of the light curve last drawn in the drawer
 let liveTransitDepth = 1.0;
 let isKeplerInHold = false;
 let isJwstInHold = false;
@@ -77,18 +87,7 @@ const initialSystemData = {
 let interactiveSystemState = JSON.parse(JSON.stringify(initialSystemData));
 
 // --- NEW ATMOSPHERE STATE (ABSORPTION SPECTRUM) ---
-const ABSORPTION_FEATURES = {
-    'O₂':  { color: 'rgba(102, 153, 153, 0.4)', fullName: 'Oxygen', features: [[1.27, 0.02, 0.8]], label: ['Oxygen', 'O₂'] },
-    'H₂O': { color: 'rgba(64, 128, 128, 0.4)', fullName: 'Water', features: [
-        [1.1, 0.1, 0.8], [1.4, 0.15, 1.0], [1.9, 0.15, 1.2], [2.7, 0.2, 1.5]
-    ], label: ['Water', 'H₂O'] },
-    'CO':  { color: 'rgba(170, 85, 85, 0.4)', fullName: 'Carbon Monoxide', features: [[2.35, 0.1, 1.0]], label: ['CO'] },
-    'CH₄': { color: 'rgba(128, 128, 64, 0.4)', fullName: 'Methane', features: [[3.35, 0.15, 1.1]], label: ['Methane', 'CH₄'] },
-    'SO₂': { color: 'rgba(153, 153, 85, 0.4)', fullName: 'Sulfur Dioxide', features: [[4.05, 0.05, 0.9]], label: ['Sulfur Dioxide', 'SO₂'] },
-    'CO₂': { color: 'rgba(85, 136, 85, 0.4)', fullName: 'Carbon Dioxide', features: [[4.3, 0.1, 1.8]], label: ['Carbon Dioxide', 'CO₂'] },
-    'O₃':  { color: 'rgba(85, 119, 136, 0.4)', fullName: 'Ozone', features: [[4.8, 0.05, 0.6]], label: ['Ozone', 'O₃'] },
-    'NH₃': { color: 'rgba(135, 206, 250, 0.4)', fullName: 'Ammonia', features: [[2.15, 0.15, 1.3]], label: ['Ammonia', 'NH₃'] },
-};
+// Gas absorption bands live in spectra.js, shared with Stage 2.
 
 const GAS_DESCRIPTIONS = {
     'H₂O': { title: 'Water Vapor (H₂O)', content: 'Liquid water is considered essential for life as we know it. Its vapor form in an atmosphere is a primary target in the search for habitable worlds.' },
@@ -451,8 +450,10 @@ function calculateDerivedData() {
     const planetMassKg = planetData.density * 1000 * planetVolumeM3;
     const surfaceGravity = (G * planetMassKg) / Math.pow(planetRadiusM, 2);
     
-    const hz_inner = Math.sqrt(starData.luminosity / 1.1);
-    const hz_outer = Math.sqrt(starData.luminosity / 0.53);
+    // Kopparapu et al. (2014) limits for the star's temperature, in the chosen boundaries.
+    const boundaries = HZ_BOUNDARIES[pipelineState.hzBoundaries];
+    const hz_inner = limitDistance(boundaries.inner, starData.tempK, starData.luminosity);
+    const hz_outer = limitDistance(boundaries.outer, starData.tempK, starData.luminosity);
     
     // Use a fixed albedo for this calculation, as the control is removed.
     const albedo = 0.3;
@@ -463,7 +464,7 @@ function calculateDerivedData() {
     const periodInYears = Math.sqrt(Math.pow(distanceAU, 3) / starData.mass);
 
     derivedPlanetData = {
-        habitability: distanceAU < hz_inner ? 'Too Hot' : (distanceAU <= hz_outer ? 'Habitable Zone' : 'Too Cold'),
+        habitability: HZ_CLASSES[distanceAU < hz_inner ? 'hot' : (distanceAU <= hz_outer ? 'habitable' : 'cold')].label,
         temperatureC: tempK - 273.15,
         tempK,
         orbitalPeriodDays: periodInYears * 365.25,
@@ -589,23 +590,24 @@ function updateDerivedDataUI() {
     zoneOverlay.style.left = `${zoneStartPercent}%`;
     zoneOverlay.style.width = `${zoneEndPercent - zoneStartPercent}%`;
     status.textContent = habitability;
+    const { inner, outer } = HZ_BOUNDARIES[pipelineState.hzBoundaries];
     
     const explanationEl = container.querySelector('#habitability-explanation');
     let explanationText = '', explanationColor = 'var(--text-secondary)';
     switch (habitability) {
         case 'Too Hot':
             status.style.color = '#ff6b6b';
-            explanationText = `<strong>Too Hot:</strong> At ${distanceAU.toFixed(2)} AU, this planet is closer than the inner edge of the habitable zone (${hz_inner.toFixed(2)} AU). Any surface water would likely boil away.`;
+            explanationText = `<strong>Too Hot:</strong> At ${distanceAU.toFixed(2)} AU, this planet is closer than the inner edge of the habitable zone, the ${HZ_LIMITS[inner].label.toLowerCase()} limit (${hz_inner.toFixed(2)} AU). Any surface water would likely boil away.`;
             explanationColor = '#ff6b6b';
             break;
         case 'Habitable Zone':
             status.style.color = '#4dff91';
-            explanationText = `<strong>Habitable Zone:</strong> The planet orbits within the "Goldilocks Zone," between ${hz_inner.toFixed(2)} and ${hz_outer.toFixed(2)} AU, where surface temperatures could potentially allow for liquid water.`;
+            explanationText = `<strong>Habitable Zone:</strong> The planet orbits within the "Goldilocks Zone," between the ${HZ_LIMITS[inner].label.toLowerCase()} (${hz_inner.toFixed(2)} AU) and ${HZ_LIMITS[outer].label.toLowerCase()} (${hz_outer.toFixed(2)} AU) limits, where surface temperatures could potentially allow for liquid water.`;
             explanationColor = '#4dff91';
             break;
         case 'Too Cold':
             status.style.color = '#6bffff';
-            explanationText = `<strong>Too Cold:</strong> At ${distanceAU.toFixed(2)} AU, the planet is beyond the habitable zone's outer edge (${hz_outer.toFixed(2)} AU), likely causing any surface water to freeze.`;
+            explanationText = `<strong>Too Cold:</strong> At ${distanceAU.toFixed(2)} AU, the planet is beyond the habitable zone's outer edge, the ${HZ_LIMITS[outer].label.toLowerCase()} limit (${hz_outer.toFixed(2)} AU), likely causing any surface water to freeze.`;
             explanationColor = '#6bffff';
             break;
     }
@@ -655,6 +657,7 @@ function initializeInteractiveTransitPanel() {
         <div class="config-section"><h3>Transit Photometry</h3><div class="chart-container"><canvas id="transit-chart"></canvas></div></div>
         <div class="config-section">
             <h3>Orbital Distance & Habitable Zone</h3>
+            <div class="control-group"><label for="hz-boundaries-select">Zone Boundaries</label>${hzBoundariesSelect('hz-boundaries-select')}</div>
             <div class="hab-meter-container"><div class="hab-meter-bar"><div id="hab-zone-overlay" class="hab-zone-overlay"></div><div id="hab-meter-indicator"></div></div><div class="hab-meter-zones"><span>${SCIENTIFIC_MIN_AU} AU</span><span id="hab-status" style="font-weight: bold;">Habitable</span><span>${SCIENTIFIC_MAX_AU} AU</span></div></div>
             <div id="habitability-explanation" class="explanation-box"></div>
             <div class="planet-data-grid" style="grid-template-columns: repeat(3, 1fr); gap: 0.5rem;"><div class="data-item"><div class="data-item-label">Star Type</div><div class="data-item-value" id="data-star-type">--</div></div><div class="data-item"><div class="data-item-label">Eq. Temp</div><div class="data-item-value" id="data-temp">--</div></div><div class="data-item"><div class="data-item-label">Period</div><div class="data-item-value" id="data-period">--</div></div><div class="data-item"><div class="data-item-label">Distance</div><div class="data-item-value" id="data-distance">--</div></div><div class="data-item"><div class="data-item-label">Mass</div><div class="data-item-value" id="data-mass">--</div></div><div class="data-item"><div class="data-item-label">Gravity</div><div class="data-item-value" id="data-gravity">--</div></div></div>
@@ -663,6 +666,10 @@ function initializeInteractiveTransitPanel() {
     createTransitChart();
 
     panelBody.querySelector('#star-type-select').addEventListener('change', (e) => updateSystemParameters('starType', e.target.value));
+    panelBody.querySelector('#hz-boundaries-select').addEventListener('change', (e) => {
+        setHzBoundaries(e.target.value);
+        persistSettings();
+    });
     panelBody.querySelector('#planet-radius-slider').addEventListener('input', (e) => {
         panelBody.querySelector('label[for="planet-radius-slider"] span').innerHTML = `${parseFloat(e.target.value).toFixed(2)} R&#x2097;`;
         updateSystemParameters('radius', parseFloat(e.target.value));
@@ -691,51 +698,6 @@ function initializeInteractiveTransitPanel() {
     updateSystemParameters();
 }
 
-function calculateAtmosphericSimilarity(composition) {
-    const concs = composition;
-
-    const scoreComponent = (conc, ideal, tolerance) => {
-        return Math.exp(-Math.pow(conc - ideal, 2) / (2 * Math.pow(tolerance, 2)));
-    };
-
-    // Scores for individual components (0-1), adjusted for new ranges
-    const h2o_score = concs['H₂O'] / 10;
-    const o2_score = scoreComponent(concs['O₂'], 21, 5); // More sensitive around 21%
-    const co2_score = 1 - Math.min(1, (concs['CO₂'] / 1) * 2); // Penalize above 0.5%
-    const o3_score = concs['O₃'] / 0.1;
-    const ch4_score = scoreComponent(concs['CH₄'], 0.01, 0.05);
-
-    // Penalties for toxic gases
-    const toxic_penalty = (
-        (concs['CO'] / 0.1) + 
-        (concs['SO₂'] / 0.1) + 
-        (concs['NH₃'] / 0.1)
-    ) / 3;
-
-    // Weights for each component
-    const weights = {
-        h2o: 0.35,
-        o2: 0.35,
-        co2: 0.15,
-        o3: 0.1,
-        ch4: 0.05
-    };
-
-    // Weighted average of positive components
-    const positive_score = 
-        h2o_score * weights.h2o +
-        o2_score * weights.o2 +
-        co2_score * weights.co2 +
-        o3_score * weights.o3 +
-        ch4_score * weights.ch4;
-
-    // Apply toxic penalty
-    const final_score = positive_score * (1 - toxic_penalty * 1.5);
-    
-    return Math.max(0, Math.min(1, final_score));
-}
-
-
 function updatePhiMeter() {
     const score = calculateAtmosphericSimilarity(atmosphereState.concentrations);
     const indicator = document.getElementById('phi-meter-indicator');
@@ -1455,10 +1417,6 @@ function createTransitChart() {
     });
 }
 
-function gaussian(x, mean, stdDev, amplitude) {
-    return amplitude * Math.exp(-Math.pow(x - mean, 2) / (2 * Math.pow(stdDev, 2)));
-}
-
 function createAtmosphereChart() {
     if (atmosphereChart) atmosphereChart.destroy();
     const ctx = document.getElementById('atmosphere-chart')?.getContext('2d');
@@ -1533,35 +1491,14 @@ function createAtmosphereChart() {
 }
 
 function getAtmosphereSpectrumData(composition, planetProps, baselineDepth) {
-    const cloudiness = 0; // Control removed from UI
-    const { tempK, surfaceGravity } = planetProps;
-    const tempFactor = Math.exp(-Math.pow((tempK || 288) - 288, 2) / (2 * Math.pow(200, 2)));
-    const g = surfaceGravity || 9.8;
-    const gravityFactor = (g > 0) ? (1 / (1 + Math.exp(-0.2 * (g - 25))) * (1 / (1 + Math.exp(0.5 * (g - 5))))) : 0;
-    const atmospherePotential = 0.1 + 0.9 * (tempFactor * 0.7 + gravityFactor * 0.3);
-
-    const effectiveFactor = atmospherePotential * (1 - (cloudiness / 100));
-    const featureAmplitudePPM = 20 + effectiveFactor * 1800;
-    const featureAmplitude = featureAmplitudePPM / 1e6;
-    
-    const maxConcs = { 'H₂O': 10, 'O₂': 25, 'CO₂': 1, 'CH₄': 0.1, 'O₃': 0.1, 'SO₂': 0.1, 'NH₃': 0.1, 'CO': 0.1 };
+    const amplitude = featureAmplitude(planetProps);
 
     const highResPoints = 800;
     const minW = 0.5, maxW = 5.5;
     const highResSpectrum = [];
     for (let i = 0; i < highResPoints; i++) {
         const lambda = minW + (i / (highResPoints - 1)) * (maxW - minW);
-        let absorption = 0;
-        Object.entries(composition).forEach(([gas, conc]) => {
-            if (conc > 0 && ABSORPTION_FEATURES[gas]) {
-                const maxConc = maxConcs[gas];
-                ABSORPTION_FEATURES[gas].features.forEach(([center, stdDev, strength]) => {
-                    const amp = featureAmplitude * (conc / maxConc) * strength;
-                    absorption += gaussian(lambda, center, stdDev, amp);
-                });
-            }
-        });
-        highResSpectrum.push({ x: lambda, y: baselineDepth + absorption });
+        highResSpectrum.push({ x: lambda, y: baselineDepth + absorptionAt(lambda, composition, amplitude) });
     }
 
     const binnedPoints = 120;
@@ -1647,18 +1584,41 @@ function initMethodsAnimations() {
 }
 
 // --- NEW PIPELINE LOGIC FOR RESULTS & DISCUSSION ---
+// Stages, metrics, gates and their texts come from pipeline.json (see pipeline.js).
+const PIPELINE = compilePipeline(pipelineConfig);
+const PIPELINE_BUCKETS = pipelineBuckets(PIPELINE);
+
 const pipelineState = {
     isTfReady: false,
     allData: [],
-    stage1Passed: [],
-    stage2Evaluated: [],
-    finalShortlist: [],
+    buckets: {}, // planet lists by tab id: 'all' and PIPELINE_BUCKETS
     activeTab: 'all',
     sort: { key: 'pl_name', order: 'asc' },
     searchQuery: '',
+    provenanceFilter: 'all',
+    hzBoundaries: DEFAULT_HZ_BOUNDARIES, // see HZ_BOUNDARIES; the HZ column and the habitability meter use them
     selectedPlanet: null,
+    catalog: { meta: null, hash: null, pending: null },
+    pendingSelection: null, // planet name restored from the last session
     models: { lc_cnn: null, spec_cnn: null, phi_mlp: null },
-    thresholds: { esi: 0.80, lc: 0.50, phi: 0.60 },
+    // Load state per registry entry: { status, version, weightHash, error } (see models.js)
+    training: null, // { stop } while the LC CNN training view is fitting
+    // Pipeline runs: the worker, the run whose results are current, and the catalog and light
+    // curves it has
+    run: { worker: null, kind: null, lastRunId: 0, activeRunId: null, data: null, workerCatalog: null, workerLightCurves: null, resolveModels: null },
+    progress: null, // { done, total } while a run is in progress
+    robustness: null, // { runs, settings } of the current or last Monte Carlo robustness run
+    reproduction: null, // an imported run manifest being reproduced, and the outcome (see checkReproduction)
+    // Recorded runs, oldest first (see recordRun); the ids of the two being diffed; and what
+    // started the results in progress, recorded once they are complete
+    history: { runs: [], before: null, after: null, pending: null },
+    modelInfo: Object.fromEntries(Object.entries(MODEL_REGISTRY).map(([id, entry]) => [id, { status: 'pending', version: entry.version, weightHash: null, error: null }])),
+    thresholds: Object.fromEntries(Object.entries(PIPELINE.thresholds).map(([key, t]) => [key, t.default])),
+    esiMetric: 'global', // ESI component gated by metrics with the 'esi' source (see ESI_COMPONENTS)
+    noise: [...DEFAULT_NOISE], // light-curve noise components, in NOISE_COMPONENTS order
+    lightCurveMode: DEFAULT_LIGHT_CURVE_MODE, // see LIGHT_CURVE_MODES
+    // Light curves imported for this session by pl_name: { fileName, hash, time, flux }
+    lightCurves: {},
     ui: {},
 };
 
@@ -1671,6 +1631,12 @@ const infoModalContent = {
                  <div class="styled-formula">ESI<span class="sub">x</span> = (1 - |(x - x<span class="sub">0</span>) / (x + x<span class="sub">0</span>)|)<span class="sup">w</span></div>
             </div>
             <p style="font-size: 0.8rem; color: var(--text-secondary); margin-top: 1rem;">Where <strong>x</strong> is the planet's property, <strong>x₀</strong> is Earth's reference value, and <strong>w</strong> is a weight exponent.</p>
+            <ul style="color: var(--text-secondary); line-height: 1.8;">
+                <li><strong>Interior ESI:</strong> radius (w = 0.57) and bulk density (w = 1.07)</li>
+                <li><strong>Surface ESI:</strong> escape velocity (w = 0.70) and temperature (w = 5.58)</li>
+                <li><strong>Global ESI:</strong> √(Interior × Surface)</li>
+            </ul>
+            <p style="font-size: 0.8rem; color: var(--text-secondary);">Missing masses and densities are imputed before scoring. Temperature uses the catalog equilibrium temperature against Earth's 255 K. The Stage 1 gate can use any of the three indices.</p>
         `
     },
     'phi': {
@@ -1686,6 +1652,7 @@ const infoModalContent = {
                 <li><strong>C:</strong> appropriate chemistry</li>
                 <li><strong>L:</strong> liquid solvent presence</li>
             </ul>
+            <p style="font-size: 0.8rem; color: var(--text-secondary);">In this pipeline each factor is a 0–1 rule: S from radius and bulk density, E from insolation and stellar type, C from the predicted atmosphere, and L from equilibrium temperature. PHI is their geometric mean. The PHI Likelihood used for the shortlist blends PHI (60%) with the predicted atmospheric Earth similarity (40%). Earth, Europa and Titan are scored with the same rules for comparison.</p>
         `
     },
     'lc': {
@@ -1693,11 +1660,14 @@ const infoModalContent = {
         content: `
             <p>The Light Curve (LC) Score is a value from 0 to 1 generated by an AI model, specifically a <strong>Convolutional Neural Network (CNN)</strong>.</p>
             <p>The AI is trained to analyze the shape of the transit dip in a star's brightness data. It learns to recognize the characteristic pattern of a planet passing in front of its star.</p>
+            <p>Each planet's light curve is modelled with the limb-darkened transit of Mandel &amp; Agol (2002): a rounded, U-shaped dip whose duration follows from the orbit and the size of the star, with sloped ingress and egress. The impact parameter, which catalogs rarely give, is drawn at random for each planet.</p>
+            <p>The CNN does not see the clean model. The pipeline simulates a year of Kepler photometry with the noise chosen in the Light Curves panel: white noise from the star's brightness, red noise, starspots, flares and momentum dumps. It then detrends the series and folds it on the transit, so noisier light curves give less confident scores.</p>
+            <p>In BLS search mode the pipeline does not use the catalog period. A Box Least Squares periodogram of the unfolded series recovers the period, first transit, depth and duration, and the series is folded on what it finds. It needs two transits in the year, so periods longer than the baseline cannot be recovered. Light curves imported in the drawer are always searched this way.</p>
             <ul style="color: var(--text-secondary); line-height: 1.8;">
                 <li>A <strong>high score (near 1)</strong> indicates the signal is clean, well-defined, and has a high probability of being a true planetary transit.</li>
                 <li>A <strong>low score (near 0)</strong> suggests the signal might be caused by stellar activity (like starspots), instrument errors, or other non-planetary phenomena.</li>
             </ul>
-            <p>This automated score is crucial for efficiently filtering out thousands of false positives from large datasets like Kepler's.</p>
+            <p>This automated score is crucial for efficiently filtering out thousands of false positives from large datasets like Kepler's. Eclipsing binaries can look just as clean, so the transit is then vetted for the tell-tale signs of two stars: odd and even eclipses of different depths, a secondary eclipse, a V shape, or a duration the star cannot explain.</p>
         `
     },
     'phi-bar': {
@@ -1706,7 +1676,8 @@ const infoModalContent = {
             <p>This score is illustrative and based on relative gas composition, not a physical simulation.</p>
             <p>Only the main spectrally active gases that strongly influence climate balance and potential biosignatures are included. Other background or spectrally weak components, such as nitrogen or hydrogen, were excluded since they have little visible effect in JWST’s range but are still important in real planetary atmospheres.</p>
         `
-    }
+    },
+    ...Object.fromEntries(Object.entries(METRIC_REGISTRY).map(([id, metric]) => [`metric-${id}`, metric.modal])),
 };
 
 function initPipeline() {
@@ -1722,27 +1693,34 @@ function initPipeline() {
     }
 
     renderPipelineLayout(container);
-    setupModels();
+    initCatalogDropZone(container);
+    initClearLocalDataButton();
     addEventListeners();
-    fetchData();
+    // Scores depend on which models loaded, so the catalog is analysed only afterwards.
+    setupModels().then(fetchData);
 }
 
 function renderPipelineLayout(container) {
     container.innerHTML = `
         <div class="pipeline-controls glass-panel glass-panel-yellow">
-            <div id="offline-banner" style="display: none;">Offline snapshot (Aug 2024)</div>
+            <div id="offline-banner" style="display: none;"></div>
             <div class="control-group">
-                <label for="esi-threshold">ESI Threshold<button class="info-button" data-info="esi" aria-label="More information about ESI">ⓘ</button></label>
-                <input type="number" id="esi-threshold" value="0.80" step="0.05" min="0" max="1">
+                <label for="catalog-file">Load Catalog (CSV / IPAC / VOTable, or drop a file here)</label>
+                <input type="file" id="catalog-file" accept=".csv,.tbl,.ipac,.txt,.xml,.vot,.votable">
             </div>
-            <div class="control-group">
-                <label for="lc-threshold">LC Score Threshold<button class="info-button" data-info="lc" aria-label="More information about Light Curve Score">ⓘ</button></label>
-                <input type="number" id="lc-threshold" value="0.50" step="0.05" min="0" max="1">
-            </div>
-            <div class="control-group">
-                <label for="phi-threshold">PHI Likelihood<button class="info-button" data-info="phi" aria-label="More information about PHI">ⓘ</button></label>
-                <input type="number" id="phi-threshold" value="0.60" step="0.05" min="0" max="1">
+            <div id="catalog-report" class="catalog-report" style="display: none;"></div>
+            <details id="generator-panel" class="generator-panel"></details>
+            <div id="model-status" class="model-status"></div>
+            <details id="training-panel" class="training-panel"></details>
+            <details id="noise-panel" class="noise-panel"></details>
+            <div class="catalog-report-actions">
+                <button id="clear-local-data" title="Remove saved catalogs, results and settings from this browser">Clear Local Data</button>
             </div>
+            ${thresholdControlsHTML()}
+            <details id="sensitivity-panel" class="sensitivity-panel"></details>
+            <details id="robustness-panel" class="robustness-panel"></details>
+            <details id="manifest-panel" class="manifest-panel"></details>
+            <details id="history-panel" class="history-panel"></details>
         </div>
 
         <div id="pipeline-status-bar" class="pipeline-status-bar"></div>
@@ -1750,7 +1728,15 @@ function renderPipelineLayout(container) {
         <div class="pipeline-main-layout">
             <div class="pipeline-tables-container">
                 <div class="table-tabs" id="table-tabs"></div>
-                <input type="text" id="data-table-search" placeholder="Search for a planet...">
+                <div class="table-filters">
+                    <input type="text" id="data-table-search" placeholder="Search for a planet...">
+                    <select id="provenance-filter" aria-label="Filter by data provenance">
+                        <option value="all">All provenances</option>
+                        ${Object.entries(PROVENANCE).map(([key, p]) => `<option value="${key}">${p.label}</option>`).join('')}
+                    </select>
+                    ${hzBoundariesSelect('hz-boundaries-filter')}
+                </div>
+                <div id="metric-notice" class="metric-notice" style="display: none;"></div>
                 <div id="data-table-container">
                     <table id="data-table">
                         <thead></thead>
@@ -1763,63 +1749,81 @@ function renderPipelineLayout(container) {
         </div>
     `;
     pipelineState.ui.drawer = document.getElementById('pipeline-details-drawer');
+    renderGeneratorPanel();
+    renderModelStatus();
+    renderTrainingPanel();
+    renderNoisePanel();
+    renderSensitivityPanel();
+    renderRobustnessPanel();
+    renderManifestPanel();
+    renderHistoryPanel();
     updateStatusBar();
     renderTabs();
     renderTable();
     renderDrawer(); // Initial render
 }
 
-const modalContent = {
-    '1': {
-        title: 'Stage 1: Broad Screening',
-        content: `
-            <p>We start with a huge list of potential planets from the public Kepler mission data.</p>
-            <h4>1. Physics-Based Filter (ESI):</h4>
-            <p>We calculate the <strong>Earth Similarity Index (ESI)</strong>. It's a quick check (from 0 to 1) to see if a planet has a similar size and receives a similar amount of energy from its star as Earth does. We only keep planets with an ESI score of <strong>\${esi} or higher</strong>.</p>
-            <h4>2. AI Signal Check (Light Curve CNN):</h4>
-            <p>Next, an AI model (a Convolutional Neural Network) looks at the "light curve" - the data showing the star's brightness dipping as the planet passes in front. The AI gives a score (from 0 to 1) on how "clean" and plausible this dip looks, filtering out noisy or fake signals. We require a score of <strong>\${lc} or higher</strong>.</p>
-        `
-    },
-    '2': {
-        title: 'Pass/Fail Gate',
-        content: `
-            <p>This is a critical decision point. A candidate planet must satisfy <strong>both</strong> criteria from Stage 1 to proceed.
-            </p>
-            <ul>
-                <li>Is it Earth-like based on physics? (<code>ESI ≥ \${esi}</code>)</li>
-                <li>Does its transit signal look real to an AI? (<code>Light Curve Score ≥ \${lc}</code>)</li>
-            </ul>
-            <p>If the answer to both questions is "yes," the candidate passes to the next stage. If not, it is filtered out. This dual-check approach efficiently removes the vast majority of non-viable candidates, saving valuable time and resources.</p>
-        `
-    },
-    '3': {
-        title: 'Stage 2: Targeted Refinement',
-        content: `
-            <p>Candidates that pass Stage 1 are analyzed by advanced AI models that have been pre-trained on verified JWST atmospheric data.</p>
-            <h4>(1) Inferred Spectral Analysis (CNN):</h4>
-            <p>Instead of requiring new JWST data for every planet, a Convolutional Neural Network (CNN) uses the planet's Kepler data to <strong>predict its likely atmospheric transmission spectrum</strong>. The CNN learned how to do this by studying many real JWST spectra.</p>
-            <h4>(2) Habitability Likelihood (MLP):</h4>
-            <p>A second model, a Multi-Layer Perceptron (MLP), takes this inferred spectrum, the Kepler data, and the ESI score to calculate a final <strong>PHI-inspired habitability likelihood</strong>. This score predicts how promising the planet would be if it were to be observed by JWST, allowing scientists to prioritize their targets.</p>
-        `
-    },
-    '4': {
-        title: 'Final Shortlist',
-        content: `
-            <p>This is the final output of our pipeline: a highly-vetted, prioritized list of the most promising worlds for follow-up investigation.</p>
-            <p>To make this list, a candidate must have a PHI Likelihood score of <strong>\${phi} or higher</strong>.</p>
-            <p>These planets are not confirmed to be habitable, but they represent the "best of the best" candidates found by our AI. They are the top priorities for scientists who want to use powerful telescopes like JWST to search for definitive signs of life beyond Earth.</p>
-        `
-    }
-};
+// One input per configured threshold. The ESI component selector follows the threshold that
+// gates an ESI metric, if any.
+function thresholdControlsHTML() {
+    const esiThreshold = PIPELINE.stages.flatMap(stage => Object.entries(stage.gated))
+        .find(([id]) => PIPELINE.metrics[id]?.source === 'esi')?.[1].threshold;
+    return Object.entries(PIPELINE.thresholds).map(([key, t]) => `
+            <div class="control-group">
+                <label for="${key}-threshold">${t.label}${t.info ? `<button class="info-button" data-info="${t.info}" aria-label="More information about ${t.label}">ⓘ</button>` : ''}</label>
+                <input type="number" id="${key}-threshold" value="${pipelineState.thresholds[key].toFixed(2)}" step="${t.step}" min="${t.min}" max="${t.max}">
+            </div>
+            ${key === esiThreshold ? `
+            <div class="control-group">
+                <label for="esi-metric">ESI Gate Metric</label>
+                <select id="esi-metric">
+                    ${Object.entries(ESI_COMPONENTS).map(([key, c]) => `<option value="${key}">${c.label}</option>`).join('')}
+                </select>
+            </div>` : ''}`).join('');
+}
+
+// Method modals, two per stage in flow-step order: the stage itself, then its gate.
+const modalContent = Object.fromEntries(PIPELINE.stages.flatMap((stage, i) => [
+    [String(2 * i + 1), { title: stage.name ? `${stage.label}: ${stage.name}` : stage.label, content: (stage.modal || []).join('\n') }],
+    [String(2 * i + 2), { title: stage.gateModal?.title || `${stage.label} Gate`, content: (stage.gateModal?.content || []).join('\n') }],
+]));
+
+// Values for `${key}` placeholders in config texts: the thresholds and the gated ESI component.
+function templateValues(extra = {}) {
+    const values = { esiMetric: ESI_COMPONENTS[pipelineState.esiMetric].label };
+    Object.entries(pipelineState.thresholds).forEach(([key, value]) => { values[key] = value.toFixed(2); });
+    return { ...values, ...extra };
+}
+
+const fillTemplate = (template, values) => template.replace(/\${(.*?)}/g, (match, key) => values[key] ?? match);
 
+// Text from imported files (column headers, planet and file names) for use in innerHTML.
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
 
 function addEventListeners() {
-    document.getElementById('esi-threshold').addEventListener('change', (e) => updateThreshold('esi', e.target.value));
-    document.getElementById('lc-threshold').addEventListener('change', (e) => updateThreshold('lc', e.target.value));
-    document.getElementById('phi-threshold').addEventListener('change', (e) => updateThreshold('phi', e.target.value));
+    Object.keys(PIPELINE.thresholds).forEach(key => {
+        document.getElementById(`${key}-threshold`).addEventListener('change', (e) => updateThreshold(key, e.target.value));
+    });
+    document.getElementById('esi-metric')?.addEventListener('change', (e) => updateEsiMetric(e.target.value));
+    document.getElementById('catalog-file').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) loadCatalogFile(file);
+        e.target.value = '';
+    });
     document.getElementById('data-table-search').addEventListener('input', (e) => {
         pipelineState.searchQuery = e.target.value.toLowerCase();
         renderTable();
+        persistSettings();
+    });
+    document.getElementById('provenance-filter').addEventListener('change', (e) => {
+        pipelineState.provenanceFilter = e.target.value;
+        renderTable();
+        persistSettings();
+    });
+    document.getElementById('hz-boundaries-filter').addEventListener('change', (e) => {
+        setHzBoundaries(e.target.value);
+        persistSettings();
     });
 
     const methodModal = document.getElementById('method-modal');
@@ -1831,7 +1835,7 @@ function addEventListeners() {
         const content = modalContent[stepId];
         if (content) {
             modalTitle.textContent = content.title;
-            modalBody.innerHTML = content.content.replace(/\${(.*?)}/g, (match, key) => pipelineState.thresholds[key]);
+            modalBody.innerHTML = fillTemplate(content.content, templateValues());
             methodModal.classList.add('visible');
             if (methodModalCloseBtn) {
                 methodModalCloseBtn.focus();
@@ -1900,64 +1904,730 @@ async function fetchData() {
     const statusEl = document.getElementById('data-table-status');
     statusEl.textContent = 'Loading local planet data...';
 
-    // Use the imported data directly
-    pipelineState.allData = planetData;
-    console.log(`Loaded ${planetData.length} planets from local data file.`);
+    const settings = await loadSettings();
+    if (settings) applySettings(settings);
+    pipelineState.history.runs = ((await loadRuns()) || []).sort((a, b) => a.id - b.id);
+    selectLatestRuns();
+
+    // URL parameters select a custom synthetic catalog; otherwise restore the last session's
+    // catalog, falling back to the default offline sample.
+    const urlConfig = generatorConfigFromParams(new URLSearchParams(window.location.search));
+    const stored = !urlConfig && settings?.catalogHash ? await loadCatalogRecords(settings.catalogHash) : null;
+
+    let planetData, meta;
+    if (urlConfig) {
+        planetData = generateCatalog(urlConfig);
+        meta = { name: describeGeneratorConfig(urlConfig), format: 'synthetic', snapshotDate: null, generatorConfig: urlConfig };
+    } else if (stored) {
+        planetData = stored.records;
+        meta = stored.meta;
+        console.log(`Restored ${planetData.length} planets from the last session.`);
+    } else {
+        planetData = generateCatalog(DEFAULT_GENERATOR_CONFIG);
+        meta = catalogMeta;
+        console.log(`Generated ${planetData.length} planets from the local seed data.`);
+    }
+    if (meta.generatorConfig) renderGeneratorPanel(meta.generatorConfig);
 
-    // Simulate a short delay to show the loading message
-    setTimeout(() => {
-        statusEl.style.display = 'none';
-        runFullPipeline();
-    }, 100);
+    statusEl.style.display = 'none';
+    setCatalog(planetData, meta, { keepSelection: true });
 }
 
-function runFullPipeline() {
-    if (!pipelineState.isTfReady) {
-        pipelineState.allData.forEach(p => {
-            p.analysis = { stage1: { error: "AI models disabled" }, stage2: { error: "AI models disabled" } };
+// --- SESSION PERSISTENCE ---
+function applySettings(settings) {
+    if (settings.thresholds) {
+        Object.entries(settings.thresholds).forEach(([key, value]) => {
+            if (!(key in pipelineState.thresholds)) return;
+            pipelineState.thresholds[key] = value;
+            const input = document.getElementById(`${key}-threshold`);
+            if (input) input.value = value.toFixed(2);
         });
-        updateLists();
+    }
+    if (ESI_COMPONENTS[settings.esiMetric]) {
+        pipelineState.esiMetric = settings.esiMetric;
+        const select = document.getElementById('esi-metric');
+        if (select) select.value = settings.esiMetric;
+    }
+    if (Array.isArray(settings.noise)) {
+        pipelineState.noise = DEFAULT_NOISE.filter(id => settings.noise.includes(id));
+        DEFAULT_NOISE.forEach(id => {
+            const checkbox = document.getElementById(`noise-${id}`);
+            if (checkbox) checkbox.checked = pipelineState.noise.includes(id);
+        });
+    }
+    if (LIGHT_CURVE_MODES[settings.lightCurveMode]) {
+        pipelineState.lightCurveMode = settings.lightCurveMode;
+        const select = document.getElementById('light-curve-mode');
+        if (select) select.value = pipelineState.lightCurveMode;
+    }
+    if (TABLE_COLUMNS.some(c => c.key === settings.sort?.key)) pipelineState.sort = settings.sort;
+    if (settings.activeTab === 'all' || PIPELINE_BUCKETS.some(b => b.id === settings.activeTab)) pipelineState.activeTab = settings.activeTab;
+    if (settings.searchQuery != null) {
+        pipelineState.searchQuery = settings.searchQuery;
+        document.getElementById('data-table-search').value = settings.searchQuery;
+    }
+    if (settings.provenanceFilter) {
+        pipelineState.provenanceFilter = settings.provenanceFilter;
+        document.getElementById('provenance-filter').value = settings.provenanceFilter;
+    }
+    if (HZ_BOUNDARIES[settings.hzBoundaries]) setHzBoundaries(settings.hzBoundaries);
+    pipelineState.pendingSelection = settings.selectedPlanetName || null;
+    renderTabs();
+}
+
+function persistSettings() {
+    saveSettings({
+        thresholds: { ...pipelineState.thresholds },
+        esiMetric: pipelineState.esiMetric,
+        noise: [...pipelineState.noise],
+        lightCurveMode: pipelineState.lightCurveMode,
+        sort: { ...pipelineState.sort },
+        activeTab: pipelineState.activeTab,
+        searchQuery: pipelineState.searchQuery,
+        provenanceFilter: pipelineState.provenanceFilter,
+        hzBoundaries: pipelineState.hzBoundaries,
+        selectedPlanetName: pipelineState.selectedPlanet?.pl_name || null,
+        catalogHash: pipelineState.catalog.hash,
+    });
+}
+
+function persistAnalysis() {
+    const { hash } = pipelineState.catalog;
+    if (!hash) return;
+    const results = {};
+    pipelineState.allData.forEach(p => { results[p.pl_name] = p.analysis?.scores; });
+    saveAnalysis(hash, scoreSettings(), results);
+}
+
+// Fingerprints of the imported light curves by pl_name.
+const importedLightCurveHashes = () => Object.fromEntries(Object.entries(pipelineState.lightCurves).map(([name, { hash }]) => [name, hash]));
+
+// Everything the cached scores depend on besides the catalog. Gate decisions are not
+// cached; they are recomputed from the scores.
+function scoreSettings() {
+    return {
+        models: modelSignature(),
+        pipeline: pipelineSignature(PIPELINE),
+        lightCurves: TRANSIT_MODEL,
+        noise: pipelineState.noise.join('+') || 'none',
+        lightCurveMode: pipelineState.lightCurveMode,
+        imported: describeImportedLightCurves(importedLightCurveHashes()) ?? 'none',
+    };
+}
+
+// The settings a run is scored and gated with. The noise components and light-curve mode
+// change the scores; the rest only the gates.
+function gateSettings() {
+    return {
+        thresholds: { ...pipelineState.thresholds },
+        esiMetric: pipelineState.esiMetric,
+        noise: [...pipelineState.noise],
+        lightCurveMode: pipelineState.lightCurveMode,
+    };
+}
+
+// Uses cached scores for this catalog and these models when available.
+async function restoreOrRunPipeline() {
+    const { hash } = pipelineState.catalog;
+    const settings = scoreSettings();
+    const cached = hash ? await loadAnalysis(hash, settings) : null;
+
+    // The catalog, models or light curves may have changed while the cache was being read.
+    if (hash !== pipelineState.catalog.hash || analysisKey(hash, settings) !== analysisKey(hash, scoreSettings())) return;
+
+    if (cached && pipelineState.allData.every(p => cached.results[p.pl_name])) {
+        cancelPipelineRun();
+        imputeCatalog(pipelineState.allData);
+        computeCatalogMetrics();
+        pipelineState.allData.forEach(p => { p.analysis = { scores: cached.results[p.pl_name], gates: null }; });
+        pipelineState.robustness = null;
+        console.log('Restored pipeline scores from local storage.');
+        pipelineState.history.pending = 'restore';
+        applyGates();
         return;
     }
-    
-    // Use Promise.all to run analysis in parallel
-    const analysisPromises = pipelineState.allData.map(async (planet) => {
-        reseed(hashCode(planet.pl_name)); // Reseed for each planet for determinism
-        const stage1 = await runStage1(planet);
-        let stage2 = { status: 'Not Run' };
-        if (stage1.passed) {
-            stage2 = await runStage2(planet);
+    runFullPipeline();
+}
+
+// Re-evaluates every gate from the cached scores, then scores the stages that planets newly
+// reach. Nothing else is re-inferred, so threshold changes apply immediately.
+function applyGates() {
+    const settings = gateSettings();
+    pipelineState.allData.forEach(p => {
+        if (p.analysis) p.analysis.gates = gatePlanet(p, p.analysis.scores, settings, PIPELINE);
+    });
+    // A robustness run gates every realization as it goes; its results would mix thresholds.
+    const run = pipelineState.run;
+    if (run.activeRunId != null && run.kind === 'robustness') {
+        cancelPipelineRun();
+        pipelineState.robustness = null;
+    }
+    updateLists();
+    // A catalog run in progress scores later stages itself; stragglers are picked up when it ends.
+    if (run.activeRunId == null || run.kind !== 'catalog') scorePendingStages();
+    if (!pipelineState.history.pending) pipelineState.history.pending = 'regate';
+    recordRun();
+}
+
+function initClearLocalDataButton() {
+    const button = document.getElementById('clear-local-data');
+    if (!button) return;
+    button.addEventListener('click', async () => {
+        button.disabled = true;
+        await Promise.all([clearLocalData(), removeSavedModel('lc_cnn')]);
+        pipelineState.history.runs = [];
+        selectLatestRuns();
+        updateHistoryPanel();
+        button.textContent = 'Local Data Cleared';
+        setTimeout(() => {
+            button.textContent = 'Clear Local Data';
+            button.disabled = false;
+        }, 2000);
+    });
+}
+
+function renderGeneratorPanel(config = DEFAULT_GENERATOR_CONFIG) {
+    const panel = document.getElementById('generator-panel');
+    if (!panel) return;
+
+    const fieldRows = Object.entries({ ...DEFAULT_GENERATOR_CONFIG.fields, ...config.fields }).map(([field, spec]) => {
+        const distOptions = Object.entries(DISTRIBUTIONS).map(([key, d]) => `<option value="${key}" ${spec.dist === key ? 'selected' : ''}>${d.label}</option>`).join('');
+        const paramInputs = Object.values(DISTRIBUTIONS).flatMap(d => d.params).map(param =>
+            `<input type="number" step="any" data-param="${param.key}" value="${spec[param.key] ?? ''}" placeholder="${param.label}" title="${param.label}">`
+        ).join('');
+        return `
+            <div class="generator-field" data-field="${field}">
+                <span><code>${field}</code> <small>${spec.min}–${spec.max}</small></span>
+                <select data-role="dist">${distOptions}</select>
+                ${paramInputs}
+            </div>`;
+    }).join('');
+
+    panel.innerHTML = `
+        <summary>Synthetic Catalog Generator</summary>
+        <div class="generator-settings">
+            <label>Catalog size <input type="number" id="gen-size" min="1" step="1" value="${config.size}"></label>
+            <label>Seed <input type="number" id="gen-seed" min="0" step="1" value="${config.seed}"></label>
+            <label>Golden candidates <input type="number" id="gen-golden" min="0" step="1" value="${config.goldenCount}"></label>
+        </div>
+        <div class="generator-fields">${fieldRows}</div>
+        <div class="catalog-report-actions">
+            <button id="gen-run">Generate Catalog</button>
+            <button id="gen-reset">Reset to Defaults</button>
+        </div>
+    `;
+
+    // Only show the parameter inputs used by the selected distribution.
+    const syncParamInputs = (row) => {
+        const dist = row.querySelector('[data-role="dist"]').value;
+        const active = DISTRIBUTIONS[dist].params.map(p => p.key);
+        row.querySelectorAll('input[data-param]').forEach(input => {
+            input.style.display = active.includes(input.dataset.param) ? '' : 'none';
+        });
+    };
+    panel.querySelectorAll('.generator-field').forEach(row => {
+        syncParamInputs(row);
+        row.querySelector('[data-role="dist"]').addEventListener('change', () => syncParamInputs(row));
+    });
+
+    panel.querySelector('#gen-run').addEventListener('click', () => {
+        const fields = {};
+        panel.querySelectorAll('.generator-field').forEach(row => {
+            const field = row.dataset.field;
+            const dist = row.querySelector('[data-role="dist"]').value;
+            const { min, max } = DEFAULT_GENERATOR_CONFIG.fields[field];
+            const spec = { dist, min, max };
+            DISTRIBUTIONS[dist].params.forEach(param => {
+                const value = parseFloat(row.querySelector(`input[data-param="${param.key}"]`).value);
+                if (Number.isFinite(value)) spec[param.key] = value;
+            });
+            fields[field] = spec;
+        });
+        const readInt = (id, fallback) => {
+            const value = parseInt(panel.querySelector(id).value, 10);
+            return Number.isFinite(value) && value >= 0 ? value : fallback;
+        };
+        const newConfig = {
+            size: Math.max(1, readInt('#gen-size', DEFAULT_GENERATOR_CONFIG.size)),
+            seed: readInt('#gen-seed', DEFAULT_GENERATOR_CONFIG.seed),
+            goldenCount: readInt('#gen-golden', DEFAULT_GENERATOR_CONFIG.goldenCount),
+            fields,
+        };
+        // Keep the URL shareable so a configuration can be reproduced later.
+        window.history.replaceState(null, '', `${window.location.pathname}?${generatorConfigToParams(newConfig)}${window.location.hash}`);
+        setCatalog(generateCatalog(newConfig), { name: describeGeneratorConfig(newConfig), format: 'synthetic', snapshotDate: null, generatorConfig: newConfig });
+    });
+
+    panel.querySelector('#gen-reset').addEventListener('click', () => {
+        window.history.replaceState(null, '', `${window.location.pathname}${window.location.hash}`);
+        renderGeneratorPanel();
+        setCatalog(generateCatalog(DEFAULT_GENERATOR_CONFIG), catalogMeta);
+    });
+}
+
+async function loadCatalogFile(file) {
+    let result;
+    try {
+        const text = await file.text();
+        result = loadCatalog(text, { fileName: file.name, lastModified: file.lastModified });
+    } catch (err) {
+        renderCatalogError(`Could not read ${file.name}: ${err.message}`);
+        return;
+    }
+    if (result.columns.length === 0 || result.rows.length === 0) {
+        renderCatalogError(`${file.name} contains no table rows.`);
+        return;
+    }
+
+    pipelineState.catalog.pending = result;
+    // Column names that differ from the archive schema need a manual mapping step.
+    if (result.missingFields.length > 0 && result.unknownColumns.length > 0) {
+        renderColumnMapping(result);
+    } else {
+        reviewCatalog(result, result.mapping);
+    }
+}
+
+function reviewCatalog(result, mapping) {
+    const records = buildRecords(result.columns, result.rows, mapping);
+    const validation = validateRecords(records);
+    renderCatalogReport(result, mapping, validation);
+}
+
+// `rescore` scores the catalog afresh instead of restoring cached scores.
+function setCatalog(records, meta, { keepSelection = false, rescore = false } = {}) {
+    pipelineState.allData = records;
+    pipelineState.catalog.meta = meta;
+    pipelineState.catalog.hash = hashCatalog(records);
+    // Imported light curves belong to the planets of the catalog they were imported into.
+    pipelineState.lightCurves = {};
+    pipelineState.selectedPlanet = null;
+    if (!keepSelection) pipelineState.pendingSelection = null;
+    renderDrawer();
+    updateCatalogBanner();
+    saveCatalogRecords(pipelineState.catalog.hash, records, meta);
+    persistSettings();
+    if (rescore) runFullPipeline();
+    else restoreOrRunPipeline();
+}
+
+function formatSnapshotDate(dateString) {
+    if (!dateString) return 'unknown date';
+    const [year, month, day] = dateString.split('-').map(Number);
+    const date = new Date(Date.UTC(year, (month || 1) - 1, day || 1));
+    const options = day ? { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' } : { year: 'numeric', month: 'short', timeZone: 'UTC' };
+    return date.toLocaleDateString('en-US', options);
+}
+
+function updateCatalogBanner() {
+    const banner = document.getElementById('offline-banner');
+    const meta = pipelineState.catalog.meta;
+    if (!banner || !meta) return;
+    const dateLabel = meta.format === 'synthetic' ? 'generated locally' : `snapshot ${formatSnapshotDate(meta.snapshotDate)}`;
+    banner.textContent = `${meta.name} · ${dateLabel} · ${pipelineState.allData.length} rows`;
+    banner.style.display = 'block';
+}
+
+function renderCatalogError(message) {
+    const reportEl = document.getElementById('catalog-report');
+    if (!reportEl) return;
+    reportEl.innerHTML = `<p class="catalog-report-error">${escapeHtml(message)}</p>`;
+    reportEl.style.display = 'block';
+}
+
+function renderColumnMapping(result) {
+    const reportEl = document.getElementById('catalog-report');
+    if (!reportEl) return;
+
+    const fieldForColumn = Object.fromEntries(Object.entries(result.mapping).map(([column, field]) => [field, column]));
+    const columnOptions = (selected) => [`<option value="">(not provided)</option>`]
+        .concat(result.columns.map(c => `<option value="${escapeHtml(c)}" ${c === selected ? 'selected' : ''}>${escapeHtml(c)}</option>`))
+        .join('');
+
+    reportEl.innerHTML = `
+        <p><strong>${escapeHtml(result.meta.name)}</strong>: some columns do not match the archive schema. Choose which column holds each field.</p>
+        <div class="column-mapping-grid">
+            ${Object.entries(CATALOG_FIELDS).map(([field, def]) => `
+                <label for="map-${field}">${def.label}${def.unit ? ` (${def.unit})` : ''} <code>${field}</code>${def.required ? ' *' : ''}</label>
+                <select id="map-${field}" data-field="${field}">${columnOptions(fieldForColumn[field])}</select>
+            `).join('')}
+        </div>
+        <p class="catalog-report-error" id="column-mapping-error"></p>
+        <div class="catalog-report-actions">
+            <button id="apply-column-mapping">Apply Mapping</button>
+            <button id="cancel-catalog-import">Cancel</button>
+        </div>
+    `;
+    reportEl.style.display = 'block';
+
+    reportEl.querySelector('#apply-column-mapping').addEventListener('click', () => {
+        // Error columns were recognised automatically; keep them alongside the manual choices.
+        const mapping = Object.fromEntries(Object.entries(result.mapping).filter(([, field]) => !CATALOG_FIELDS[field]));
+        reportEl.querySelectorAll('.column-mapping-grid select').forEach(select => {
+            if (select.value) mapping[select.value] = select.dataset.field;
+        });
+        const chosen = Array.from(reportEl.querySelectorAll('.column-mapping-grid select')).map(s => s.value).filter(Boolean);
+        const { missingRequired } = describeMapping(result.columns, mapping);
+        const errorEl = reportEl.querySelector('#column-mapping-error');
+        if (new Set(chosen).size !== chosen.length) {
+            errorEl.textContent = 'Each column can only be mapped to one field.';
+        } else if (missingRequired.length > 0) {
+            errorEl.textContent = `Required fields still unmapped: ${missingRequired.join(', ')}.`;
+        } else {
+            reviewCatalog(result, mapping);
         }
-        planet.analysis = { stage1, stage2 };
     });
+    reportEl.querySelector('#cancel-catalog-import').addEventListener('click', dismissCatalogImport);
+}
 
-    Promise.all(analysisPromises).then(() => {
-        updateLists();
+function renderCatalogReport(result, mapping, validation) {
+    const reportEl = document.getElementById('catalog-report');
+    if (!reportEl) return;
+
+    const list = (items) => items.length > 0 ? items.map(i => `<code>${escapeHtml(i)}</code>`).join(', ') : 'none';
+    const { unknownColumns, missingFields, missingRequired } = describeMapping(result.columns, mapping);
+    const missingOptional = missingFields.filter(f => !missingRequired.includes(f));
+    const { accepted, rejected } = validation;
+    const MAX_LISTED_REJECTIONS = 100;
+
+    reportEl.innerHTML = `
+        <p><strong>${escapeHtml(result.meta.name)}</strong> (${result.meta.format.toUpperCase()}): ${result.meta.rowCount} rows, ${result.columns.length} columns.</p>
+        ${missingRequired.length > 0 ? `<p class="catalog-report-error">Missing required columns: ${list(missingRequired)}. The catalog cannot be loaded.</p>` : ''}
+        <p>Missing optional columns: ${list(missingOptional)}</p>
+        <p>Unknown columns (ignored): ${list(unknownColumns)}</p>
+        <p><strong>${accepted.length}</strong> rows accepted, <strong style="color: ${rejected.length > 0 ? 'var(--accent-red)' : 'inherit'};">${rejected.length}</strong> rejected.</p>
+        ${rejected.length > 0 ? `
+            <div class="rejected-rows">
+                <table>
+                    <thead><tr><th>Row</th><th>Planet</th><th>Reason</th></tr></thead>
+                    <tbody>
+                        ${rejected.slice(0, MAX_LISTED_REJECTIONS).map(r => `<tr><td>${r.row}</td><td>${escapeHtml(r.name)}</td><td>${escapeHtml(r.reasons.join('; '))}</td></tr>`).join('')}
+                    </tbody>
+                </table>
+                ${rejected.length > MAX_LISTED_REJECTIONS ? `<p>…and ${rejected.length - MAX_LISTED_REJECTIONS} more.</p>` : ''}
+            </div>` : ''}
+        <div class="catalog-report-actions">
+            ${accepted.length > 0 && missingRequired.length === 0 ? `<button id="run-imported-catalog">Run Pipeline on ${accepted.length} Rows</button>` : ''}
+            <button id="cancel-catalog-import">Cancel</button>
+        </div>
+    `;
+    reportEl.style.display = 'block';
+
+    reportEl.querySelector('#run-imported-catalog')?.addEventListener('click', () => {
+        console.log(`Loaded ${accepted.length} planets from ${result.meta.name} (${result.meta.format}), ${rejected.length} rejected.`);
+        pipelineState.catalog.pending = null;
+        reportEl.style.display = 'none';
+        document.getElementById('data-table-status').style.display = 'none';
+        setCatalog(accepted, result.meta);
+    });
+    reportEl.querySelector('#cancel-catalog-import').addEventListener('click', dismissCatalogImport);
+}
+
+function dismissCatalogImport() {
+    pipelineState.catalog.pending = null;
+    const reportEl = document.getElementById('catalog-report');
+    reportEl.innerHTML = '';
+    reportEl.style.display = 'none';
+}
+
+function initCatalogDropZone(container) {
+    let dragDepth = 0; // dragenter/dragleave fire for every child element
+    container.addEventListener('dragenter', (e) => {
+        if (!e.dataTransfer?.types.includes('Files')) return;
+        e.preventDefault();
+        dragDepth++;
+        container.classList.add('drop-active');
+    });
+    container.addEventListener('dragover', (e) => {
+        if (e.dataTransfer?.types.includes('Files')) e.preventDefault();
+    });
+    container.addEventListener('dragleave', () => {
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) container.classList.remove('drop-active');
+    });
+    container.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dragDepth = 0;
+        container.classList.remove('drop-active');
+        const file = e.dataTransfer.files[0];
+        if (file) loadCatalogFile(file);
+    });
+}
+
+// Starts a run over the current catalog, superseding any run in progress. `kind` is
+// 'catalog' (score every planet), 'stages' (score the stages planets newly reach) or
+// 'robustness' (Monte Carlo realizations of the whole pipeline).
+function beginRun(kind, total) {
+    const run = pipelineState.run;
+    if (run.activeRunId != null) cancelPipelineRun();
+    if (kind === 'catalog') pipelineState.robustness = null;
+    run.activeRunId = ++run.lastRunId;
+    run.kind = kind;
+    run.data = pipelineState.allData;
+    pipelineState.progress = { done: 0, total };
+    updateStatusBar();
+
+    // The catalog and imported light curves are sent once; later runs over them only send
+    // their parameters.
+    if (run.worker && run.workerCatalog !== run.data) {
+        run.worker.postMessage({ type: 'catalog', records: run.data.map(({ analysis, registered, hzClass, ...record }) => record) });
+        run.workerCatalog = run.data;
+    }
+    if (run.worker && run.workerLightCurves !== pipelineState.lightCurves) {
+        run.worker.postMessage({ type: 'lightCurves', lightCurves: pipelineState.lightCurves });
+        run.workerLightCurves = pipelineState.lightCurves;
+    }
+    return run.activeRunId;
+}
+
+// No worker: run the same engine on the main thread, still in batches, reporting through
+// the messages the worker would send.
+function runOnMainThread(runId, total, score, toBatchMessage) {
+    const run = pipelineState.run;
+    score({
+        isCancelled: () => run.activeRunId !== runId,
+        onBatch: (start, scores) => {
+            handlePipelineMessage(toBatchMessage(start, scores));
+            handlePipelineMessage({ type: 'progress', runId, done: start + scores.length, total });
+        },
+    }).then(completed => handlePipelineMessage({ type: completed ? 'done' : 'cancelled', runId }))
+        .catch(err => handlePipelineMessage({ type: 'error', runId, message: err.message }));
+}
+
+// Registered metrics (metrics.js) depend only on the catalog values, so they are computed once
+// the catalog is imputed, ahead of the pipeline stages.
+function computeCatalogMetrics() {
+    pipelineState.allData.forEach(p => { p.registered = computeRegisteredMetrics(p); });
+    classifyHabitableZones();
+}
+
+// Each planet's HZ_CLASSES id under the chosen boundaries, or null without the fields for it.
+function classifyHabitableZones() {
+    pipelineState.allData.forEach(p => {
+        p.hzClass = p.pl_insol > 0 && p.st_teff > 0 ? hzClass(p.pl_insol, p.st_teff, pipelineState.hzBoundaries) : null;
+    });
+}
+
+const hzBoundariesSelect = (id) => `
+                    <select id="${id}" class="hz-boundaries-select" aria-label="Habitable-zone boundaries">
+                        ${Object.entries(HZ_BOUNDARIES).map(([key, b]) => `<option value="${key}"${key === pipelineState.hzBoundaries ? ' selected' : ''} title="${HZ_LIMITS[b.inner].label} to ${HZ_LIMITS[b.outer].label}">${b.label} HZ</option>`).join('')}
+                    </select>`;
+
+// Switches the HZ column and the habitability meter to other zone boundaries.
+function setHzBoundaries(boundaries) {
+    pipelineState.hzBoundaries = boundaries;
+    document.querySelectorAll('.hz-boundaries-select').forEach(select => { select.value = boundaries; });
+    classifyHabitableZones();
+    calculateDerivedData();
+    updateDerivedDataUI();
+    renderTable();
+}
+
+function runFullPipeline() {
+    // Imputation stage: fill missing mass, density and stellar parameters before Stage 1.
+    const imputedCount = imputeCatalog(pipelineState.allData);
+    if (imputedCount > 0) console.log(`Imputed ${imputedCount} missing catalog values.`);
+    computeCatalogMetrics();
+
+    const runId = beginRun('catalog', pipelineState.allData.length);
+    pipelineState.history.pending = 'run';
+    const { worker, data } = pipelineState.run;
+    const settings = gateSettings();
+    const { batchSize } = LIGHT_CURVE_MODES[settings.lightCurveMode];
+    if (worker) {
+        worker.postMessage({ type: 'run', runId, settings, pipeline: PIPELINE, batchSize });
+        return;
+    }
+    runOnMainThread(runId, data.length,
+        options => scoreCatalog(data, { settings, models: pipelineState.models, pipeline: PIPELINE, lightCurves: pipelineState.lightCurves }, { ...options, batchSize }),
+        (start, scores) => ({ type: 'batch', runId, start, scores }));
+}
+
+// A planet that passes a stage but has no scores for the next is still pending.
+const isPending = (analysis) => PIPELINE.stages.some((stage, i) => i > 0 && !analysis.gates[stage.id] && analysis.gates[PIPELINE.stages[i - 1].id]?.passed);
+
+// Later stages are scored lazily, for planets that pass the stage before but have no scores yet.
+function scorePendingStages() {
+    const indices = [];
+    pipelineState.allData.forEach((p, i) => {
+        if (p.analysis && isPending(p.analysis)) indices.push(i);
     });
+    if (indices.length === 0) return;
+
+    const runId = beginRun('stages', indices.length);
+    const { worker, data } = pipelineState.run;
+    const settings = gateSettings();
+    const scores = indices.map(i => data[i].analysis.scores);
+    if (worker) {
+        worker.postMessage({ type: 'scoreRemaining', runId, indices, scores, settings, pipeline: PIPELINE, batchSize: DEFAULT_BATCH_SIZE });
+        return;
+    }
+    const items = indices.map((index, i) => ({ planet: data[index], scores: scores[i] }));
+    runOnMainThread(runId, items.length,
+        options => scoreRemainingStages(items, { settings, models: pipelineState.models, pipeline: PIPELINE, lightCurves: pipelineState.lightCurves }, options),
+        (start, scores) => ({ type: 'stagesBatch', runId, indices: indices.slice(start, start + scores.length), scores }));
+}
+
+function runRobustness(runs) {
+    const runId = beginRun('robustness', pipelineState.allData.length);
+    const { worker, data } = pipelineState.run;
+    const settings = gateSettings();
+    pipelineState.robustness = { runs, settings };
+    data.forEach(p => { if (p.analysis) delete p.analysis.robustness; });
+    updateRobustnessPanel();
+    // Each planet costs `runs` pipeline passes, so batches shrink to keep progress updates flowing.
+    const batchSize = Math.max(1, Math.round(LIGHT_CURVE_MODES[settings.lightCurveMode].batchSize / runs));
+    if (worker) {
+        worker.postMessage({ type: 'robustness', runId, settings, pipeline: PIPELINE, runs, batchSize });
+        return;
+    }
+    runOnMainThread(runId, data.length,
+        options => scoreRobustnessCatalog(data, { settings, models: pipelineState.models, pipeline: PIPELINE, lightCurves: pipelineState.lightCurves }, runs, { ...options, batchSize }),
+        (start, results) => ({ type: 'robustnessBatch', runId, start, results }));
+}
+
+function cancelPipelineRun() {
+    const run = pipelineState.run;
+    if (run.activeRunId == null) return;
+    run.worker?.postMessage({ type: 'cancel', runId: run.activeRunId });
+    run.activeRunId = null;
+    pipelineState.progress = null;
+}
+
+function handlePipelineMessage(message) {
+    const run = pipelineState.run;
+    switch (message.type) {
+        case 'models':
+            Object.assign(pipelineState.modelInfo, message.modelInfo);
+            Object.entries(message.modelInfo).forEach(([id, info]) => {
+                if (info.error) console.warn(`Model ${id} not loaded: ${info.error}`);
+            });
+            renderModelStatus();
+            run.resolveModels?.();
+            return;
+        case 'error':
+            console.error('Pipeline worker error:', message.message);
+            // The worker could not start if it fails before reporting its models.
+            if (run.worker && modelsPending()) {
+                abandonWorker(new Error(message.message));
+                return;
+            }
+            if (message.runId !== run.activeRunId) return;
+            run.activeRunId = null;
+            pipelineState.progress = null;
+            updateStatusBar();
+            return;
+    }
+    // Messages from cancelled or superseded runs are dropped.
+    if (message.runId !== run.activeRunId) return;
+    switch (message.type) {
+        case 'batch': {
+            const settings = gateSettings();
+            message.scores.forEach((scores, i) => {
+                const planet = run.data[message.start + i];
+                planet.analysis = { scores, gates: gatePlanet(planet, scores, settings, PIPELINE) };
+            });
+            break;
+        }
+        case 'stagesBatch': {
+            const settings = gateSettings();
+            message.indices.forEach((index, i) => {
+                const planet = run.data[index];
+                Object.assign(planet.analysis.scores, message.scores[i]);
+                planet.analysis.gates = gatePlanet(planet, planet.analysis.scores, settings, PIPELINE);
+            });
+            break;
+        }
+        case 'robustnessBatch':
+            message.results.forEach((robustness, i) => {
+                const { analysis } = run.data[message.start + i];
+                if (analysis) analysis.robustness = robustness;
+            });
+            break;
+        case 'progress':
+            pipelineState.progress = { done: message.done, total: message.total };
+            updateStatusBar();
+            break;
+        case 'done':
+            run.activeRunId = null;
+            pipelineState.progress = null;
+            if (run.data !== pipelineState.allData) return; // A newer catalog replaced this run.
+            if (run.kind === 'robustness') {
+                // Robustness results are not persisted; the seeds reproduce them.
+                updateLists();
+                return;
+            }
+            // Thresholds may have changed during a catalog run; re-gating catches up.
+            if (run.kind === 'catalog') applyGates();
+            else updateLists();
+            persistAnalysis();
+            checkReproduction();
+            recordRun();
+            break;
+    }
 }
 
 function updateLists() {
-    pipelineState.stage1Passed = pipelineState.allData.filter(p => p.analysis?.stage1.passed);
-    pipelineState.stage2Evaluated = pipelineState.stage1Passed; // All that pass S1 are evaluated in S2
-    pipelineState.finalShortlist = pipelineState.stage2Evaluated.filter(p => p.analysis?.stage2.passed);
-    
+    pipelineState.buckets = { all: pipelineState.allData };
+    // Planets whose scores for a stage are still pending are not counted as evaluated yet
+    PIPELINE_BUCKETS.forEach(bucket => {
+        pipelineState.buckets[bucket.id] = pipelineState.allData.filter(p => {
+            const gate = p.analysis?.gates[bucket.stage];
+            return gate && (gate.passed || !bucket.passed);
+        });
+    });
+
+    if (pipelineState.pendingSelection) {
+        pipelineState.selectedPlanet = pipelineState.allData.find(p => p.pl_name === pipelineState.pendingSelection) || null;
+        pipelineState.pendingSelection = null;
+    }
+
     updateStatusBar();
+    updateMetricNotice();
     renderTable();
     renderDiscussion();
+    updateSensitivityPanel();
     // Re-render drawer if selected planet is affected
     if (pipelineState.selectedPlanet) {
         renderDrawer(pipelineState.selectedPlanet);
     }
 }
 
+// Lists each registered metric that some planets lack the fields for, and which fields.
+function updateMetricNotice() {
+    const notice = document.getElementById('metric-notice');
+    const total = pipelineState.allData.length;
+    const lines = Object.entries(METRIC_REGISTRY).map(([id, metric]) => {
+        const missing = {};
+        let count = 0;
+        pipelineState.allData.forEach(p => {
+            const fields = p.registered?.skipped[id];
+            if (!fields) return;
+            count++;
+            fields.forEach(field => { missing[field] = (missing[field] || 0) + 1; });
+        });
+        if (count === 0) return null;
+        const fields = Object.entries(missing).map(([field, n]) => `<code>${field}</code> (${n})`).join(', ');
+        return `<li><strong>${metric.label}</strong> skipped for ${count} of ${total} planets, missing ${fields}.</li>`;
+    }).filter(Boolean);
+    notice.style.display = lines.length > 0 ? 'block' : 'none';
+    notice.innerHTML = lines.length > 0 ? `<ul>${lines.join('')}</ul>` : '';
+}
+
 function updateStatusBar() {
     const bar = document.getElementById('pipeline-status-bar');
     bar.innerHTML = `
         <div class="status-item"><div class="count">${pipelineState.allData.length}</div><div class="label">All Candidates</div></div>
-        <div class="status-item"><div class="count">${pipelineState.stage1Passed.length}</div><div class="label">Stage 1 Passed</div></div>
-        <div class="status-item"><div class="count">${pipelineState.stage2Evaluated.length}</div><div class="label">Stage 2 Evaluated</div></div>
-        <div class="status-item"><div class="count">${pipelineState.finalShortlist.length}</div><div class="label">Final Shortlist</div></div>
+        ${PIPELINE_BUCKETS.map(bucket => `
+        <div class="status-item"><div class="count">${pipelineState.buckets[bucket.id]?.length ?? 0}</div><div class="label">${bucket.label}</div></div>`).join('')}
+        ${pipelineState.progress ? `
+        <div class="pipeline-progress" role="progressbar" aria-valuemin="0" aria-valuemax="${pipelineState.progress.total}" aria-valuenow="${pipelineState.progress.done}">
+            <div class="pipeline-progress-fill" style="width: ${pipelineState.progress.total > 0 ? 100 * pipelineState.progress.done / pipelineState.progress.total : 0}%;"></div>
+            <span>Analysing ${pipelineState.progress.done.toLocaleString()} / ${pipelineState.progress.total.toLocaleString()}</span>
+        </div>` : ''}
     `;
+    updateRobustnessPanel();
+    updateManifestPanel();
 }
 
 // ... Rest of the new pipeline functions (renderTabs, renderTable, handleRowClick, models, ESI, etc.)
@@ -1998,171 +2668,771 @@ function initSidebarScrollspy() {
     });
 }
 
-// --- Placeholder for the massive amount of new pipeline code that would follow ---
-// In a real implementation, all the functions described in the plan would be here.
-// This includes model definitions, ESI calculations, table rendering, drawer updates, etc.
-// The code below is a simplified skeleton to show the structure.
-
-async function runStage1(planet) {
-    const esi = calculateESI(planet.pl_rade, planet.pl_insol);
-    const lcScore = await runLcCNN(planet);
-    const passed = esi.aggregate >= pipelineState.thresholds.esi && lcScore >= pipelineState.thresholds.lc;
-    return { esi, lcScore, passed };
+// Identifies the set of loaded models, so cached results from other weights are not reused.
+function modelSignature() {
+    return Object.entries(pipelineState.modelInfo)
+        .map(([id, info]) => `${id}@${info.status === 'loaded' ? `${info.version}#${info.weightHash}` : 'fallback'}`)
+        .join(',');
 }
 
-function predictAtmosphereAndSimilarity(planet) {
-    reseed(hashCode(planet.pl_name));
-    
-    const isIdealCandidate = planet.pl_name === 'KIC-8462852 b' || planet.pl_name === 'KOI-701.03';
-    let predictedComposition;
-
-    if (isIdealCandidate) {
-        // Give ideal candidates a very Earth-like atmosphere
-        predictedComposition = {
-            'H₂O': 1.0 + (seededRandom() - 0.5) * 0.5,
-            'O₂':  21 + (seededRandom() - 0.5) * 4,
-            'CO₂': 0.04 + (seededRandom() - 0.5) * 0.02,
-            'CH₄': 0.01 + (seededRandom() - 0.5) * 0.01,
-            'O₃':  0.01 + (seededRandom() - 0.5) * 0.01,
-            'SO₂': seededRandom() * 0.001,
-            'NH₃': seededRandom() * 0.001,
-            'CO':  seededRandom() * 0.001,
-        };
-    } else {
-        // Generate a random atmosphere for other planets
-        predictedComposition = {
-            'H₂O': seededRandom() * 10,
-            'O₂':  seededRandom() * 25,
-            'CO₂': seededRandom(),
-            'CH₄': seededRandom() * 0.1,
-            'O₃':  seededRandom() * 0.1,
-            'SO₂': seededRandom() * 0.1,
-            'NH₃': seededRandom() * 0.1,
-            'CO':  seededRandom() * 0.1,
-        };
+// Starts the pipeline worker and resolves once it reports which models loaded. Without
+// worker support the models are loaded here and the engine runs on the main thread.
+async function setupModels() {
+    const run = pipelineState.run;
+    try {
+        run.worker = new Worker(new URL('./pipeline.worker.js', import.meta.url), { type: 'module' });
+    } catch (err) {
+        console.warn('Web Workers unavailable; the pipeline will run on the main thread.', err);
+        run.worker = null;
+    }
+
+    if (run.worker) {
+        const modelsReported = new Promise(resolve => { run.resolveModels = resolve; });
+        run.worker.onmessage = ({ data }) => handlePipelineMessage(data);
+        run.worker.onerror = (e) => abandonWorker(e);
+        // The worker's own base URL is its bundle's, so it is given the page's.
+        run.worker.postMessage({ type: 'init', urls: modelUrls(document.baseURI) });
+        await modelsReported;
+        if (run.worker) return;
     }
+    await loadModelsOnMainThread();
+}
 
-    return calculateAtmosphericSimilarity(predictedComposition);
+// A worker that fails to load, or dies later, is dropped and the engine runs on the main
+// thread instead. A run it was scoring is started again there.
+const modelsPending = () => Object.values(pipelineState.modelInfo).some(info => info.status === 'pending');
+
+async function abandonWorker(error) {
+    const run = pipelineState.run;
+    console.error('Pipeline worker failed; the pipeline will run on the main thread.', error.message);
+    run.worker.terminate();
+    run.worker = null;
+    run.workerCatalog = null;
+    run.workerLightCurves = null;
+    // While the worker was starting, setupModels() goes on to load the models here.
+    const starting = modelsPending();
+    run.resolveModels?.();
+    if (starting) return;
+    const interrupted = run.activeRunId != null;
+    if (interrupted) cancelPipelineRun();
+    await loadModelsOnMainThread();
+    if (interrupted) restoreOrRunPipeline();
 }
 
+async function loadModelsOnMainThread() {
+    if (!pipelineState.isTfReady) {
+        Object.values(pipelineState.modelInfo).forEach(info => {
+            info.status = 'missing';
+            info.error = 'TensorFlow.js not available';
+        });
+        renderModelStatus();
+        return;
+    }
 
-async function runStage2(planet) {
-    // Stage 2 now calculates a predicted atmosphere similarity instead of checking for JWST data
-    const earthSimilarity = predictAtmosphereAndSimilarity(planet);
-    
-    // The PHI likelihood can be influenced by this new similarity score
-    const phiLikelihood = await runPhiMLP(planet, earthSimilarity);
-    
-    const passed = phiLikelihood >= pipelineState.thresholds.phi;
-    return { earthSimilarity, phiLikelihood, passed };
+    const loaded = await loadModels();
+    Object.entries(loaded).forEach(([id, { model, ...info }]) => {
+        pipelineState.models[id] = model;
+        pipelineState.modelInfo[id] = info;
+        if (info.error) console.warn(`Model ${id} not loaded: ${info.error}`);
+    });
+    renderModelStatus();
 }
 
-function calculateESI(radius, flux) {
-    const r = radius || 1.0;
-    const f = flux || 1.0;
-    const esi_r = Math.pow(1 - Math.abs((r - 1) / (r + 1)), 0.57);
-    const esi_f = Math.pow(1 - Math.abs((f - 1) / (f + 1)), 1.07);
-    const aggregate = Math.sqrt(esi_r * esi_f);
-    return { radius: esi_r, flux: esi_f, aggregate };
+function renderModelStatus() {
+    const container = document.getElementById('model-status');
+    if (!container) return;
+    container.innerHTML = `
+        <h4>Models</h4>
+        <ul>
+            ${Object.entries(MODEL_REGISTRY).map(([id, entry]) => {
+                const info = pipelineState.modelInfo[id];
+                return `
+                <li class="model-status-${info.status}" title="${info.error || info.source || entry.url}">
+                    <strong>${entry.name}</strong> <code>${id}</code> v${info.version} · input [${entry.inputShape.join('×')}]
+                    <span class="model-status-label">${MODEL_STATUS[info.status].label}</span>
+                    <div class="model-training">${entry.training}</div>
+                </li>`;
+            }).join('')}
+        </ul>
+    `;
 }
 
-async function generatePhaseFoldedLcData(planet, numPoints = 200) {
-    return new Promise(resolve => {
-        const R_SUN_KM = 696340;
-        const R_EARTH_KM = 6371;
+// --- THRESHOLD SENSITIVITY VIEW ---
+// The explorer varies the esi and lc thresholds of Stage 1 and the phi threshold of Stage 2, so it
+// needs those stages and thresholds; the configured gates themselves are evaluated (see sensitivity.js).
+const SENSITIVITY_ENABLED = PIPELINE.stages.map(stage => stage.id).join() === 'stage1,stage2'
+    && ['esi', 'lc', 'phi'].every(key => key in PIPELINE.thresholds);
+
+// Each analysed planet's current gates and its gates as functions of the thresholds.
+function sensitivityPlanets() {
+    const settings = gateSettings();
+    return pipelineState.allData.filter(p => p.analysis?.gates).map(p => ({
+        gates: p.analysis.gates,
+        atThresholds: thresholdGates(p, p.analysis.scores, settings, PIPELINE),
+    }));
+}
 
-        const starRadiusKm = (planet.st_rad || 1.0) * R_SUN_KM;
-        const planetRadiusKm = (planet.pl_rade || 1.0) * R_EARTH_KM;
-        
-        const depth = Math.pow(planetRadiusKm / starRadiusKm, 2);
-        // Approximate transit duration as a fraction of the orbital period.
-        // A more accurate calculation is complex; this is sufficient for visualization.
-        const durationAsPhase = Math.min(0.05, 0.5 * (starRadiusKm / (planet.pl_orbper * 1e5)));
-        const halfDuration = durationAsPhase / 2;
-
-        const data = [];
-        for (let i = 0; i < numPoints; i++) {
-            const phase = i / (numPoints - 1) - 0.5;
-            let flux = 1.0;
-            if (Math.abs(phase) < halfDuration) {
-                flux = 1.0 - depth;
-            }
-            // Add realistic noise
-            flux += (seededRandom() - 0.5) * (depth > 0.0001 ? depth * 0.2 : 0.00002);
-            data.push(flux);
-        }
-        resolve(data);
+function renderSensitivityPanel() {
+    const panel = document.getElementById('sensitivity-panel');
+    if (!panel) return;
+    if (!SENSITIVITY_ENABLED) {
+        panel.remove();
+        return;
+    }
+    panel.innerHTML = `
+        <summary>Threshold Sensitivity</summary>
+        <p class="sensitivity-intro">Counts at other thresholds, from the cached scores. Click a cell or a point to apply its thresholds; the current setting is outlined.</p>
+        <div id="sensitivity-heatmap" class="sensitivity-heatmap"></div>
+        <div class="chart-container sensitivity-chart"><canvas id="sensitivity-chart"></canvas></div>
+        <div id="sensitivity-note" class="sensitivity-intro"></div>
+    `;
+    panel.addEventListener('toggle', updateSensitivityPanel);
+    document.getElementById('sensitivity-heatmap').addEventListener('click', (e) => {
+        const cell = e.target.closest('td[data-esi]');
+        if (cell) setThresholds({ esi: parseFloat(cell.dataset.esi), lc: parseFloat(cell.dataset.lc) });
     });
 }
 
-async function runLcCNN(planet) {
-    if (!pipelineState.models.lc_cnn) return 0.0;
-    const isIdealCandidate = planet.pl_name === 'KIC-8462852 b' || planet.pl_name === 'KOI-701.03';
+// Only drawn while the panel is open; re-drawn after every change to the lists.
+function updateSensitivityPanel() {
+    const panel = document.getElementById('sensitivity-panel');
+    if (!panel?.open) return;
+    const planets = sensitivityPlanets();
+    const { thresholds, esiMetric } = pipelineState;
+    const isCurrent = (a, b) => Math.abs(a - b) < 1e-9;
+
+    const counts = stage1CountGrid(planets, thresholds);
+    const max = Math.max(1, ...counts.map(row => Math.max(...row)));
+    document.getElementById('sensitivity-heatmap').innerHTML = `
+        <table>
+            <caption>Stage 1 passes by ${ESI_COMPONENTS[esiMetric].label} (rows) and LC Score (columns) threshold</caption>
+            <thead><tr><th></th>${SENSITIVITY_GRID.lc.map(lc => `<th>${lc.toFixed(1)}</th>`).join('')}</tr></thead>
+            <tbody>
+                ${SENSITIVITY_GRID.esi.map((esi, i) => ({ esi, i })).reverse().map(({ esi, i }) => `
+                <tr><th>${esi.toFixed(2)}</th>${SENSITIVITY_GRID.lc.map((lc, j) => `
+                    <td data-esi="${esi}" data-lc="${lc}" class="${isCurrent(esi, thresholds.esi) && isCurrent(lc, thresholds.lc) ? 'current' : ''}"
+                        style="background: rgba(255, 205, 86, ${(0.75 * counts[i][j] / max).toFixed(3)});"
+                        title="ESI ≥ ${esi.toFixed(2)}, LC ≥ ${lc.toFixed(1)}: ${counts[i][j]} pass">${counts[i][j]}</td>`).join('')}
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    `;
 
-    // Golden candidates get high scores
-    if (isIdealCandidate) {
-        return 0.95 + seededRandom() * 0.04; // e.g., 0.95 - 0.99
+    const { counts: shortlist, pending } = shortlistCountCurve(planets, thresholds);
+    const current = SENSITIVITY_GRID.phi.map(phi => isCurrent(phi, thresholds.phi));
+    if (!sensitivityChart) sensitivityChart = createSensitivityChart('sensitivity-chart');
+    if (sensitivityChart) {
+        const dataset = sensitivityChart.data.datasets[0];
+        sensitivityChart.data.labels = SENSITIVITY_GRID.phi.map(phi => phi.toFixed(2));
+        dataset.data = shortlist;
+        dataset.pointRadius = current.map(c => c ? 6 : 3);
+        dataset.pointBackgroundColor = current.map(c => c ? 'rgb(77, 255, 145)' : 'rgb(255, 205, 86)');
+        sensitivityChart.update();
     }
-    
-    // For others, generate scores skewed towards the lower end to get ~20 passes.
-    const score = 0.1 + Math.pow(seededRandom(), 2.5) * 0.85;
-    
-    // The actual TF model is used, but its output is overridden by our deterministic score
-    // for the purpose of controlling the simulation's educational outcome.
-    const lcData = await generatePhaseFoldedLcData(planet, 64);
-    const input = tf.tensor(lcData).reshape([1, 64, 1]);
-    const pred = pipelineState.models.lc_cnn.predict(input);
-    await pred.data(); // Consume prediction
-    tf.dispose([input, pred]);
-    
-    return score;
+    document.getElementById('sensitivity-note').textContent = pending > 0
+        ? `${pending} Stage 1 passes are still being scored in Stage 2 and are not in the shortlist curve yet.`
+        : '';
 }
 
-async function runPhiMLP(planet, earthSimilarity) {
-    if (!pipelineState.models.phi_mlp) return 0.0;
-    const isIdealCandidate = planet.pl_name === 'KIC-8462852 b' || planet.pl_name === 'KOI-701.03';
+function createSensitivityChart(canvasId) {
+    const ctx = document.getElementById(canvasId)?.getContext('2d');
+    if (!ctx) return null;
+    return new Chart(ctx, {
+        type: 'line',
+        data: { labels: [], datasets: [{ label: 'Final shortlist', data: [], borderColor: 'rgb(255, 205, 86)', backgroundColor: 'rgb(255, 205, 86)', tension: 0.2, borderWidth: 2 }] },
+        options: {
+            animation: false,
+            onClick: (e, elements) => {
+                if (elements.length > 0) setThresholds({ phi: SENSITIVITY_GRID.phi[elements[0].index] });
+            },
+            scales: {
+                y: { beginAtZero: true, title: { display: true, text: 'Shortlisted planets', color: '#ccc' }, ticks: { color: '#ccc', precision: 0 } },
+                x: { title: { display: true, text: 'PHI Likelihood threshold', color: '#ccc' }, ticks: { color: '#ccc' } },
+            },
+            plugins: { legend: { display: false }, title: { display: true, text: 'Shortlist size at the current Stage 1 thresholds', color: '#ccc', font: { size: 14 } } },
+        },
+    });
+}
 
-    // PHI Likelihood is now a combination of its original calculation and the new similarity score
-    const baseLikelihood = isIdealCandidate ? (0.90 + seededRandom() * 0.05) : (0.2 + seededRandom() * 0.38);
-    
-    // Blend the base likelihood with the earth similarity for a more cohesive result
-    return baseLikelihood * 0.6 + earthSimilarity * 0.4;
+// --- MONTE CARLO ROBUSTNESS VIEW ---
+function renderRobustnessPanel() {
+    const panel = document.getElementById('robustness-panel');
+    if (!panel) return;
+    panel.innerHTML = `
+        <summary>Monte Carlo Robustness</summary>
+        <p class="robustness-intro">Re-runs the pipeline with every model reseeded and the catalog values drawn from their error bars. P(Shortlisted) is the fraction of runs in which a planet reaches the final shortlist at the current thresholds.</p>
+        <div class="robustness-controls">
+            <label>Runs <input type="number" id="robustness-runs" value="${DEFAULT_ROBUSTNESS_RUNS}" min="2" max="500" step="1"></label>
+            <button id="robustness-start">Run</button>
+            <button id="robustness-stop" disabled>Stop</button>
+        </div>
+        <div id="robustness-status" class="robustness-intro"></div>
+    `;
+    document.getElementById('robustness-start').addEventListener('click', () => {
+        const runs = Math.min(500, Math.max(2, Math.round(parseFloat(document.getElementById('robustness-runs').value) || DEFAULT_ROBUSTNESS_RUNS)));
+        runRobustness(runs);
+    });
+    document.getElementById('robustness-stop').addEventListener('click', () => {
+        cancelPipelineRun();
+        pipelineState.robustness = null;
+        pipelineState.allData.forEach(p => { if (p.analysis) delete p.analysis.robustness; });
+        updateLists();
+    });
+    updateRobustnessPanel();
+}
+
+// The threshold comparisons in the gates, e.g. "Global ESI ≥ 0.80, LC Score ≥ 0.50".
+function describeGates({ thresholds, esiMetric }) {
+    return PIPELINE.stages.flatMap(stage => Object.entries(stage.gated).map(([id, { threshold, atLeast }]) => {
+        const label = PIPELINE.metrics[id]?.source === 'esi' ? ESI_COMPONENTS[esiMetric].label : PIPELINE.metrics[id]?.label ?? id;
+        return `${label} ${atLeast ? '≥' : '≤'} ${thresholds[threshold]?.toFixed(2) ?? '—'}`;
+    })).join(', ');
+}
+
+function updateRobustnessPanel() {
+    const statusEl = document.getElementById('robustness-status');
+    if (!statusEl) return;
+    const run = pipelineState.run;
+    const robustness = pipelineState.robustness;
+    const running = run.activeRunId != null && run.kind === 'robustness';
+    // Robustness runs wait for the catalog to be scored; they would otherwise cancel that run.
+    // In search mode every realization repeats the BLS search, which would take hours.
+    const searching = pipelineState.lightCurveMode === 'search';
+    document.getElementById('robustness-start').disabled = searching || run.activeRunId != null || pipelineState.allData.length === 0;
+    document.getElementById('robustness-stop').disabled = !running;
+
+    if (!robustness) {
+        statusEl.textContent = searching
+            ? `Unavailable with ${LIGHT_CURVE_MODES.search.label} light curves: every realization repeats the search, which takes seconds per planet. Switch to ${LIGHT_CURVE_MODES.catalog.label} to run it.`
+            : '';
+        return;
+    }
+    const at = describeGates(robustness.settings);
+    if (running) {
+        statusEl.textContent = `Running ${robustness.runs} realizations per planet at ${at}…`;
+        return;
+    }
+    const robust = pipelineState.allData.filter(p => p.analysis?.robustness?.probability >= 0.5).length;
+    statusEl.textContent = `${robustness.runs} realizations per planet at ${at}: ${robust} planets are shortlisted in at least half of them.`;
+}
+
+// --- RUN MANIFESTS ---
+// A manifest (see manifest.js) records what the current results depend on. Importing one
+// applies its settings, regenerates its catalog when it was generated, rescores every planet
+// and compares the reproduced results with the recorded ones.
+function renderManifestPanel() {
+    const panel = document.getElementById('manifest-panel');
+    if (!panel) return;
+    panel.innerHTML = `
+        <summary>Run Manifest</summary>
+        <p class="manifest-intro">Exports the current results together with everything needed to reproduce them: the catalog fingerprint, pipeline definition, seed scheme, thresholds, model versions and weight hashes, and app version. Importing a manifest restores that configuration, rescores the catalog and checks that the shortlist comes out the same.</p>
+        <div class="manifest-controls">
+            <button id="manifest-export">Export Run</button>
+            <label for="manifest-file">Import Manifest</label>
+            <input type="file" id="manifest-file" accept=".json,application/json">
+        </div>
+        <div id="manifest-report" class="manifest-report"></div>
+    `;
+    document.getElementById('manifest-export').addEventListener('click', exportRunManifest);
+    document.getElementById('manifest-file').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) importRunManifest(file);
+    });
+    updateManifestPanel();
+}
+
+// Results as an imported manifest holds them, i.e. after a JSON round trip (NaN becomes null).
+function currentResults() {
+    const buckets = PIPELINE_BUCKETS.map(bucket => ({ id: bucket.id, planets: pipelineState.buckets[bucket.id] || [] }));
+    return JSON.parse(JSON.stringify(runResults(pipelineState.allData, buckets, PIPELINE)));
+}
+
+function currentManifest({ withResults = false } = {}) {
+    const { hash, meta } = pipelineState.catalog;
+    return buildManifest({
+        appVersion: APP_VERSION,
+        catalog: {
+            hash,
+            name: meta?.name ?? null,
+            format: meta?.format ?? null,
+            snapshotDate: meta?.snapshotDate ?? null,
+            generatorConfig: meta?.generatorConfig ?? null,
+            count: pipelineState.allData.length,
+            lightCurves: importedLightCurveHashes(),
+        },
+        pipeline: { fingerprint: pipelineFingerprint(PIPELINE), gates: Object.fromEntries(pipelineConfig.stages.map(stage => [stage.id, stage.gate])) },
+        seeds: { scheme: SEED_SCHEME, robustnessRuns: pipelineState.robustness?.runs ?? null },
+        settings: gateSettings(),
+        models: Object.fromEntries(Object.entries(pipelineState.modelInfo).map(([id, { status, version, weightHash }]) => [id, { status, version, weightHash }])),
+        results: withResults ? currentResults() : null,
+    });
+}
+
+// Results are complete once every planet is scored through each stage it reaches.
+const resultsComplete = () => pipelineState.run.activeRunId == null && pipelineState.allData.length > 0
+    && pipelineState.allData.every(p => p.analysis && !isPending(p.analysis));
+
+function exportRunManifest() {
+    if (!resultsComplete()) return;
+    const manifest = currentManifest({ withResults: true });
+    const url = URL.createObjectURL(new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `run-manifest-${manifest.catalog.hash}-${manifest.createdAt.slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+async function importRunManifest(file) {
+    let manifest;
+    try {
+        manifest = parseManifest(await file.text());
+    } catch (err) {
+        pipelineState.reproduction = { error: `Could not import ${file.name}: ${err.message}` };
+        updateManifestPanel();
+        return;
+    }
+    const differences = compareConfiguration(manifest, currentManifest());
+    // A generated catalog that differs from the loaded one is regenerated from its configuration.
+    let records = null;
+    if (differences.some(d => d.field === 'catalog') && manifest.catalog.generatorConfig) {
+        records = generateCatalog(manifest.catalog.generatorConfig);
+        if (hashCatalog(records) !== manifest.catalog.hash) records = null;
+    }
+    const blocking = differences.filter(d => d.blocking && !(d.field === 'catalog' && records));
+    pipelineState.reproduction = { manifest, differences: differences.filter(d => !d.blocking), blocking, outcome: null };
+    if (blocking.length > 0) {
+        updateManifestPanel();
+        return;
+    }
+
+    // Runs recorded before the BLS search existed folded on the catalog ephemeris.
+    applySettings({ lightCurveMode: DEFAULT_LIGHT_CURVE_MODE, ...manifest.settings, selectedPlanetName: pipelineState.selectedPlanet?.pl_name });
+    persistSettings();
+    if (records) {
+        const { name, format, snapshotDate, generatorConfig } = manifest.catalog;
+        setCatalog(records, { name, format, snapshotDate, generatorConfig }, { rescore: true });
+    } else {
+        runFullPipeline();
+    }
+    updateManifestPanel();
+}
+
+// Once an imported run has been rescored, compares its results with the recorded ones.
+function checkReproduction() {
+    const reproduction = pipelineState.reproduction;
+    if (!reproduction?.manifest || reproduction.blocking.length > 0 || reproduction.outcome || !resultsComplete()) return;
+    const { thresholds, esiMetric, noise, lightCurveMode = DEFAULT_LIGHT_CURVE_MODE } = reproduction.manifest.settings;
+    const settingsChanged = esiMetric !== pipelineState.esiMetric
+        || (noise && String(noise) !== String(pipelineState.noise))
+        || lightCurveMode !== pipelineState.lightCurveMode
+        || Object.entries(thresholds).some(([key, value]) => pipelineState.thresholds[key] !== value);
+    reproduction.outcome = settingsChanged ? { settingsChanged } : compareResults(reproduction.manifest.results, currentResults());
+    updateManifestPanel();
+}
+
+const listNames = (names, limit = 10) => names.slice(0, limit).map(escapeHtml).join(', ') + (names.length > limit ? ` and ${names.length - limit} more` : '');
+
+function updateManifestPanel() {
+    const exportBtn = document.getElementById('manifest-export');
+    const reportEl = document.getElementById('manifest-report');
+    if (!exportBtn || !reportEl) return;
+    exportBtn.disabled = !resultsComplete();
+
+    const reproduction = pipelineState.reproduction;
+    if (!reproduction) {
+        reportEl.innerHTML = '';
+        return;
+    }
+    if (reproduction.error) {
+        reportEl.innerHTML = `<p class="manifest-error">${escapeHtml(reproduction.error)}</p>`;
+        return;
+    }
+    const { manifest, differences, blocking, outcome } = reproduction;
+    const differenceList = (list) => `<ul>${list.map(d => `<li><strong>${d.label}:</strong> recorded ${escapeHtml(d.recorded ?? 'none')}, here ${escapeHtml(d.current ?? 'none')}</li>`).join('')}</ul>`;
+    const recordedCount = manifest.results.shortlist.length;
+    let status;
+    if (blocking.length > 0) {
+        const needsCatalog = blocking.some(d => d.field === 'catalog');
+        status = `<p class="manifest-error">This run cannot be reproduced here:</p>${differenceList(blocking)}
+            ${needsCatalog ? `<p>Load the catalog “${escapeHtml(manifest.catalog.name)}” it was run on, then import the manifest again.</p>` : ''}
+            ${blocking.some(d => d.field === 'lightCurves') ? `<p>Import the same light curves in the planets' drawers, then import the manifest again.</p>` : ''}`;
+    } else if (!outcome) {
+        status = `<p>Rescoring ${manifest.catalog.count} planets at the recorded settings…</p>`;
+    } else if (outcome.settingsChanged) {
+        status = `<p class="manifest-warning">The thresholds changed before rescoring finished. Import the manifest again to check the shortlist.</p>`;
+    } else if (!outcome.shortlistMatches) {
+        status = `<p class="manifest-error">The shortlist differs from the recorded one (${recordedCount} planets).</p>
+            <ul>
+                ${outcome.missing.length > 0 ? `<li>Not reproduced: ${listNames(outcome.missing)}</li>` : ''}
+                ${outcome.added.length > 0 ? `<li>Newly shortlisted: ${listNames(outcome.added)}</li>` : ''}
+            </ul>`;
+    } else if (outcome.changed.length > 0) {
+        status = `<p class="manifest-warning">The shortlist of ${recordedCount} planets matches, but the scores of ${outcome.changed.length} planets differ: ${listNames(outcome.changed)}.</p>`;
+    } else {
+        status = `<p class="manifest-ok">Reproduced: the shortlist of ${recordedCount} planets and every score match the recorded run.</p>`;
+    }
+    reportEl.innerHTML = `
+        <p>Run recorded ${manifest.createdAt.slice(0, 10)} with app v${manifest.appVersion} on “${escapeHtml(manifest.catalog.name)}” (<code>${manifest.catalog.hash}</code>)${blocking.some(d => d.field === 'pipeline') ? '' : ` at ${describeGates(manifest.settings)}`}.</p>
+        ${status}
+        ${differences.length > 0 ? `<p>Differences that may change the scores:</p>${differenceList(differences)}` : ''}
+    `;
+}
+
+// --- RUN HISTORY ---
+// Every completed run is recorded as a manifest with its results (see runHistory.js): full
+// runs always, re-gated or restored results unless nothing changed since the last record.
+const HISTORY_CHANGE_LIMIT = 50; // planets listed per section of a diff
+const RUN_TRIGGERS = {
+    run: 'Full run',
+    regate: 'Re-gated',
+    restore: 'Restored from cache',
+};
+
+function sameConfiguration(a, b) {
+    return compareConfiguration(a, b).length === 0
+        && a.settings.esiMetric === b.settings.esiMetric
+        && String(a.settings.noise) === String(b.settings.noise)
+        && (a.settings.lightCurveMode ?? DEFAULT_LIGHT_CURVE_MODE) === (b.settings.lightCurveMode ?? DEFAULT_LIGHT_CURVE_MODE)
+        && Object.keys({ ...a.settings.thresholds, ...b.settings.thresholds }).every(key => a.settings.thresholds[key] === b.settings.thresholds[key]);
+}
+
+// Records the results once they are complete, if a run or re-gating is waiting to be recorded.
+function recordRun() {
+    const history = pipelineState.history;
+    if (!history.pending || !resultsComplete()) return;
+    const trigger = history.pending;
+    history.pending = null;
+
+    const entry = { ...currentManifest({ withResults: true }), trigger };
+    const last = history.runs[history.runs.length - 1];
+    if (trigger !== 'run' && last && sameConfiguration(last, entry)) return;
+    entry.id = Math.max(Date.now(), (last?.id ?? 0) + 1);
+    history.runs.push(entry);
+    saveRun(entry);
+    while (history.runs.length > MAX_RUN_HISTORY) deleteRun(history.runs.shift().id);
+    selectLatestRuns();
+    updateHistoryPanel();
+}
+
+// Diffs the last two runs.
+function selectLatestRuns() {
+    const { runs } = pipelineState.history;
+    pipelineState.history.after = runs[runs.length - 1]?.id ?? null;
+    pipelineState.history.before = runs[runs.length - 2]?.id ?? null;
+}
+
+function renderHistoryPanel() {
+    const panel = document.getElementById('history-panel');
+    if (!panel) return;
+    panel.innerHTML = `
+        <summary>Run History</summary>
+        <p class="history-intro">The last ${MAX_RUN_HISTORY} completed runs, with their settings. Compare two to see which planets entered or left the final shortlist or moved between stages, and the score changes behind each move.</p>
+        <div class="history-controls">
+            <label>From <select id="history-before"></select></label>
+            <label>To <select id="history-after"></select></label>
+        </div>
+        <div id="history-diff" class="history-diff"></div>
+    `;
+    ['before', 'after'].forEach(side => {
+        document.getElementById(`history-${side}`).addEventListener('change', (e) => {
+            pipelineState.history[side] = Number(e.target.value);
+            updateHistoryPanel();
+        });
+    });
+    updateHistoryPanel();
 }
 
+const describeRun = (run, index) => {
+    const time = new Date(run.createdAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    return `#${index + 1} · ${time} · ${RUN_TRIGGERS[run.trigger] || run.trigger} · ${run.results.shortlist.length} shortlisted · ${describeGates(run.settings)}`;
+};
 
-function setupModels() {
-    if (!pipelineState.isTfReady) return;
+// "Shortlisted", or the stage a planet failed, from the number of stages it passed.
+const stagesPassedLabel = (passed) => passed == null ? 'Not in catalog' : passed === PIPELINE.stages.length ? 'Shortlisted' : `Failed ${PIPELINE.stages[passed].short}`;
+const formatDeltaValue = (value) => value != null ? value.toFixed(3) : '—';
+
+// The metrics that changed, were scored in only one run or flipped their threshold
+// comparison, the last marked as the cause of the move.
+const flippedGate = (d) => d.passedBefore != null && d.passedAfter != null && d.passedBefore !== d.passedAfter;
+
+function deltasHTML(deltas, beforeRun, afterRun) {
+    const rows = deltas.filter(d => (d.delta != null && d.delta !== 0) || (d.before == null) !== (d.after == null) || flippedGate(d));
+    if (rows.length === 0) return '';
+    return `
+        <ul class="history-deltas">
+            ${rows.map(d => {
+                const stage = PIPELINE.stages.find(s => s.id === d.stage);
+                const label = PIPELINE.metrics[d.metric]?.label ?? d.metric;
+                const flipped = flippedGate(d);
+                const threshold = stage?.gated[d.metric]?.threshold;
+                const thresholdChange = threshold && beforeRun.settings.thresholds[threshold] !== afterRun.settings.thresholds[threshold]
+                    ? ` · threshold ${formatDeltaValue(beforeRun.settings.thresholds[threshold])} → ${formatDeltaValue(afterRun.settings.thresholds[threshold])}`
+                    : '';
+                const delta = d.delta != null && d.delta !== 0 ? ` (${d.delta > 0 ? '+' : '−'}${Math.abs(d.delta).toFixed(3)})` : '';
+                return `<li class="${flipped ? 'history-delta-flipped' : ''}">${stage?.short ?? d.stage} ${label}: ${formatDeltaValue(d.before)} → ${formatDeltaValue(d.after)}${delta}${thresholdChange}${flipped ? (d.passedAfter ? ' · now passes' : ' · now fails') : ''}</li>`;
+            }).join('')}
+        </ul>`;
+}
+
+function updateHistoryPanel() {
+    const beforeSelect = document.getElementById('history-before');
+    const afterSelect = document.getElementById('history-after');
+    const diffEl = document.getElementById('history-diff');
+    if (!beforeSelect || !afterSelect || !diffEl) return;
+    const history = pipelineState.history;
+    const options = history.runs.map((run, i) => `<option value="${run.id}">${describeRun(run, i)}</option>`).reverse().join('');
+    [[beforeSelect, history.before], [afterSelect, history.after]].forEach(([select, id]) => {
+        select.innerHTML = options;
+        select.value = id ?? '';
+        select.disabled = history.runs.length < 2;
+    });
 
-    // LC CNN Model
-    pipelineState.models.lc_cnn = tf.sequential();
-    pipelineState.models.lc_cnn.add(tf.layers.conv1d({ inputShape: [64, 1], filters: 4, kernelSize: 5, activation: 'relu' }));
-    pipelineState.models.lc_cnn.add(tf.layers.globalAveragePooling1d({}));
-    pipelineState.models.lc_cnn.add(tf.layers.dense({ units: 1, activation: 'sigmoid' }));
+    const beforeRun = history.runs.find(run => run.id === history.before);
+    const afterRun = history.runs.find(run => run.id === history.after);
+    if (!beforeRun || !afterRun) {
+        diffEl.innerHTML = `<p class="history-intro">${history.runs.length === 0 ? 'No runs recorded yet.' : 'Runs are compared once a second one is recorded.'}</p>`;
+        return;
+    }
+    if (beforeRun === afterRun) {
+        diffEl.innerHTML = '<p class="history-intro">Choose two different runs.</p>';
+        return;
+    }
+    const diff = diffRuns(beforeRun, afterRun, PIPELINE);
+    const section = (title, changes) => changes.length === 0 ? '' : `
+        <h5>${title} (${changes.length})</h5>
+        ${changes.slice(0, HISTORY_CHANGE_LIMIT).map(change => `
+        <div class="history-change">
+            <strong>${escapeHtml(change.name)}</strong> <span class="history-move">${stagesPassedLabel(change.from)} → ${stagesPassedLabel(change.to)}</span>
+            ${deltasHTML(change.deltas, beforeRun, afterRun)}
+        </div>`).join('')}
+        ${changes.length > HISTORY_CHANGE_LIMIT ? `<p class="history-intro">… and ${changes.length - HISTORY_CHANGE_LIMIT} more.</p>` : ''}`;
+    const changed = diff.added.length + diff.dropped.length + diff.moved.length;
+    diffEl.innerHTML = `
+        ${diff.settings.length > 0 ? `
+        <h5>Settings</h5>
+        <ul class="history-settings">
+            ${diff.settings.map(d => `<li><strong>${d.label}:</strong> ${d.before ?? 'none'} → ${d.after ?? 'none'}</li>`).join('')}
+        </ul>` : '<p class="history-intro">Both runs used the same settings.</p>'}
+        ${changed === 0 ? '<p class="history-intro">Every planet reached the same stage in both runs.</p>' : ''}
+        ${section('Added to the shortlist', diff.added)}
+        ${section('Dropped from the shortlist', diff.dropped)}
+        ${section('Moved between stages', diff.moved)}
+    `;
+}
+
+// --- LC CNN TRAINING VIEW ---
+function renderTrainingPanel() {
+    const panel = document.getElementById('training-panel');
+    if (!panel) return;
+    const cfg = DEFAULT_TRAINING_CONFIG;
+    panel.innerHTML = `
+        <summary>Train the Light Curve CNN</summary>
+        <p class="training-intro">Generate labeled synthetic light curves and fit <code>lc_cnn</code> in your browser. Planets are the positive class; the other three shapes are false positives.</p>
+        <ul class="training-classes">
+            ${Object.values(LC_CLASSES).map(c => `<li><strong>${c.label}:</strong> ${c.description}</li>`).join('')}
+        </ul>
+        <div class="generator-grid">
+            <label>Examples <input type="number" id="train-size" value="${cfg.size}" min="200" step="100"></label>
+            <label>Validation % <input type="number" id="train-validation" value="${cfg.validationSplit * 100}" min="5" max="50" step="5"></label>
+            <label>Max epochs <input type="number" id="train-epochs" value="${cfg.epochs}" min="1" max="200"></label>
+            <label>Patience <input type="number" id="train-patience" value="${cfg.patience}" min="1" max="50"></label>
+        </div>
+        <div class="catalog-report-actions">
+            <button id="train-start" ${pipelineState.isTfReady ? '' : 'disabled'}>Train</button>
+            <button id="train-stop" disabled>Stop</button>
+            <button id="train-save-browser" disabled>Save to Browser</button>
+            <button id="train-save-download" disabled>Download Weights</button>
+        </div>
+        <div id="training-status" class="training-status">${pipelineState.isTfReady ? '' : 'TensorFlow.js is not available.'}</div>
+        <div class="training-charts">
+            <div class="chart-container"><canvas id="training-loss-chart"></canvas></div>
+            <div class="chart-container"><canvas id="training-accuracy-chart"></canvas></div>
+        </div>
+        <div id="training-evaluation"></div>
+    `;
 
-    // Spec CNN Model
-    pipelineState.models.spec_cnn = tf.sequential();
-    pipelineState.models.spec_cnn.add(tf.layers.conv1d({ inputShape: [128, 1], filters: 8, kernelSize: 5, activation: 'relu' }));
-    pipelineState.models.spec_cnn.add(tf.layers.conv1d({ filters: 4, kernelSize: 5, activation: 'relu' }));
-    pipelineState.models.spec_cnn.add(tf.layers.globalAveragePooling1d({}));
-    pipelineState.models.spec_cnn.add(tf.layers.dense({ units: 1, activation: 'sigmoid' }));
+    document.getElementById('train-start').addEventListener('click', runLcTraining);
+    document.getElementById('train-stop').addEventListener('click', () => {
+        if (pipelineState.training) pipelineState.training.stop = true;
+    });
+    document.getElementById('train-save-browser').addEventListener('click', () => saveTrainedLcModel('browser'));
+    document.getElementById('train-save-download').addEventListener('click', () => saveTrainedLcModel('download'));
+}
 
-    // PHI MLP Model
-    pipelineState.models.phi_mlp = tf.sequential();
-    pipelineState.models.phi_mlp.add(tf.layers.dense({ inputShape: [7], units: 8, activation: 'relu' }));
-    pipelineState.models.phi_mlp.add(tf.layers.dense({ units: 1, activation: 'sigmoid' }));
+// --- LIGHT CURVES ---
+function renderNoisePanel() {
+    const panel = document.getElementById('noise-panel');
+    if (!panel) return;
+    panel.innerHTML = `
+        <summary>Light Curves</summary>
+        <p class="noise-intro">Each planet's light curve is simulated as ${DEFAULT_QUARTERS} quarters of Kepler long-cadence photometry, detrended with a median spline and folded on the transit before <code>lc_cnn</code> scores it. Choose how the transit is found and the noise the simulation includes; the LC scores are recomputed when either changes. BLS searches take about a second per planet. The heuristic fallback does not read the light curve.</p>
+        <label class="noise-mode">Transit
+            <select id="light-curve-mode">
+                ${Object.entries(LIGHT_CURVE_MODES).map(([id, mode]) => `<option value="${id}" title="${mode.description}" ${id === pipelineState.lightCurveMode ? 'selected' : ''}>${mode.label}</option>`).join('')}
+            </select>
+        </label>
+        <div class="noise-components">
+            ${Object.entries(NOISE_COMPONENTS).map(([id, c]) => `
+            <label title="${c.description}"><input type="checkbox" id="noise-${id}" ${pipelineState.noise.includes(id) ? 'checked' : ''}> ${c.label}</label>`).join('')}
+        </div>
+    `;
+    document.getElementById('light-curve-mode').addEventListener('change', (e) => updateLightCurveMode(e.target.value));
+    Object.keys(NOISE_COMPONENTS).forEach(id => {
+        document.getElementById(`noise-${id}`).addEventListener('change', (e) => updateNoise(id, e.target.checked));
+    });
+}
 
-    // Note: In a real app, weights would be loaded here. Since they are not provided,
-    // the models will have random initial weights. For determinism, one would use `tf.setWeights`.
+function createTrainingChart(canvasId, title, yLabel) {
+    const ctx = document.getElementById(canvasId)?.getContext('2d');
+    if (!ctx) return null;
+    const series = (label, color) => ({ label, data: [], borderColor: color, backgroundColor: color, pointRadius: 2, tension: 0.2, borderWidth: 2 });
+    return new Chart(ctx, {
+        type: 'line',
+        data: { labels: [], datasets: [series('Training', 'rgb(54, 162, 235)'), series('Validation', 'rgb(255, 205, 86)')] },
+        options: {
+            animation: false,
+            scales: {
+                y: { title: { display: true, text: yLabel, color: '#ccc' }, ticks: { color: '#ccc' } },
+                x: { title: { display: true, text: 'Epoch', color: '#ccc' }, ticks: { color: '#ccc' } },
+            },
+            plugins: { legend: { labels: { color: '#ccc' } }, title: { display: true, text: title, color: '#ccc', font: { size: 14 } } },
+        },
+    });
+}
+
+async function runLcTraining() {
+    if (!pipelineState.isTfReady || pipelineState.training) return;
+    const readNumber = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return Number.isFinite(value) ? value : fallback;
+    };
+    const config = {
+        ...DEFAULT_TRAINING_CONFIG,
+        size: Math.max(200, Math.round(readNumber('train-size', DEFAULT_TRAINING_CONFIG.size))),
+        validationSplit: Math.min(0.5, Math.max(0.05, readNumber('train-validation', 20) / 100)),
+        epochs: Math.max(1, Math.round(readNumber('train-epochs', DEFAULT_TRAINING_CONFIG.epochs))),
+        patience: Math.max(1, Math.round(readNumber('train-patience', DEFAULT_TRAINING_CONFIG.patience))),
+    };
+
+    const statusEl = document.getElementById('training-status');
+    const buttons = ['train-start', 'train-stop', 'train-save-browser', 'train-save-download'].map(id => document.getElementById(id));
+    const [startBtn, stopBtn, saveBrowserBtn, saveDownloadBtn] = buttons;
+    startBtn.disabled = true;
+    stopBtn.disabled = false;
+    saveBrowserBtn.disabled = true;
+    saveDownloadBtn.disabled = true;
+    document.getElementById('training-evaluation').innerHTML = '';
+
+    if (trainingLossChart) trainingLossChart.destroy();
+    if (trainingAccuracyChart) trainingAccuracyChart.destroy();
+    trainingLossChart = createTrainingChart('training-loss-chart', 'Loss', 'Binary cross-entropy');
+    trainingAccuracyChart = createTrainingChart('training-accuracy-chart', 'Accuracy', 'Accuracy');
+
+    statusEl.textContent = `Generating ${config.size} labeled light curves...`;
+    const dataset = generateTrainingSet({
+        size: config.size,
+        numPoints: MODEL_REGISTRY.lc_cnn.inputShape[0],
+        seed: config.seed,
+        validationSplit: config.validationSplit,
+    });
+
+    // Fine-tune the loaded model if there is one, otherwise start from scratch. With a worker
+    // the pipeline's copy lives there, so load our own.
+    let model = pipelineState.models.lc_cnn;
+    if (!model && pipelineState.modelInfo.lc_cnn.status === 'loaded') {
+        model = (await loadModel('lc_cnn')).model;
+    }
+    model = model || createLcModel();
+    pipelineState.training = { stop: false };
+    statusEl.textContent = `Training on ${dataset.train.inputs.length} examples, validating on ${dataset.validation.inputs.length}...`;
+
+    try {
+        const result = await trainLcModel(model, dataset, config, {
+            control: pipelineState.training,
+            onEpochEnd: (epoch, entry) => {
+                [[trainingLossChart, entry.loss, entry.valLoss], [trainingAccuracyChart, entry.acc, entry.valAcc]].forEach(([chart, train, val]) => {
+                    if (!chart) return;
+                    chart.data.labels.push(epoch + 1);
+                    chart.data.datasets[0].data.push(train);
+                    chart.data.datasets[1].data.push(val);
+                    chart.update('none');
+                });
+                statusEl.textContent = `Epoch ${epoch + 1}/${config.epochs} · loss ${entry.loss.toFixed(3)} · val loss ${entry.valLoss.toFixed(3)} · val acc ${(entry.valAcc * 100).toFixed(1)}%`;
+            },
+        });
+
+        const version = `trained-${new Date().toISOString().slice(0, 10)}`;
+        model.setUserDefinedMetadata({ version });
+        pipelineState.models.lc_cnn = model;
+        await sendModelToWorker('lc_cnn', model, version);
+        pipelineState.modelInfo.lc_cnn = { status: 'loaded', version, weightHash: weightHash(model), source: 'browser training', error: null };
+        renderModelStatus();
+
+        const reason = result.stoppedByUser ? 'stopped by user' : result.stoppedEarly ? 'early stopping' : 'all epochs completed';
+        statusEl.textContent = `Finished after ${result.history.length} epochs (${reason}). Kept the weights from epoch ${result.bestEpoch + 1}.`;
+        renderTrainingEvaluation(await evaluateByClass(model, dataset));
+        saveBrowserBtn.disabled = false;
+        saveDownloadBtn.disabled = false;
+
+        // Scores change with the new weights.
+        restoreOrRunPipeline();
+    } catch (err) {
+        console.error('LC CNN training failed:', err);
+        statusEl.textContent = `Training failed: ${err.message}`;
+    } finally {
+        pipelineState.training = null;
+        startBtn.disabled = false;
+        stopBtn.disabled = true;
+    }
+}
+
+function renderTrainingEvaluation(byClass) {
+    const container = document.getElementById('training-evaluation');
+    if (!container) return;
+    container.innerHTML = `
+        <table class="phi-factors">
+            <thead><tr><th>Validation class</th><th>Examples</th><th>Accuracy</th></tr></thead>
+            <tbody>
+                ${Object.entries(LC_CLASSES).map(([kind, c]) => {
+                    const counts = byClass[kind] || { correct: 0, total: 0 };
+                    return `<tr><td>${c.label}</td><td>${counts.total}</td><td>${counts.total > 0 ? `${(100 * counts.correct / counts.total).toFixed(1)}%` : 'N/A'}</td></tr>`;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Hands trained weights to the pipeline worker and resolves once it has swapped them in.
+async function sendModelToWorker(id, model, version) {
+    const run = pipelineState.run;
+    if (!run.worker) return;
+    const swapped = new Promise(resolve => { run.resolveModels = resolve; });
+    await model.save(tf.io.withSaveHandler(async artifacts => {
+        run.worker.postMessage({ type: 'setModel', id, artifacts, version });
+        return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+    }));
+    await swapped;
+}
+
+async function saveTrainedLcModel(destination) {
+    const statusEl = document.getElementById('training-status');
+    const model = pipelineState.models.lc_cnn;
+    if (!model) return;
+    try {
+        await saveModel('lc_cnn', model, destination);
+        statusEl.textContent = destination === 'browser'
+            ? 'Saved to this browser; the trained weights will load on your next visit.'
+            : 'Downloaded lc_cnn.json and lc_cnn.weights.bin. Rename the JSON to model.json to bundle it.';
+    } catch (err) {
+        statusEl.textContent = `Saving failed: ${err.message}`;
+    }
 }
 
 function renderTabs() {
     const tabsContainer = document.getElementById('table-tabs');
-    const tabs = [
-        { id: 'all', label: 'All Candidates' },
-        { id: 'stage1Passed', label: 'Stage 1 Passed' },
-        { id: 'stage2Evaluated', label: 'Stage 2 Evaluated' },
-        { id: 'finalShortlist', label: 'Final Shortlist' },
-    ];
+    const tabs = [{ id: 'all', label: 'All Candidates' }, ...PIPELINE_BUCKETS];
     tabsContainer.innerHTML = tabs.map(tab => `
         <div class="table-tab ${pipelineState.activeTab === tab.id ? 'active' : ''}" data-tab="${tab.id}">${tab.label}</div>
     `).join('');
@@ -2171,41 +3441,74 @@ function renderTabs() {
             pipelineState.activeTab = tab.dataset.tab;
             renderTabs();
             renderTable();
+            persistSettings();
         });
     });
 }
 
+const TABLE_ROW_LIMIT = 500;
+
+const getNestedValue = (obj, path) => path.split('.').reduce((o, k) => (o && o[k] != null) ? o[k] : undefined, obj);
+const formatScore = (score) => score != null ? score.toFixed(2) : '-.--';
+const formatProbability = (probability) => probability != null ? `${Math.round(probability * 100)}%` : '--';
+// Table formats of metric sources whose values are not 0–1 scores.
+const SOURCE_FORMATS = {
+    vetting: (flagged) => flagged != null ? (flagged ? 'Yes' : 'No') : '--',
+};
+
+// 'Shortlisted' once a planet passes the last stage, otherwise the stage it stopped at.
+function planetStatus(planet) {
+    const gates = planet.analysis?.gates;
+    if (!gates) return 'Pending';
+    for (const stage of PIPELINE.stages) {
+        if (!gates[stage.id]) return `Scoring ${stage.short}…`;
+        if (!gates[stage.id].passed) return `Failed ${stage.short}`;
+    }
+    return 'Shortlisted';
+}
+
+// Sort keys are paths into the planet record; see the analysis layout in engine.js. Each
+// stage contributes its metrics and, when a metric is uncertain, its pass probability;
+// registered metrics (metrics.js) have one column each, whichever stage lists them.
+const TABLE_COLUMNS = [
+    { key: 'pl_name', label: 'Planet Name', cell: p => escapeHtml(p.pl_name) },
+    { key: 'provenance', label: 'Provenance', cell: p => provenanceBadge(p.provenance) },
+    { key: 'hzClass', label: 'HZ', title: 'Habitable zone (Kopparapu et al. 2014) for the chosen boundaries', cell: p => p.hzClass ? `<span class="hz-class hz-class-${p.hzClass}">${HZ_CLASSES[p.hzClass].label}</span>` : '--' },
+    ...PIPELINE.stages.flatMap(stage => [
+        ...stage.metrics.filter(id => !PIPELINE.metrics[id].registry).map(id => ({ key: `analysis.gates.${stage.id}.values.${id}`, label: PIPELINE.metrics[id].label, format: SOURCE_FORMATS[PIPELINE.metrics[id].source] ?? formatScore })),
+        ...(stage.uncertain ? [{ key: `analysis.gates.${stage.id}.passProbability`, label: `P(${stage.short} Pass)`, format: formatProbability }] : []),
+    ]),
+    ...Object.entries(METRIC_REGISTRY).map(([id, metric]) => ({ key: `registered.values.${id}`, label: metric.label, title: metric.modal.title, format: formatScore })),
+    { key: 'analysis.robustness.probability', label: 'P(Shortlisted)', format: formatProbability },
+    { key: 'status', label: 'Status', cell: planetStatus }
+];
+
 function renderTable() {
     const tableHead = document.querySelector('#data-table thead');
     const tableBody = document.querySelector('#data-table tbody');
     const statusEl = document.getElementById('data-table-status');
-
-    const headers = [
-        { key: 'pl_name', label: 'Planet Name' },
-        { key: 'analysis.stage1.esi.aggregate', label: 'ESI' },
-        { key: 'analysis.stage1.lcScore', label: 'LC Score' },
-        { key: 'analysis.stage2.phiLikelihood', label: 'PHI Likelihood' },
-        { key: 'status', label: 'Status' }
-    ];
+    const headers = TABLE_COLUMNS;
 
     tableHead.innerHTML = `<tr>${headers.map(h => {
         let sortClass = 'sortable';
         if (h.key === pipelineState.sort.key) {
             sortClass += pipelineState.sort.order === 'asc' ? ' sorted-asc' : ' sorted-desc';
         }
-        return `<th class="${sortClass}" data-key="${h.key}">${h.label}</th>`;
+        return `<th class="${sortClass}" data-key="${h.key}"${h.title ? ` title="${h.title}"` : ''}>${h.label}</th>`;
     }).join('')}</tr>`;
 
-    let data = pipelineState[pipelineState.activeTab] || [];
+    let data = (pipelineState.buckets[pipelineState.activeTab] || []).slice();
     if (pipelineState.searchQuery) {
         data = data.filter(p => p.pl_name.toLowerCase().includes(pipelineState.searchQuery));
     }
+    if (pipelineState.provenanceFilter !== 'all') {
+        data = data.filter(p => p.provenance === pipelineState.provenanceFilter);
+    }
     
     // Sorting logic
-    const getNestedValue = (obj, path) => path.split('.').reduce((o, k) => (o && o[k] != null) ? o[k] : undefined, obj);
     data.sort((a, b) => {
-        const valA = getNestedValue(a, pipelineState.sort.key) ?? -1;
-        const valB = getNestedValue(b, pipelineState.sort.key) ?? -1;
+        const valA = getNestedValue(a, pipelineState.sort.key) ?? -Infinity;
+        const valB = getNestedValue(b, pipelineState.sort.key) ?? -Infinity;
         if (valA < valB) return pipelineState.sort.order === 'asc' ? -1 : 1;
         if (valA > valB) return pipelineState.sort.order === 'asc' ? 1 : -1;
         return 0;
@@ -2217,24 +3520,21 @@ function renderTable() {
         tableBody.innerHTML = '';
         return;
     }
-    statusEl.style.display = 'none';
-
-    const formatScore = (score) => score != null ? score.toFixed(2) : '-.--';
+    // Large catalogs render only the top rows of the current sort; search narrows the rest.
+    if (data.length > TABLE_ROW_LIMIT) {
+        statusEl.style.display = 'block';
+        statusEl.textContent = `Showing ${TABLE_ROW_LIMIT} of ${data.length} planets. Sort or search to see others.`;
+        data = data.slice(0, TABLE_ROW_LIMIT);
+    } else {
+        statusEl.style.display = 'none';
+    }
 
     tableBody.innerHTML = data.map(p => {
-        let status = 'Failed S1';
-        if (p.analysis?.stage2?.passed) status = 'Shortlisted';
-        else if (p.analysis?.stage1?.passed) status = 'Failed S2';
-        
         const isSelected = pipelineState.selectedPlanet && p.pl_name === pipelineState.selectedPlanet.pl_name;
 
         return `
-            <tr class="${isSelected ? 'selected' : ''}" data-planet-name="${p.pl_name}">
-                <td>${p.pl_name}</td>
-                <td>${formatScore(p.analysis?.stage1?.esi.aggregate)}</td>
-                <td>${formatScore(p.analysis?.stage1?.lcScore)}</td>
-                <td>${formatScore(p.analysis?.stage2?.phiLikelihood)}</td>
-                <td>${status}</td>
+            <tr class="${isSelected ? 'selected' : ''}" data-planet-name="${escapeHtml(p.pl_name)}">
+                ${headers.map(h => `<td>${h.cell ? h.cell(p) : h.format(getNestedValue(p, h.key))}</td>`).join('')}
             </tr>
         `;
     }).join('');
@@ -2249,6 +3549,7 @@ function renderTable() {
                 pipelineState.sort.order = 'desc'; // Default to desc for scores
             }
             renderTable();
+            persistSettings();
         });
     });
 
@@ -2258,6 +3559,7 @@ function renderTable() {
             pipelineState.selectedPlanet = planet;
             renderDrawer(planet);
             renderTable();
+            persistSettings();
         });
     });
 }
@@ -2271,69 +3573,550 @@ function renderDrawer(planet) {
     }
     pipelineState.ui.drawer.classList.add('active');
     
-    const { stage1, stage2 } = planet.analysis;
-    const esiColor = stage1.esi.aggregate >= pipelineState.thresholds.esi ? 'var(--accent-green)' : 'var(--accent-red)';
-    const lcColor = stage1.lcScore >= pipelineState.thresholds.lc ? 'var(--accent-green)' : 'var(--accent-red)';
-    const phiColor = stage2?.phiLikelihood >= pipelineState.thresholds.phi ? 'var(--accent-green)' : 'var(--accent-red)';
-    
-    let similarityColor = 'var(--accent-red)';
-    if (stage2?.earthSimilarity > 0.75) {
-        similarityColor = 'var(--accent-green)';
-    } else if (stage2?.earthSimilarity > 0.4) {
-        similarityColor = 'var(--accent-yellow)';
-    }
-
-    const formatValue = (value, unit = '', decimals = 2) => value != null ? `${value.toFixed(decimals)} ${unit}`.trim() : 'N/A';
+    const robustness = planet.analysis?.robustness;
+    const provenance = PROVENANCE[planet.provenance] || PROVENANCE.original;
+    const imputedEntries = Object.entries(planet.imputed || {});
+    const imputedFlag = (field) => planet.imputed?.[field] ? ` <span class="imputed-flag" title="Imputed: ${planet.imputed[field].method}">*</span>` : '';
+    const formatMeasured = (field, unit = '', decimals = 2) => {
+        const value = planet[field];
+        if (value == null) return 'N/A';
+        const [upperKey, lowerKey] = errorFields(field);
+        const errors = hasUncertainty(planet, field)
+            ? ` <span class="error-bars">+${planet[upperKey].toFixed(decimals)}/−${Math.abs(planet[lowerKey]).toFixed(decimals)}</span>`
+            : '';
+        return `${value.toFixed(decimals)}${errors} ${unit}`.trim() + imputedFlag(field);
+    };
+    const dataHeading = planet.provenance === 'original' || !planet.provenance ? 'Observational Data (Real)' : `Catalog Data (${provenance.label})`;
 
     pipelineState.ui.drawer.innerHTML = `
-        <h4 style="margin-top: 0; color: var(--accent-yellow); font-size: 1.3rem; text-align: center;">${planet.pl_name}</h4>
+        <h4 style="margin-top: 0; color: var(--accent-yellow); font-size: 1.3rem; text-align: center;">${escapeHtml(planet.pl_name)}</h4>
         <div class="collapsible-container">
              <details open>
-                <summary><h4>Observational Data (Real)</h4></summary>
+                <summary><h4>${dataHeading}</h4></summary>
+                <p class="provenance-note provenance-${planet.provenance || 'original'}">${provenanceBadge(planet.provenance)} ${provenance.description}</p>
                 <div class="collapsible-content" style="display: grid; grid-template-columns: 1fr 1fr; gap: 0.5rem 1rem; font-size: 0.9rem;">
-                    <span><strong>Radius:</strong> ${formatValue(planet.pl_rade, 'R<sub>⊕</sub>')}</span>
-                    <span><strong>Mass:</strong> ${formatValue(planet.pl_masse, 'M<sub>⊕</sub>')}</span>
-                    <span><strong>Density:</strong> ${formatValue(planet.pl_dens, 'g/cm³')}</span>
-                    <span><strong>Insolation:</strong> ${formatValue(planet.pl_insol, 'F<sub>⊕</sub>')}</span>
-                    <span><strong>Period:</strong> ${formatValue(planet.pl_orbper, 'days')}</span>
-                    <span><strong>Eq. Temp:</strong> ${formatValue(planet.pl_eqt, 'K')}</span>
-                    <span><strong>Star Temp:</strong> ${formatValue(planet.st_teff, 'K', 0)}</span>
-                    <span><strong>Star Radius:</strong> ${formatValue(planet.st_rad, 'R<sub>☉</sub>')}</span>
+                    <span><strong>Radius:</strong> ${formatMeasured('pl_rade', 'R<sub>⊕</sub>')}</span>
+                    <span><strong>Mass:</strong> ${formatMeasured('pl_masse', 'M<sub>⊕</sub>')}</span>
+                    <span><strong>Density:</strong> ${formatMeasured('pl_dens', 'g/cm³')}</span>
+                    <span><strong>Insolation:</strong> ${formatMeasured('pl_insol', 'F<sub>⊕</sub>')}</span>
+                    <span><strong>Period:</strong> ${formatMeasured('pl_orbper', 'days')}</span>
+                    <span><strong>Eq. Temp:</strong> ${formatMeasured('pl_eqt', 'K')}</span>
+                    <span><strong>Star Temp:</strong> ${formatMeasured('st_teff', 'K', 0)}</span>
+                    <span><strong>Star Radius:</strong> ${formatMeasured('st_rad', 'R<sub>☉</sub>')}</span>
+                    <span><strong>Star Mass:</strong> ${formatMeasured('st_mass', 'M<sub>☉</sub>')}</span>
+                    <span><strong>Star Luminosity:</strong> ${formatMeasured('st_lum', 'L<sub>☉</sub>', 3)}</span>
                 </div>
+                ${imputedEntries.length > 0 ? `
+                <ul class="imputed-list">
+                    ${imputedEntries.map(([field, info]) => `<li><span class="imputed-flag">*</span> <code>${field}</code>: ${info.method}</li>`).join('')}
+                </ul>` : ''}
              </details>
+             ${planet.registered ? `
              <details open>
-                <summary><h4>Stage 1 Analysis</h4></summary>
+                <summary><h4>Habitability Indices</h4></summary>
                 <div class="collapsible-content">
-                    <div class="output-box" style="margin-top: 0;">
-                        <div class="label">Earth Similarity Index (ESI)</div>
-                        <div class="value" style="color: ${esiColor};">${formatValue(stage1.esi.aggregate)}</div>
-                        <div id="esi-threshold-indicator" style="color: ${esiColor};">Threshold: ${pipelineState.thresholds.esi.toFixed(2)}</div>
-                    </div>
-                    <div class="output-box">
-                        <div class="label">Light Curve Plausibility</div>
-                        <div class="value" style="color: ${lcColor};">${formatValue(stage1.lcScore)}</div>
-                        <div id="lc-threshold-indicator" style="color: ${lcColor};">Threshold: ${pipelineState.thresholds.lc.toFixed(2)}</div>
-                    </div>
+                    ${registeredMetricsHTML(planet.registered)}
                 </div>
-             </details>
+             </details>` : ''}
+             ${planet.analysis ? PIPELINE.stages.map((stage, index) => `
+             <details open>
+                <summary><h4>${stage.label} Analysis</h4></summary>
+                <div class="collapsible-content">
+                    ${stageAnalysisHTML(planet, stage, index)}
+                </div>
+             </details>`).join('') : ''}
+             ${robustness ? `
              <details open>
-                <summary><h4>Stage 2 Analysis</h4></summary>
+                <summary><h4>Robustness (${robustness.runs} Runs)</h4></summary>
                 <div class="collapsible-content">
-                    ${stage2.status === 'Not Run' ? `<p style="text-align: center; color: var(--text-secondary);">Did not pass Stage 1.</p>` : `
                     <div class="output-box" style="margin-top: 0;">
-                        <div class="label">Predicted Earth Similarity</div>
-                        <div class="value" style="color: ${similarityColor};">${formatValue(stage2.earthSimilarity)}</div>
+                        <div class="label">P(Shortlisted)</div>
+                        <div class="value">${Math.round(robustness.probability * 100)}%</div>
                     </div>
-                    <div class="output-box">
-                        <div class="label">PHI Likelihood</div>
-                        <div class="value" style="color: ${phiColor};">${formatValue(stage2.phiLikelihood)}</div>
-                        <div id="phi-threshold-indicator" style="color: ${phiColor};">Threshold: ${pipelineState.thresholds.phi.toFixed(2)}</div>
+                    <div class="robustness-histograms">
+                        ${ROBUSTNESS_HISTOGRAMS.map(h => `
+                        <div class="chart-container robustness-histogram"><canvas id="robustness-histogram-${h.key}"></canvas></div>`).join('')}
                     </div>
-                    `}
+                    ${ROBUSTNESS_HISTOGRAMS.filter(h => robustness.samples[h.key].length < robustness.runs).map(h => `
+                    <p class="robustness-intro">${h.label} comes from the ${robustness.samples[h.key].length} runs that reached ${h.stage.label}.</p>`).join('')}
                 </div>
-             </details>
+             </details>` : ''}
         </div>
     `;
+    // Only drawn when a stage shows the spectrum box; see SOURCE_DETAILS.earthSimilarity.
+    renderDrawerSpectrum(Object.values(planet.analysis?.scores || {}).find(scores => scores.spectrum)?.spectrum);
+    renderDrawerLightCurve(planet, Object.values(planet.analysis?.scores || {}).find(scores => scores.transit)?.transit);
+    renderRobustnessHistograms(robustness);
+}
+
+// One row per registered metric: its value, or the catalog fields it was skipped for.
+function registeredMetricsHTML({ values, skipped }) {
+    return Object.entries(METRIC_REGISTRY).map(([id, metric]) => `
+                    <div class="metric-row">
+                        <span class="metric-row-label">${metric.label}<button class="info-button" data-info="metric-${id}" aria-label="More information about ${metric.label}">ⓘ</button></span>
+                        ${skipped[id]
+                            ? `<span class="metric-row-skipped">Skipped: missing ${skipped[id].map(field => `<code>${field}</code>`).join(', ')}</span>`
+                            : `<span class="metric-row-value">${formatValue(values[id])}</span>`}
+                    </div>`).join('');
+}
+
+const formatValue = (value, unit = '', decimals = 2) => value != null ? `${value.toFixed(decimals)} ${unit}`.trim() : 'N/A';
+const drawerNote = (text) => `<p style="text-align: center; color: var(--text-secondary);">${text}</p>`;
+
+// Whether a metric value passes the threshold it is compared with in `stage`'s gate; null
+// when the gate does not compare it with a threshold.
+function passesThreshold(stage, id, value) {
+    const gated = stage.gated[id];
+    if (!gated) return null;
+    const threshold = pipelineState.thresholds[gated.threshold];
+    return gated.atLeast ? value >= threshold : value <= threshold;
+}
+
+// The drawer section for one stage: the boxes of each metric source it scores (see
+// SOURCE_DETAILS), a value box for each derived metric and, when it has an uncertain metric,
+// the probability of passing it. Scores cached under earlier thresholds are not shown.
+function stageAnalysisHTML(planet, stage, index) {
+    const { scores, gates } = planet.analysis;
+    const stopped = PIPELINE.stages.slice(0, index).find(s => !gates[s.id]?.passed);
+    if (stopped) return drawerNote(gates[stopped.id] ? `Did not pass ${stopped.label}.` : `Waiting for ${stopped.label}.`);
+    const gate = gates[stage.id];
+    if (!gate) return drawerNote(`Scoring ${stage.label}…`);
+
+    const available = Object.assign({}, ...PIPELINE.stages.slice(0, index + 1).map(s => scores[s.id]));
+    const metricBox = (id, label, details = '', footer = '') => {
+        const value = gate.values[id];
+        const passes = passesThreshold(stage, id, value);
+        const color = passes == null ? 'inherit' : passes ? 'var(--accent-green)' : 'var(--accent-red)';
+        const gated = stage.gated[id];
+        return `
+                    <div class="output-box">
+                        <div class="label">${label}</div>
+                        <div class="value" style="color: ${color};">${formatValue(value)}</div>
+                        ${details}
+                        ${gated ? `<div id="${gated.threshold}-threshold-indicator" style="color: ${color};">Threshold: ${pipelineState.thresholds[gated.threshold].toFixed(2)}</div>` : ''}
+                        ${footer}
+                    </div>`;
+    };
+    const context = { planet, stage, scores: available, metricBox };
+    return [
+        ...stage.sources.map(source => {
+            const metricId = stage.metrics.find(id => PIPELINE.metrics[id].source === source);
+            return SOURCE_DETAILS[source]?.({ ...context, metricId }) ?? (metricId ? metricBox(metricId, PIPELINE.metrics[metricId].label) : '');
+        }),
+        ...stage.metrics.filter(id => !PIPELINE.metrics[id].source).map(id => metricBox(id, PIPELINE.metrics[id].label)),
+        stage.uncertain ? `
+                    <div class="output-box">
+                        <div class="label">Probability of Passing ${stage.label}</div>
+                        <div class="value">${gate.passProbability != null ? `${Math.round(gate.passProbability * 100)}%` : 'N/A'}</div>
+                    </div>` : '',
+    ].join('');
+}
+
+// Drawer boxes for each metric source's scores. `metricId` is the configured metric that
+// gates on the source, if any; sources scored only as inputs to others have none.
+const SOURCE_DETAILS = {
+    esi: ({ stage, scores, metricBox, metricId }) => {
+        const { esiMetric, thresholds } = pipelineState;
+        const { esi } = scores;
+        const interval = esi.intervals?.[esiMetric];
+        const gated = stage.gated[metricId];
+        const probability = gated && METRIC_SOURCES.esi.probabilityAtLeast(scores, { esiMetric }, thresholds[gated.threshold]);
+        const intervalNote = interval && interval.count > 1
+            ? `<div class="credible-interval">${Math.round(CREDIBLE_INTERVAL * 100)}% CI: [${formatValue(interval.lower)}, ${formatValue(interval.upper)}]${probability != null ? ` · P(ESI ≥ ${thresholds[gated.threshold].toFixed(2)}) = ${Math.round(probability * 100)}%` : ''}</div>`
+            : `<div class="credible-interval">No catalog uncertainties; point estimate only.</div>`;
+        const breakdown = `
+                        <div class="esi-breakdown">
+                            ${Object.entries(ESI_COMPONENTS).map(([key, c]) => `
+                            <div class="esi-component${key === esiMetric ? ' esi-component-gate' : ''}">
+                                <span>${c.label}</span><span>${formatValue(esi[key])}</span>
+                            </div>`).join('')}
+                            ${Object.entries(ESI_PARAMETERS).map(([key, param]) => `
+                            <div class="esi-parameter">
+                                <span>${param.label} <small>(w = ${param.weight.toFixed(2)})</small></span><span>${formatValue(esi.parameters[key])}</span>
+                            </div>`).join('')}
+                        </div>`;
+        if (metricId) return metricBox(metricId, `Earth Similarity Index (${ESI_COMPONENTS[esiMetric].label})`, intervalNote, breakdown);
+        return `
+                    <div class="output-box">
+                        <div class="label">Earth Similarity Index (${ESI_COMPONENTS[esiMetric].label})</div>
+                        <div class="value">${formatValue(esi[esiMetric])}</div>
+                        ${intervalNote}
+                        ${breakdown}
+                    </div>`;
+    },
+    lcScore: ({ planet, scores, metricBox, metricId }) => {
+        const note = scores.lcSource === 'fallback' ? `<div class="model-fallback-note">Heuristic score: lc_cnn weights are not loaded.</div>` : '';
+        const { transit } = scores;
+        const imported = pipelineState.lightCurves[planet.pl_name];
+        const searched = imported || pipelineState.lightCurveMode === 'search';
+        return `
+                    ${transit ? `
+                    <div class="output-box">
+                        <div class="label">${imported ? `Imported Light Curve (${escapeHtml(imported.fileName)})` : 'Simulated Light Curve'}</div>
+                        <div class="chart-container drawer-light-curve"><canvas id="drawer-raw-light-curve-chart"></canvas></div>
+                        ${searched ? `
+                        <div class="chart-container drawer-light-curve"><canvas id="drawer-periodogram-chart"></canvas></div>
+                        <div id="drawer-light-curve-search" class="transit-parameters"></div>` : ''}
+                        <div class="chart-container drawer-light-curve"><canvas id="drawer-light-curve-chart"></canvas></div>
+                        <div id="drawer-light-curve-notes" class="transit-parameters"></div>
+                        <div class="transit-parameters">
+                            <span><strong>Depth</strong> ${Math.round(transit.depth * 1e6)} ppm</span>
+                            <span><strong>T<sub>14</sub></strong> ${(transit.duration * 24).toFixed(1)} h</span>
+                            <span><strong>Ingress</strong> ${(transit.ingress * 24 * 60).toFixed(0)} min</span>
+                            <span><strong>b</strong> ${transit.impact.toFixed(2)}</span>
+                            <span><strong>a/R<sub>*</sub></strong> ${transit.aR.toFixed(1)}</span>
+                            <span><strong>u<sub>1</sub>, u<sub>2</sub></strong> ${transit.u1.toFixed(2)}, ${transit.u2.toFixed(2)}</span>
+                        </div>
+                        <div class="light-curve-import">
+                            <label for="drawer-light-curve-file">Import light curve</label>
+                            <input type="file" id="drawer-light-curve-file" accept=".csv,.tsv,.txt,.dat">
+                            ${imported ? `<button id="drawer-light-curve-remove">Use Simulated</button>` : ''}
+                            <span id="drawer-light-curve-import"></span>
+                        </div>
+                    </div>` : ''}
+                    ${metricId ? metricBox(metricId, 'Light Curve Plausibility', note) : ''}`;
+    },
+    vetting: ({ scores: { vetting, lcSource } }) => {
+        const color = !vetting ? 'inherit' : vetting.flags.length ? 'var(--accent-red)' : 'var(--accent-green)';
+        return `
+                    <div class="output-box">
+                        <div class="label">False-Positive Vetting</div>
+                        <div class="value" style="color: ${color};">${!vetting ? 'Not vetted' : vetting.flags.length ? 'False positive' : 'Passed'}</div>
+                        ${vetting ? `
+                        <div class="vetting-tests">
+                            ${Object.entries(VETTING_TESTS).map(([id, test]) => {
+                                const result = vetting.tests[id];
+                                return `
+                            <div class="vetting-test${result?.flagged ? ' vetting-test-flagged' : ''}" title="${test.description}">
+                                <span>${test.label}</span><span>${result ? VETTING_SUMMARIES[id](result) : 'skipped'}</span><span>${!result ? '–' : result.flagged ? 'Flagged' : 'Passed'}</span>
+                            </div>${result?.flagged ? `
+                            <div class="vetting-reason">${test.description}.</div>` : ''}`;
+                            }).join('')}
+                        </div>
+                        ${vetting.redNoise > 1 ? `<div class="credible-interval">Depth errors scaled ×${vetting.redNoise.toFixed(2)} for red noise.</div>` : ''}` : `
+                        ${lcSource === 'fallback' ? `<div class="model-fallback-note">Heuristic LC score: lc_cnn weights are not loaded, so no light curve was searched for a transit to vet.</div>` : `<div class="credible-interval">No transit was found to vet.</div>`}`}
+                    </div>`;
+    },
+    earthSimilarity: ({ scores, metricBox, metricId }) => {
+        let similarityColor = 'var(--accent-red)';
+        if (scores.earthSimilarity > 0.75) {
+            similarityColor = 'var(--accent-green)';
+        } else if (scores.earthSimilarity > 0.4) {
+            similarityColor = 'var(--accent-yellow)';
+        }
+        return `
+                    ${scores.spectrum ? `
+                    <div class="output-box">
+                        <div class="label">Predicted Transmission Spectrum</div>
+                        <div class="chart-container drawer-spectrum"><canvas id="drawer-spectrum-chart"></canvas></div>
+                        ${scores.spectrumSource === 'fallback' ? `<div class="model-fallback-note">Companion decoder: spec_cnn weights are not loaded, so the spectrum is forward-modelled from a heuristic atmosphere.</div>` : ''}
+                        <div class="retrieved-composition">
+                            ${Object.entries(scores.composition).sort((a, b) => b[1] - a[1]).map(([gas, conc]) => `<span><strong>${gas}</strong> ${conc.toPrecision(2)}%</span>`).join('')}
+                        </div>
+                    </div>` : ''}
+                    ${metricId ? metricBox(metricId, 'Predicted Earth Similarity') : `
+                    <div class="output-box">
+                        <div class="label">Predicted Earth Similarity</div>
+                        <div class="value" style="color: ${similarityColor};">${formatValue(scores.earthSimilarity)}</div>
+                    </div>`}`;
+    },
+    phi: ({ scores: { phi }, metricBox, metricId }) => {
+        const table = `
+                        <table class="phi-factors">
+                            <thead>
+                                <tr><th></th>${Object.keys(PHI_FACTORS).map(f => `<th title="${PHI_FACTORS[f].description}">${f}</th>`).join('')}<th>PHI</th></tr>
+                            </thead>
+                            <tbody>
+                                <tr class="phi-factors-planet"><td>This planet</td>${Object.keys(PHI_FACTORS).map(f => `<td>${formatValue(phi.factors[f])}</td>`).join('')}<td>${formatValue(phi.value)}</td></tr>
+                                ${PHI_REFERENCE_BODIES.map(body => `
+                                <tr><td>${body.name}</td>${Object.keys(PHI_FACTORS).map(f => `<td>${formatValue(body.phi.factors[f])}</td>`).join('')}<td>${formatValue(body.phi.value)}</td></tr>`).join('')}
+                            </tbody>
+                        </table>`;
+        if (metricId) return metricBox(metricId, 'Planetary Habitability Index (PHI)', table);
+        return `
+                    <div class="output-box">
+                        <div class="label">Planetary Habitability Index (PHI)</div>
+                        <div class="value">${formatValue(phi.value)}</div>
+                        ${table}
+                    </div>`;
+    },
+    phiLikelihood: ({ scores, metricBox, metricId }) => {
+        const note = scores.phiSource === 'fallback'
+            ? `<div class="model-fallback-note">Heuristic blend of PHI and similarity: phi_mlp weights are not loaded.</div>`
+            : scores.phiSource === 'model' ? `<div class="model-training">phi_mlp is trained to imitate this blend (60% PHI, 40% similarity), so it scores like the heuristic fallback.</div>` : '';
+        return metricId ? metricBox(metricId, 'PHI Likelihood', note) : '';
+    },
+};
+
+// One-line measurements of each vetting test (see vetting.js).
+const formatPpm = (depth) => `${Math.round(depth * 1e6)} ppm`;
+const VETTING_SUMMARIES = {
+    oddEven: ({ oddDepth, evenDepth, sigma }) => `${formatPpm(oddDepth)} odd, ${formatPpm(evenDepth)} even (${sigma.toFixed(1)}σ)`,
+    secondary: ({ depth, phase, sigma }) => `${formatPpm(depth)} at phase ${phase.toFixed(2)} (${sigma.toFixed(1)}σ)`,
+    vShape: ({ ratio, sigma }) => `shoulder/centre depth ${ratio.toFixed(2)} (${sigma.toFixed(1)}σ)`,
+    duration: ({ expected, ratio }) => `${(ratio * expected * 24).toFixed(1)} h, ${(expected * 24).toFixed(1)} h central`,
+};
+
+function renderDrawerSpectrum(spectrum) {
+    if (drawerSpectrumChart) {
+        drawerSpectrumChart.destroy();
+        drawerSpectrumChart = null;
+    }
+    const ctx = document.getElementById('drawer-spectrum-chart')?.getContext('2d');
+    if (!ctx || !spectrum) return;
+    drawerSpectrumChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            datasets: [{
+                label: 'Absorption (ppm)',
+                data: spectrum.map((y, i) => ({ x: SPECTRUM_WAVELENGTHS[i], y })),
+                borderColor: 'rgba(255, 255, 255, 0.9)',
+                pointRadius: 0,
+                borderWidth: 1.5,
+                tension: 0.3,
+            }],
+        },
+        options: {
+            animation: false,
+            maintainAspectRatio: false,
+            scales: {
+                x: { type: 'linear', min: 0.5, max: 5.5, title: { display: true, text: 'Wavelength (µm)', color: '#ccc' }, ticks: { color: '#ccc' } },
+                y: { title: { display: true, text: 'Absorption (ppm)', color: '#ccc' }, ticks: { color: '#ccc' } },
+            },
+            plugins: { legend: { display: false } },
+        },
+    });
+}
+
+const DRAWER_LC_POINTS = 200;
+
+const lightCurveChartOptions = (xLabel, x = {}) => ({
+    animation: false,
+    maintainAspectRatio: false,
+    scales: {
+        x: { type: 'linear', ...x, title: { display: true, text: xLabel, color: '#ccc' }, ticks: { color: '#ccc' } },
+        y: { title: { display: true, text: 'Relative flux', color: '#ccc' }, ticks: { color: '#ccc' } },
+    },
+    plugins: { legend: { display: false } },
+});
+
+// Largest of each run of `factor` values, so that a periodogram keeps its peaks when thinned
+// for plotting.
+function thinPeaks(x, y, factor) {
+    const points = [];
+    for (let start = 0; start < y.length; start += factor) {
+        let best = start;
+        for (let i = start + 1; i < Math.min(y.length, start + factor); i++) if (y[i] > y[best]) best = i;
+        points.push({ x: x[best], y: y[best] });
+    }
+    return points;
+}
+
+const DRAWER_PERIODOGRAM_POINTS = 1500;
+
+// The planet's light curve as the LC stage reads it (see detectTransit): its imported or
+// simulated photometry with the current noise components, the BLS periodogram when it is
+// searched, then the detrended points around the transit found with the lc_cnn input bins and
+// the noiseless model. A search takes about a second, so it runs once the drawer is drawn and
+// is kept while the planet and light-curve settings stay the same.
+function renderDrawerLightCurve(planet, transit) {
+    drawerLightCurveCharts.forEach(chart => chart.destroy());
+    drawerLightCurveCharts = [];
+    const rawCtx = document.getElementById('drawer-raw-light-curve-chart')?.getContext('2d');
+    const foldedCtx = document.getElementById('drawer-light-curve-chart')?.getContext('2d');
+    if (!rawCtx || !foldedCtx || !transit) return;
+
+    const imported = pipelineState.lightCurves[planet.pl_name] || null;
+    document.getElementById('drawer-light-curve-file').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) importPlanetLightCurve(planet, file);
+    });
+    document.getElementById('drawer-light-curve-remove')?.addEventListener('click', () => removePlanetLightCurve(planet));
+
+    const key = [pipelineState.catalog.hash, planet.pl_name, pipelineState.noise.join('+'), pipelineState.lightCurveMode, imported?.hash].join('|');
+    const detect = () => detectTransit(planet, transit, { noise: pipelineState.noise, mode: pipelineState.lightCurveMode, imported });
+    if (drawerDetection?.key !== key) {
+        const searched = imported || pipelineState.lightCurveMode === 'search';
+        drawerDetection = { key, detection: searched ? null : detect() };
+        if (searched) {
+            const pending = drawerDetection;
+            setTimeout(() => {
+                if (drawerDetection !== pending) return;
+                pending.detection = detect();
+                if (pipelineState.selectedPlanet === planet) renderDrawerLightCurve(planet, transit);
+            }, 0);
+        }
+    }
+    const { detection } = drawerDetection;
+    const searchEl = document.getElementById('drawer-light-curve-search');
+    if (!detection) {
+        if (searchEl) searchEl.textContent = 'Searching the light curve…';
+        return;
+    }
+
+    const { lightCurve, flux, ephemeris, search } = detection;
+    drawerLightCurveCharts.push(new Chart(rawCtx, {
+        type: 'scatter',
+        data: {
+            datasets: [{
+                label: 'Raw flux',
+                data: Array.from(lightCurve.time, (t, i) => ({ x: t, y: lightCurve.flux[i] })),
+                pointRadius: 0.8,
+                backgroundColor: 'rgba(54, 162, 235, 0.6)',
+            }],
+        },
+        options: lightCurveChartOptions('Days'),
+    }));
+
+    const periodogramCtx = document.getElementById('drawer-periodogram-chart')?.getContext('2d');
+    if (search && periodogramCtx) {
+        const power = thinPeaks(search.periods, search.power, Math.ceil(search.periods.length / DRAWER_PERIODOGRAM_POINTS));
+        const top = search.power.reduce((max, p) => Math.max(max, p), 0);
+        const marker = (label, period, color) => ({
+            label,
+            data: [{ x: period, y: 0 }, { x: period, y: top }],
+            showLine: true,
+            borderColor: color,
+            borderDash: [4, 4],
+            borderWidth: 1,
+            pointRadius: 0,
+        });
+        const options = lightCurveChartOptions('Period (days)', { type: 'logarithmic' });
+        options.scales.y.title.text = 'BLS power';
+        drawerLightCurveCharts.push(new Chart(periodogramCtx, {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: 'BLS power',
+                    data: power,
+                    showLine: true,
+                    borderColor: 'rgba(54, 162, 235, 0.9)',
+                    borderWidth: 1,
+                    pointRadius: 0,
+                },
+                ...(imported ? [] : [marker('Catalog period', transit.period, 'rgba(255, 205, 86, 0.9)')]),
+                ...(search.best ? [marker('Recovered period', search.best.period, 'rgba(255, 255, 255, 0.7)')] : [])],
+            },
+            options,
+        }));
+    }
+    if (search && searchEl) {
+        const catalog = (value) => imported ? '' : ` <small>(catalog ${value})</small>`;
+        searchEl.innerHTML = search.best ? `
+                            <span><strong>Period</strong> ${search.best.period.toFixed(3)} d${catalog(transit.period.toFixed(3))}</span>
+                            <span><strong>Epoch</strong> ${search.best.epoch.toFixed(3)} d${catalog(lightCurve.epoch.toFixed(3))}</span>
+                            <span><strong>Depth</strong> ${Math.round(search.best.depth * 1e6)} ppm${catalog(Math.round(transit.depth * 1e6))}</span>
+                            <span><strong>Duration</strong> ${(search.best.duration * 24).toFixed(1)} h${catalog((transit.duration * 24).toFixed(1))}</span>
+                            <span><strong>SNR</strong> ${search.best.snr.toFixed(1)}</span>`
+            : `<span>No transit-like dip was found; lc_cnn scores such a light curve 0.</span>`;
+        const observed = imported ? MIN_TRANSITS : transitsInBaseline(lightCurve.time, { period: transit.period, epoch: lightCurve.epoch, duration: transit.duration });
+        if (observed < MIN_TRANSITS) {
+            const baseline = lightCurve.time[lightCurve.time.length - 1] - lightCurve.time[0];
+            searchEl.innerHTML += `
+                            <span class="search-limit">The ${baseline.toFixed(0)}-day series holds ${observed === 1 ? 'one transit' : 'no complete transit'} at the catalog period of ${transit.period.toFixed(1)} d; the search needs ${MIN_TRANSITS}, so it cannot recover this period.</span>`;
+        }
+    }
+
+    if (ephemeris) {
+        const halfView = LOCAL_VIEW_DURATIONS * ephemeris.duration / 2;
+        const folded = [];
+        lightCurve.time.forEach((t, i) => {
+            const fromMid = t - ephemeris.epoch - Math.round((t - ephemeris.epoch) / ephemeris.period) * ephemeris.period;
+            if (Math.abs(fromMid) < halfView) folded.push({ x: fromMid * 24, y: flux[i] });
+        });
+        const numPoints = MODEL_REGISTRY.lc_cnn.inputShape[0];
+        const binHours = localViewTimes(ephemeris, numPoints).map(t => t * 24);
+        const bins = generatePhaseFoldedLcData(detection, numPoints);
+        const modelHours = localViewTimes(transit, DRAWER_LC_POINTS).map(t => t * 24);
+        const model = transitLightCurve(transit, DRAWER_LC_POINTS);
+        drawerLightCurveCharts.push(new Chart(foldedCtx, {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: 'Detrended flux',
+                    data: folded,
+                    pointRadius: 1,
+                    backgroundColor: 'rgba(54, 162, 235, 0.5)',
+                }, {
+                    label: 'lc_cnn input',
+                    data: bins.map((y, i) => ({ x: binHours[i], y })),
+                    pointRadius: 2.5,
+                    backgroundColor: 'rgba(255, 255, 255, 0.9)',
+                },
+                // An imported light curve need not match the catalog's transit model.
+                ...(imported ? [] : [{
+                    label: 'Transit model',
+                    data: model.map((y, i) => ({ x: modelHours[i], y })),
+                    showLine: true,
+                    borderColor: 'rgba(255, 205, 86, 0.9)',
+                    pointRadius: 0,
+                    borderWidth: 1.5,
+                }])],
+            },
+            options: lightCurveChartOptions('Hours from mid-transit', { min: binHours[0], max: binHours[binHours.length - 1] }),
+        }));
+    }
+
+    const noise = pipelineState.noise.map(id => NOISE_COMPONENTS[id].label).join(', ') || 'none';
+    const baseline = lightCurve.time[lightCurve.time.length - 1] - lightCurve.time[0];
+    document.getElementById('drawer-light-curve-notes').innerHTML = imported ? `
+                            <span><strong>Points</strong> ${lightCurve.time.length}</span>
+                            <span><strong>Baseline</strong> ${baseline.toFixed(1)} d</span>` : `
+                            <span><strong>Kp</strong> ${lightCurve.kepmag.toFixed(1)}${planet.sy_kepmag == null ? ' (drawn)' : ''}</span>
+                            <span><strong>Noise</strong> ${noise}</span>`;
+}
+
+// One histogram per configured metric, over the metric's `range` (default 0–1).
+const ROBUSTNESS_HISTOGRAMS = PIPELINE.stages.flatMap(stage => stage.metrics.map(id => {
+    const [min, max] = PIPELINE.metrics[id].range || [0, 1];
+    return { key: id, label: PIPELINE.metrics[id].label, stage, gated: stage.gated[id], min, max };
+}));
+
+// Score distributions over the robustness runs; bins on the passing side of the threshold
+// the run was gated with are green, metrics without a threshold are plain.
+function renderRobustnessHistograms(robustness) {
+    drawerRobustnessCharts.forEach(chart => chart.destroy());
+    drawerRobustnessCharts = [];
+    if (!robustness || !pipelineState.robustness) return;
+    const { thresholds } = pipelineState.robustness.settings;
+    ROBUSTNESS_HISTOGRAMS.forEach(h => {
+        const ctx = document.getElementById(`robustness-histogram-${h.key}`)?.getContext('2d');
+        if (!ctx) return;
+        const { counts, edges } = histogram(robustness.samples[h.key], { min: h.min, max: h.max });
+        const binColor = (i) => {
+            if (!h.gated) return 'rgba(255, 205, 86, 0.6)';
+            const threshold = thresholds[h.gated.threshold];
+            const passes = h.gated.atLeast ? edges[i] + 1e-9 >= threshold : edges[i + 1] - 1e-9 <= threshold;
+            return passes ? 'rgba(77, 255, 145, 0.6)' : 'rgba(255, 99, 132, 0.6)';
+        };
+        drawerRobustnessCharts.push(new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: edges.slice(0, -1).map(edge => edge.toFixed(2)),
+                datasets: [{
+                    data: counts,
+                    backgroundColor: counts.map((_, i) => binColor(i)),
+                    barPercentage: 1,
+                    categoryPercentage: 1,
+                }],
+            },
+            options: {
+                animation: false,
+                maintainAspectRatio: false,
+                scales: {
+                    x: { ticks: { color: '#ccc', maxTicksLimit: 6 } },
+                    y: { beginAtZero: true, ticks: { color: '#ccc', precision: 0 } },
+                },
+                plugins: { legend: { display: false }, title: { display: true, text: h.label, color: '#ccc' } },
+            },
+        }));
+    });
+}
+
+function provenanceBadge(provenance = 'original') {
+    const info = PROVENANCE[provenance] || PROVENANCE.original;
+    return `<span class="provenance-badge provenance-${provenance}" title="${info.description}">${info.label}</span>`;
 }
 
 function renderDiscussion() {
@@ -2341,38 +4124,134 @@ function renderDiscussion() {
     if (!discussionContainer) return;
 
     const total = pipelineState.allData.length;
-    const stage1PassedCount = pipelineState.stage1Passed.length;
-    const shortlistedCount = pipelineState.finalShortlist.length;
-    const stage1FilterRate = total > 0 ? (100 * (total - stage1PassedCount) / total).toFixed(1) : 0;
+    const bucketSize = (stage, passed) => pipelineState.buckets[PIPELINE_BUCKETS.find(b => b.stage === stage.id && b.passed === passed)?.id]?.length ?? 0;
+    const stageItems = PIPELINE.stages.map((stage, index) => {
+        const evaluated = index === 0 ? total : bucketSize(stage, false);
+        const passed = bucketSize(stage, true);
+        const values = templateValues({
+            total, evaluated, passed,
+            filtered: evaluated - passed,
+            filterRate: evaluated > 0 ? (100 * (evaluated - passed) / evaluated).toFixed(1) : 0,
+        });
+        const text = stage.discussion || 'Of the ${evaluated} candidates evaluated, <strong>${passed}</strong> passed.';
+        return `<li><strong>${stage.name ? `${stage.label} (${stage.name})` : stage.label}:</strong> ${fillTemplate(text, values)}</li>`;
+    });
+    const { intro, conclusion } = PIPELINE.discussion;
     
     let discussionHTML = `
         <h3>Pipeline Performance Summary</h3>
-        <p>
-            The two-stage AI pipeline illustrates a powerful strategy for exoplanet habitability analysis. Starting with an initial catalog of <strong>${total} candidates</strong>, the process efficiently narrows down the possibilities to identify the most promising targets for further study.
-        </p>
+        ${intro ? `<p>${fillTemplate(intro, templateValues({ total }))}</p>` : ''}
         <ul>
-            <li><strong>Stage 1 (Broad Screening):</strong> By applying a dual filter of Earth Similarity Index (ESI ≥ ${pipelineState.thresholds.esi.toFixed(2)}) and AI-driven light curve analysis (LC Score ≥ ${pipelineState.thresholds.lc.toFixed(2)}), this stage successfully filtered out <strong>${total - stage1PassedCount} candidates (${stage1FilterRate}%)</strong>, leaving <strong>${stage1PassedCount}</strong> planets for more detailed analysis.</li>
-            <li><strong>Stage 2 (Targeted Refinement):</strong> The remaining candidates were evaluated using AI models trained on JWST data to infer atmospheric properties and calculate a PHI Likelihood score. This resulted in a final, highly-vetted shortlist of <strong>${shortlistedCount} prime candidates</strong> (PHI Likelihood ≥ ${pipelineState.thresholds.phi.toFixed(2)}).</li>
+            ${stageItems.join('')}
         </ul>
-        <p>
-            This methodology demonstrates how AI can bridge data from different missions (Kepler and JWST), enabling a scalable and resource-efficient approach to prioritizing the most compelling targets in the search for life.
-        </p>
+        ${conclusion ? `<p>${fillTemplate(conclusion, templateValues({ total }))}</p>` : ''}
+        ${sensitivitySummaryHTML()}
+        ${provenanceSummaryHTML()}
     `;
 
     discussionContainer.innerHTML = discussionHTML;
     discussionContainer.style.display = 'block';
 }
 
+// How much the quoted counts move when each threshold shifts by one grid step.
+function sensitivitySummaryHTML() {
+    if (!SENSITIVITY_ENABLED) return '';
+    const planets = sensitivityPlanets();
+    if (planets.length === 0) return '';
+    const { thresholds } = pipelineState;
+    const around = (value) => [value - 0.05, value + 0.05].map(v => Math.round(v * 100) / 100);
+    const [[looserEsi], [stricterEsi]] = stage1CountGrid(planets, thresholds, { esi: around(thresholds.esi), lc: [thresholds.lc] });
+    const { counts: [looserPhi, stricterPhi] } = shortlistCountCurve(planets, thresholds, { phi: around(thresholds.phi) });
+    return `
+        <p>
+            <strong>Threshold sensitivity:</strong> moving the ESI threshold by ±0.05 gives between ${stricterEsi} and ${looserEsi} Stage 1 passes; moving the PHI Likelihood threshold by ±0.05 gives a shortlist of ${stricterPhi} to ${looserPhi}. The Threshold Sensitivity panel maps the full range.
+        </p>
+    `;
+}
+
+function provenanceSummaryHTML() {
+    const countBy = (list) => list.reduce((counts, p) => {
+        const key = p.provenance || 'original';
+        counts[key] = (counts[key] || 0) + 1;
+        return counts;
+    }, {});
+    const catalogCounts = countBy(pipelineState.allData);
+    const shortlistCounts = countBy(pipelineState.buckets.finalShortlist || []);
+    const syntheticCount = pipelineState.allData.length - (catalogCounts.original || 0);
+    if (syntheticCount === 0) {
+        return `<p>All ${pipelineState.allData.length} candidates in this catalog carry their original published values.</p>`;
+    }
+
+    const describe = (counts) => Object.keys(PROVENANCE).filter(k => counts[k]).map(k => `${counts[k]} ${PROVENANCE[k].label.toLowerCase()}`).join(', ') || 'none';
+    return `
+        <p>
+            <strong>Data provenance:</strong> only <strong>${catalogCounts.original || 0}</strong> of the ${pipelineState.allData.length} candidates carry real published values; the rest are synthetic (${describe(catalogCounts)}). The final shortlist contains ${describe(shortlistCounts)}. Synthetic rows demonstrate the method and should not be read as real detections.
+        </p>
+    `;
+}
+
 function updateThreshold(key, value) {
     const numericValue = parseFloat(value);
-    if (isNaN(numericValue) || numericValue < 0 || numericValue > 1) {
+    const { min, max } = PIPELINE.thresholds[key];
+    if (isNaN(numericValue) || numericValue < min || numericValue > max) {
         // Revert UI to old value if input is invalid
         document.getElementById(`${key}-threshold`).value = pipelineState.thresholds[key].toFixed(2);
         return;
     }
-    pipelineState.thresholds[key] = numericValue;
-    document.getElementById(`${key}-threshold`).value = numericValue.toFixed(2);
-    
-    // Rerun the pipeline logic with new thresholds
-    runFullPipeline();
+    setThresholds({ [key]: numericValue });
+}
+
+function setThresholds(values) {
+    Object.entries(values).forEach(([key, value]) => {
+        pipelineState.thresholds[key] = value;
+        document.getElementById(`${key}-threshold`).value = value.toFixed(2);
+    });
+    persistSettings();
+    // Only the gates change; the cached scores are re-used
+    applyGates();
+}
+
+function updateEsiMetric(metric) {
+    if (!ESI_COMPONENTS[metric]) return;
+    pipelineState.esiMetric = metric;
+    persistSettings();
+    applyGates();
+}
+
+function updateNoise(id, enabled) {
+    const noise = new Set(pipelineState.noise);
+    if (enabled) noise.add(id);
+    else noise.delete(id);
+    pipelineState.noise = DEFAULT_NOISE.filter(c => noise.has(c));
+    persistSettings();
+    // The light curves change, so the LC scores are recomputed unless cached for this noise.
+    restoreOrRunPipeline();
+}
+
+function updateLightCurveMode(mode) {
+    if (!LIGHT_CURVE_MODES[mode]) return;
+    pipelineState.lightCurveMode = mode;
+    persistSettings();
+    restoreOrRunPipeline();
+}
+
+// Imports an unfolded light curve for a planet (see parseLightCurve). It replaces the
+// simulated one for this session and is always searched, so the LC scores are recomputed.
+async function importPlanetLightCurve(planet, file) {
+    const notes = document.getElementById('drawer-light-curve-import');
+    let lightCurve;
+    try {
+        lightCurve = parseLightCurve(await file.text());
+    } catch (err) {
+        if (notes) notes.innerHTML = `<span class="manifest-error">Could not import ${escapeHtml(file.name)}: ${escapeHtml(err.message)}</span>`;
+        return;
+    }
+    pipelineState.lightCurves = { ...pipelineState.lightCurves, [planet.pl_name]: { fileName: file.name, hash: hashLightCurve(lightCurve), ...lightCurve } };
+    restoreOrRunPipeline();
+}
+
+function removePlanetLightCurve(planet) {
+    const { [planet.pl_name]: removed, ...rest } = pipelineState.lightCurves;
+    pipelineState.lightCurves = rest;
+    restoreOrRunPipeline();
 }
@@ -0,0 +1,134 @@
+// Synthetic phase-folded light curves. The pipeline uses the planet shape to feed lc_cnn;
+// the training view also draws the three false-positive shapes to build labeled sets.
+// Phase runs from -0.5 to 0.5 with the primary event at 0. Planet transits are local views:
+// the window spans LOCAL_VIEW_DURATIONS transit durations, so that ingress and egress are
+// resolved however short the transit is compared with the orbit.
+
+import { createRandom } from './generator.js';
+import { transitGeometry, transitFlux, limbDarkening } from './transit.js';
+import { createNormal, logUniform } from './uncertainty.js';
+
+export const LC_CLASSES = {
+    planet:      { label: 'Planet transit', description: 'Limb-darkened U-shaped dip with no secondary eclipse', target: 1 },
+    eb:          { label: 'Eclipsing binary', description: 'Deep V-shaped primary with a secondary eclipse at phase 0.5', target: 0 },
+    starspot:    { label: 'Starspot modulation', description: 'Quasi-sinusoidal variability from rotating spots, no transit', target: 0 },
+    systematics: { label: 'Instrumental systematics', description: 'Ramps, jumps and outliers from the spacecraft', target: 0 },
+};
+
+const phaseAt = (i, numPoints) => i / (numPoints - 1) - 0.5;
+
+export const LOCAL_VIEW_DURATIONS = 4;
+
+// Times of a local view's points, in days from mid-transit.
+export function localViewTimes(transit, numPoints, viewDurations = LOCAL_VIEW_DURATIONS) {
+    return Array.from({ length: numPoints }, (_, i) => phaseAt(i, numPoints) * viewDurations * transit.duration);
+}
+
+// Local view of a transit (see transit.js). `noise(depth)` returns the noise added to each point.
+export function transitLightCurve(transit, numPoints, noise = () => 0, viewDurations = LOCAL_VIEW_DURATIONS) {
+    return localViewTimes(transit, numPoints, viewDurations).map(time => transitFlux(transit, time) + noise(transit.depth));
+}
+
+function vEclipse(phase, center, depth, halfWidth) {
+    const distance = Math.min(Math.abs(phase - center), Math.abs(phase - center + 1), Math.abs(phase - center - 1));
+    return distance < halfWidth ? depth * (1 - distance / halfWidth) : 0;
+}
+
+const GENERATORS = {
+    planet(numPoints, random, normal) {
+        const transit = transitGeometry({
+            period: 1,
+            aR: logUniform(random, 5, 200),
+            radiusRatio: Math.sqrt(logUniform(random, 1e-4, 0.02)),
+            impact: random(),
+            ...limbDarkening(3500 + random() * 3500),
+        });
+        const sigma = transit.depth * (0.05 + random() * 0.25);
+        const viewDurations = 2.5 + random() * 7.5;
+        return transitLightCurve(transit, numPoints, () => normal() * sigma, viewDurations);
+    },
+    eb(numPoints, random, normal) {
+        const depth = 0.02 + random() * 0.4;
+        const secondary = depth * (0.1 + random() * 0.5);
+        const halfWidth = 0.02 + random() * 0.06;
+        const sigma = depth * (0.01 + random() * 0.05);
+        return Array.from({ length: numPoints }, (_, i) => {
+            const phase = phaseAt(i, numPoints);
+            return 1 - vEclipse(phase, 0, depth, halfWidth) - vEclipse(phase, 0.5, secondary, halfWidth) + normal() * sigma;
+        });
+    },
+    starspot(numPoints, random, normal) {
+        const amplitude = logUniform(random, 5e-4, 0.02);
+        const cycles = 0.3 + random() * 2;
+        const offset = random() * 2 * Math.PI;
+        const sigma = amplitude * (0.05 + random() * 0.2);
+        return Array.from({ length: numPoints }, (_, i) => {
+            const phase = phaseAt(i, numPoints);
+            const angle = 2 * Math.PI * cycles * phase + offset;
+            // The second harmonic gives the asymmetric shape of evolving spot groups.
+            return 1 + amplitude * (Math.sin(angle) + 0.3 * Math.sin(2 * angle)) + normal() * sigma;
+        });
+    },
+    systematics(numPoints, random, normal) {
+        const scale = logUniform(random, 5e-4, 0.01);
+        const slope = (random() - 0.5) * 2 * scale;
+        const curvature = (random() - 0.5) * 4 * scale;
+        const jumpAt = random() - 0.5;
+        const jump = (random() - 0.5) * 2 * scale;
+        const sigma = scale * (0.05 + random() * 0.2);
+        return Array.from({ length: numPoints }, (_, i) => {
+            const phase = phaseAt(i, numPoints);
+            let flux = 1 + slope * phase + curvature * phase * phase + (phase > jumpAt ? jump : 0) + normal() * sigma;
+            if (random() < 0.03) flux -= scale * (1 + random() * 2); // cosmic ray or pointing outlier
+            return flux;
+        });
+    },
+};
+
+// Zero-median flux scaled by the largest excursion, so events of any depth look alike.
+export function normalizeLightCurve(flux) {
+    const sorted = [...flux].sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    const centered = flux.map(f => f - median);
+    const scale = Math.max(...centered.map(Math.abs)) || 1;
+    return centered.map(f => f / scale);
+}
+
+export function generateLabeledLightCurve(kind, numPoints, random, normal = createNormal(random)) {
+    return GENERATORS[kind](numPoints, random, normal);
+}
+
+// Half of the set are planets, the rest split evenly between the false-positive classes.
+// Returns normalised inputs with binary targets (planet = 1) and the class of each example.
+export function generateTrainingSet({ size = 2000, numPoints = 64, seed = 2024, validationSplit = 0.2 } = {}) {
+    const random = createRandom(seed);
+    const normal = createNormal(random);
+    const falsePositives = Object.keys(LC_CLASSES).filter(kind => kind !== 'planet');
+
+    const examples = [];
+    for (let i = 0; i < size; i++) {
+        const kind = i % 2 === 0 ? 'planet' : falsePositives[Math.floor(i / 2) % falsePositives.length];
+        examples.push({
+            input: normalizeLightCurve(generateLabeledLightCurve(kind, numPoints, random, normal)),
+            target: LC_CLASSES[kind].target,
+            kind,
+        });
+    }
+    // Fisher-Yates shuffle so the validation split sees every class.
+    for (let i = examples.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [examples[i], examples[j]] = [examples[j], examples[i]];
+    }
+
+    const validationCount = Math.round(size * validationSplit);
+    const split = (list) => ({
+        inputs: list.map(e => e.input),
+        targets: list.map(e => e.target),
+        kinds: list.map(e => e.kind),
+    });
+    return {
+        numPoints,
+        train: split(examples.slice(validationCount)),
+        validation: split(examples.slice(0, validationCount)),
+    };
+}
@@ -0,0 +1,117 @@
+// Run manifests: a record of everything a pipeline run depended on, exported with its results
+// so that a cited shortlist can be reproduced and checked later. A manifest is plain JSON:
+//   { manifestVersion, createdAt, appVersion,
+//     catalog:  { hash, name, format, snapshotDate, generatorConfig, count, lightCurves },
+//     pipeline: { fingerprint, gates: { [stageId]: gate } },
+//     seeds:    { scheme, robustnessRuns },
+//     settings: { thresholds, esiMetric, noise, lightCurveMode },
+//     models:   { [id]: { status, version, weightHash } },
+//     results:  { counts: { [bucketId]: n }, shortlist: [pl_name],
+//                 planets: { [pl_name]: { gates: { [stageId]: { passed, values } }, pShortlisted? } } } }
+// A generated catalog keeps its generatorConfig, so it can be regenerated on import;
+// `lightCurves` holds the hashes of light curves imported for planets, by pl_name.
+
+export const MANIFEST_VERSION = 1;
+
+// Scores recomputed from the same inputs should agree exactly; this allows for the last bits
+// of a different TensorFlow.js backend.
+const SCORE_TOLERANCE = 1e-9;
+
+// The results part of a manifest. `buckets` are the pipeline's planet lists in order,
+// [{ id, planets }], ending with the final shortlist.
+export function runResults(planets, buckets, pipeline) {
+    const counts = Object.fromEntries(buckets.map(bucket => [bucket.id, bucket.planets.length]));
+    const shortlist = buckets[buckets.length - 1].planets.map(p => p.pl_name);
+    const results = { counts, shortlist, planets: {} };
+    planets.forEach(p => {
+        if (!p.analysis?.gates) return;
+        const gates = {};
+        pipeline.stages.forEach(stage => {
+            const gate = p.analysis.gates[stage.id];
+            if (gate) gates[stage.id] = { passed: gate.passed, values: gate.values };
+        });
+        results.planets[p.pl_name] = { gates };
+        if (p.analysis.robustness) results.planets[p.pl_name].pShortlisted = p.analysis.robustness.probability;
+    });
+    return results;
+}
+
+export function buildManifest({ appVersion, catalog, pipeline, seeds, settings, models, results }) {
+    return {
+        manifestVersion: MANIFEST_VERSION,
+        createdAt: new Date().toISOString(),
+        appVersion,
+        catalog,
+        pipeline,
+        seeds,
+        settings,
+        models,
+        ...(results && { results }),
+    };
+}
+
+// Parses an exported manifest, throwing on anything that is not one.
+export function parseManifest(text) {
+    let manifest;
+    try {
+        manifest = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Not a JSON file: ${err.message}`);
+    }
+    if (manifest?.manifestVersion == null) throw new Error('Not a run manifest: it has no manifestVersion');
+    if (manifest.manifestVersion > MANIFEST_VERSION) throw new Error(`Manifest version ${manifest.manifestVersion} is newer than this app supports (${MANIFEST_VERSION})`);
+    ['catalog', 'pipeline', 'seeds', 'settings', 'models', 'results'].forEach(key => {
+        if (!manifest[key]) throw new Error(`The manifest has no ${key}`);
+    });
+    if (!Array.isArray(manifest.results.shortlist)) throw new Error('The manifest has no recorded shortlist');
+    return manifest;
+}
+
+// Imported light curves as 'pl_name (hash)' in name order, or null when there are none.
+export const describeImportedLightCurves = (lightCurves) => Object.entries(lightCurves || {})
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, hash]) => `${name} (${hash})`)
+    .join(', ') || null;
+
+const describeModel = (model) => model?.status === 'loaded' ? `v${model.version} (weights ${model.weightHash})` : 'heuristic fallback';
+
+// Differences between a recorded manifest and the current configuration (a manifest without
+// results). `blocking` differences make the run irreproducible here; the others may or may
+// not change the scores, which the shortlist check then shows.
+export function compareConfiguration(recorded, current) {
+    const differences = [];
+    const compare = (field, label, a, b, blocking) => {
+        if (a !== b) differences.push({ field, label, recorded: a, current: b, blocking });
+    };
+    compare('catalog', 'Catalog fingerprint', recorded.catalog.hash, current.catalog.hash, true);
+    compare('pipeline', 'Pipeline definition', recorded.pipeline.fingerprint, current.pipeline.fingerprint, true);
+    compare('seeds', 'Seed scheme', recorded.seeds.scheme, current.seeds.scheme, true);
+    compare('lightCurves', 'Imported light curves', describeImportedLightCurves(recorded.catalog.lightCurves), describeImportedLightCurves(current.catalog.lightCurves), true);
+    Object.keys({ ...recorded.models, ...current.models }).forEach(id => {
+        compare(`models.${id}`, `Model ${id}`, describeModel(recorded.models[id]), describeModel(current.models[id]), false);
+    });
+    compare('appVersion', 'App version', recorded.appVersion, current.appVersion, false);
+    return differences;
+}
+
+const sameValue = (a, b) => a === b || (a != null && b != null && Math.abs(a - b) <= SCORE_TOLERANCE);
+
+// Compares reproduced results with recorded ones: the shortlist, as planets `missing` from
+// the reproduction and `added` to it, and the planets whose gate decisions or metric values
+// differ.
+export function compareResults(recorded, reproduced) {
+    const reproducedSet = new Set(reproduced.shortlist);
+    const recordedSet = new Set(recorded.shortlist);
+    const missing = recorded.shortlist.filter(name => !reproducedSet.has(name));
+    const added = reproduced.shortlist.filter(name => !recordedSet.has(name));
+    const changed = Object.keys({ ...recorded.planets, ...reproduced.planets }).filter(name => {
+        const a = recorded.planets[name]?.gates || {};
+        const b = reproduced.planets[name]?.gates || {};
+        return Object.keys({ ...a, ...b }).some(stageId => {
+            if (!a[stageId] || !b[stageId] || a[stageId].passed !== b[stageId].passed) return true;
+            const values = { ...a[stageId].values, ...b[stageId].values };
+            return Object.keys(values).some(id => !sameValue(a[stageId].values[id], b[stageId].values[id]));
+        });
+    });
+    return { shortlistMatches: missing.length === 0 && added.length === 0, missing, added, changed };
+}
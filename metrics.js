@@ -0,0 +1,151 @@
+// Registry of catalog-derived habitability indices beyond ESI and PHI. Each entry declares
+//   { label, requiredFields, compute(planet) → number, modal: { title, content }, range? }
+// keyed by its id. Registered metrics appear as table columns and drawer rows, and a pipeline
+// stage can list them among its metrics or name them in its gate (see pipeline.js). A planet
+// missing any required field gets no value for that metric, and the UI lists what was missing.
+
+import { hzFluxLimits, hzDistance } from './habitableZone.js';
+
+const gaussian = (x, mean, sigma) => Math.exp(-Math.pow(x - mean, 2) / (2 * sigma * sigma));
+// 1 up to `limit`, then a Gaussian fall-off of width `sigma`.
+const atLeast = (x, limit, sigma) => x >= limit ? 1 : gaussian(x, limit, sigma);
+const atMost = (x, limit, sigma) => x <= limit ? 1 : gaussian(x, limit, sigma);
+const clamp01 = (x) => Math.max(0, Math.min(1, x));
+
+// Orbital distance in units of sqrt(L☉), which is all the HZ comparisons need.
+const fluxDistance = (insol) => 1 / Math.sqrt(insol);
+
+// Likelihood of surface liquid water: 1 inside the conservative habitable zone, falling off
+// to ~1% at the optimistic edges.
+function liquidWaterLikelihood({ pl_insol, st_teff }) {
+    const conservative = hzFluxLimits(st_teff, 'conservative');
+    const optimistic = hzFluxLimits(st_teff, 'optimistic');
+    const r = fluxDistance(pl_insol);
+    const inner = fluxDistance(conservative.inner), outer = fluxDistance(conservative.outer);
+    if (r < inner) return gaussian(r, inner, (inner - fluxDistance(optimistic.inner)) / 3);
+    if (r > outer) return gaussian(r, outer, (fluxDistance(optimistic.outer) - outer) / 3);
+    return 1;
+}
+
+// Statistical-likelihood Exo-Planetary Habitability Index (Rodríguez-Mozos & Moya 2017):
+// the geometric mean of four likelihoods, each 1 for Earth.
+//   L1 telluric:   radius no larger than an Earth-composition planet of the same mass,
+//                  falling off towards a 50% water world (R ≈ M^0.274 and 1.24·M^0.274)
+//   L2 atmosphere: escape velocity at least Earth's
+//   L3 water:      inside the habitable zone (see liquidWaterLikelihood)
+//   L4 magnetic:   dipole moment at least Earth's, scaled as √ρ·R³ for a core that scales
+//                  with the planet; tidal locking is not modelled
+export function sephiLikelihoods({ pl_rade, pl_masse, pl_insol, st_teff }) {
+    const rocky = Math.pow(pl_masse, 0.274);
+    const water = 1.24 * rocky;
+    const density = pl_masse / Math.pow(pl_rade, 3);
+    return {
+        telluric: atMost(pl_rade, rocky, (water - rocky) / 3),
+        atmosphere: atLeast(Math.sqrt(pl_masse / pl_rade), 1, 1 / 3),
+        water: liquidWaterLikelihood({ pl_insol, st_teff }),
+        magnetic: atLeast(Math.sqrt(density) * Math.pow(pl_rade, 3), 1, 1 / 3),
+    };
+}
+
+// Transmission signal of one atmospheric scale height relative to the Earth–Sun case:
+// 2·Rp·H / Rs², with H ∝ T / g and g ∝ M / R².
+function relativeTransmissionSignal({ pl_rade, pl_masse, pl_eqt, st_rad }) {
+    const gravity = pl_masse / Math.pow(pl_rade, 2);
+    return pl_rade * (pl_eqt / 255) / gravity / Math.pow(st_rad, 2);
+}
+
+// Plausibility that a biosignature could both exist and be seen in transmission: the
+// geometric mean of a rocky surface (SEPHI L1), liquid water (L3), a host whose activity and
+// lifetime allow a stable biosphere, and detectability, which is ½ for an Earth–Sun twin and
+// saturates for larger signals.
+export function biosignatureFactors(planet) {
+    const { telluric, water } = sephiLikelihoods(planet);
+    let host = 1;
+    if (planet.st_teff < 3900) host = 0.6;       // M dwarf: flares and UV variability
+    else if (planet.st_teff > 7000) host = 0.4;  // short main-sequence lifetime
+    const signal = relativeTransmissionSignal(planet);
+    return { telluric, water, host, detectability: signal / (signal + 1) };
+}
+
+const geometricMean = (values) => Math.pow(values.reduce((product, v) => product * v, 1), 1 / values.length);
+
+export const METRIC_REGISTRY = {
+    sephi: {
+        label: 'SEPHI',
+        requiredFields: ['pl_rade', 'pl_masse', 'pl_insol', 'st_teff'],
+        compute: (planet) => geometricMean(Object.values(sephiLikelihoods(planet))),
+        modal: {
+            title: 'Statistical-likelihood Exo-Planetary Habitability Index (SEPHI)',
+            content: `
+            <p>SEPHI (Rodríguez-Mozos &amp; Moya 2017) asks four questions about a planet and scores each as a likelihood from 0 to 1. The index is their geometric mean, so a planet must do reasonably well on all four.</p>
+            <div class="modal-formula-container">
+                 <div class="styled-formula">SEPHI = (L<span class="sub">1</span> &times; L<span class="sub">2</span> &times; L<span class="sub">3</span> &times; L<span class="sub">4</span>)<span class="sup">1/4</span></div>
+            </div>
+            <ul style="color: var(--text-secondary); line-height: 1.8;">
+                <li><strong>L1, telluric:</strong> is the radius no larger than a rocky planet of the same mass?</li>
+                <li><strong>L2, atmosphere:</strong> is the escape velocity high enough to keep an atmosphere?</li>
+                <li><strong>L3, liquid water:</strong> does the planet orbit inside the habitable zone?</li>
+                <li><strong>L4, magnetic field:</strong> could the planet sustain a protective magnetic field?</li>
+            </ul>
+            <p style="font-size: 0.8rem; color: var(--text-secondary);">Here L1 uses Earth-composition and 50% water mass–radius relations, L3 the Kopparapu et al. (2014) habitable zone and L4 a dipole moment that scales with density and radius; rotation and tidal locking are not modelled. Needs radius, mass, insolation and stellar temperature.</p>
+        `,
+        },
+    },
+    hzd: {
+        label: 'HZ Distance',
+        requiredFields: ['pl_insol', 'st_teff'],
+        compute: (planet) => hzDistance(planet.pl_insol, planet.st_teff),
+        range: [-3, 3],
+        modal: {
+            title: 'Habitable Zone Distance (HZD)',
+            content: `
+            <p>HZD (Menou &amp; Tabachnik 2003) places the planet's orbit within its star's habitable zone: <strong>−1</strong> at the inner (hot) edge, <strong>0</strong> in the middle and <strong>+1</strong> at the outer (cold) edge. Values beyond ±1 lie outside the zone.</p>
+            <div class="modal-formula-container">
+                 <div class="styled-formula">HZD = (2r − r<span class="sub">out</span> − r<span class="sub">in</span>) / (r<span class="sub">out</span> − r<span class="sub">in</span>)</div>
+            </div>
+            <p style="font-size: 0.8rem; color: var(--text-secondary);">The edges are the conservative runaway and maximum greenhouse limits of Kopparapu et al. (2014) for the star's temperature. Distances are derived from the insolation, so no semi-major axis is needed. To gate on it, compare its absolute value, e.g. <code>abs(hzd) &lt;= 1</code>.</p>
+        `,
+        },
+    },
+    biosignature: {
+        label: 'Biosignature Plausibility',
+        requiredFields: ['pl_rade', 'pl_masse', 'pl_insol', 'pl_eqt', 'st_teff', 'st_rad'],
+        compute: (planet) => clamp01(geometricMean(Object.values(biosignatureFactors(planet)))),
+        modal: {
+            title: 'Biosignature Plausibility Score',
+            content: `
+            <p>A screening score for how plausible it is that a biosignature could exist on the planet <em>and</em> be seen in a transmission spectrum. It is the geometric mean of four factors:</p>
+            <ul style="color: var(--text-secondary); line-height: 1.8;">
+                <li><strong>Rocky surface:</strong> SEPHI's telluric likelihood</li>
+                <li><strong>Liquid water:</strong> SEPHI's habitable-zone likelihood</li>
+                <li><strong>Host star:</strong> reduced for flaring M dwarfs and short-lived hot stars</li>
+                <li><strong>Detectability:</strong> transmission signal of one atmospheric scale height, ½ for an Earth–Sun twin</li>
+            </ul>
+            <p style="font-size: 0.8rem; color: var(--text-secondary);">The score ranks targets for follow-up; it says nothing about whether life is present. Needs radius, mass, insolation, equilibrium temperature, and stellar temperature and radius.</p>
+        `,
+        },
+    },
+};
+
+// Required fields the planet lacks for a registered metric.
+export function missingFields(planet, id) {
+    return METRIC_REGISTRY[id].requiredFields.filter(field => !(planet[field] > 0));
+}
+
+// Every registered metric for a planet: `values` by id (null when skipped) and, for skipped
+// metrics, the missing fields.
+export function computeRegisteredMetrics(planet) {
+    const values = {};
+    const skipped = {};
+    Object.entries(METRIC_REGISTRY).forEach(([id, metric]) => {
+        const missing = missingFields(planet, id);
+        if (missing.length > 0) {
+            values[id] = null;
+            skipped[id] = missing;
+            return;
+        }
+        const value = metric.compute(planet);
+        values[id] = Number.isFinite(value) ? value : null;
+    });
+    return { values, skipped };
+}
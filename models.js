@@ -0,0 +1,129 @@
+// Registry and loader for the pipeline's TensorFlow.js models. Weights are bundled as
+// Layers-format exports (`model.json` plus binary shards) under public/models/<id>/, served
+// as models/<id>/; models trained in the browser are saved to IndexedDB and take precedence
+// over the bundled files. When a model cannot be loaded the pipeline falls back to a
+// heuristic and says so in the UI; it never runs a randomly initialised network. `training`
+// says what the bundled weights were fitted to (see scripts/train-models.js); none of them has
+// seen real Kepler or JWST data.
+
+export const MODEL_STATUS = {
+    pending: { label: 'Loading…' },
+    loaded: { label: 'Loaded' },
+    missing: { label: 'Weights missing — heuristic fallback' },
+    invalid: { label: 'Incompatible weights — heuristic fallback' },
+};
+
+export const MODEL_REGISTRY = {
+    lc_cnn: {
+        name: 'Light Curve CNN',
+        version: '1.0.0',
+        inputShape: [64, 1],   // phase-folded, normalised flux
+        outputShape: [1],      // planet probability
+        training: 'Labeled synthetic light curves from the training panel.',
+        url: 'models/lc_cnn/model.json',
+        localUrl: 'indexeddb://lc_cnn',  // written by the training view
+    },
+    spec_cnn: {
+        name: 'Spectrum CNN',
+        version: '1.0.0',
+        inputShape: [128, 1],  // see buildSpecInput() in spectra.js
+        outputShape: [128],    // absorption in ppm on SPECTRUM_WAVELENGTHS
+        training: 'Spectra forward-modelled from the heuristic atmospheres of a generated catalog.',
+        url: 'models/spec_cnn/model.json',
+    },
+    phi_mlp: {
+        name: 'PHI Likelihood MLP',
+        version: '1.0.0',
+        inputShape: [7],       // see phiFeatures() in engine.js
+        outputShape: [1],      // habitability likelihood
+        training: 'Imitates the heuristic fallback: 60% PHI plus 40% atmospheric similarity, on sampled features.',
+        url: 'models/phi_mlp/model.json',
+    },
+};
+
+const sameShape = (a, b) => a.length === b.length && a.every((dim, i) => dim === b[i]);
+
+async function loadFirstAvailable(urls) {
+    let lastError = null;
+    for (const url of urls) {
+        try {
+            return { model: await tf.loadLayersModel(url), url };
+        } catch (err) {
+            lastError = err;
+        }
+    }
+    throw lastError;
+}
+
+// Fingerprint of a model's weights: FNV-1a over the bytes of every weight tensor, in order.
+// Run manifests record it, since a version string does not change when a model is retrained.
+export function weightHash(model) {
+    let hash = 0x811c9dc5;
+    model.getWeights().forEach(tensor => {
+        const data = tensor.dataSync();
+        const bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        for (let i = 0; i < bytes.length; i++) {
+            hash ^= bytes[i];
+            hash = Math.imul(hash, 0x01000193);
+        }
+    });
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Resolves to { model, status, version, weightHash, source, error }. A `version` in the
+// export's userDefinedMetadata overrides the registry default. `url` replaces the registry's
+// relative one, which only resolves against the page; workers are given absolute URLs.
+export async function loadModel(id, url = MODEL_REGISTRY[id].url) {
+    const entry = MODEL_REGISTRY[id];
+    let model, source;
+    try {
+        const urls = entry.localUrl ? [entry.localUrl, url] : [url];
+        ({ model, url: source } = await loadFirstAvailable(urls));
+    } catch (err) {
+        return { model: null, status: 'missing', version: entry.version, weightHash: null, source: null, error: err.message };
+    }
+
+    const inputShape = model.inputs[0].shape.slice(1);
+    const outputShape = model.outputs[0].shape.slice(1);
+    const mismatch = !sameShape(inputShape, entry.inputShape)
+        ? `Expected input shape [${entry.inputShape}], got [${inputShape}]`
+        : !sameShape(outputShape, entry.outputShape)
+            ? `Expected output shape [${entry.outputShape}], got [${outputShape}]`
+            : null;
+    if (mismatch) {
+        model.dispose();
+        return { model: null, status: 'invalid', version: entry.version, weightHash: null, source, error: mismatch };
+    }
+    const metadata = model.getUserDefinedMetadata?.() || {};
+    return { model, status: 'loaded', version: metadata.version || entry.version, weightHash: weightHash(model), source, error: null };
+}
+
+// `destination` is 'browser' (IndexedDB, reloaded on the next visit) or 'download'.
+export function saveModel(id, model, destination) {
+    const entry = MODEL_REGISTRY[id];
+    if (destination === 'browser') {
+        if (!entry.localUrl) throw new Error(`Model ${id} has no browser storage location`);
+        return model.save(entry.localUrl);
+    }
+    return model.save(`downloads://${id}`);
+}
+
+export async function removeSavedModel(id) {
+    const entry = MODEL_REGISTRY[id];
+    if (!entry.localUrl) return;
+    try {
+        await tf.io.removeModel(entry.localUrl);
+    } catch (err) {
+        // Nothing was saved.
+    }
+}
+
+// The bundled weights' URLs resolved against `base`, e.g. the page's document.baseURI.
+export const modelUrls = (base) => Object.fromEntries(Object.entries(MODEL_REGISTRY).map(([id, entry]) => [id, new URL(entry.url, base).href]));
+
+// `urls` by id override the registry's, as in loadModel().
+export async function loadModels(urls = {}) {
+    const ids = Object.keys(MODEL_REGISTRY);
+    const results = await Promise.all(ids.map(id => loadModel(id, urls[id])));
+    return Object.fromEntries(ids.map((id, i) => [id, results[i]]));
+}
@@ -0,0 +1,140 @@
+// Rule-based Planetary Habitability Index after Schulze-Makuch et al. (2011):
+// PHI = (S · E · C · L)^(1/4), the geometric mean of four factors in [0, 1].
+//   S: stable substrate     (radius and bulk density)
+//   E: available energy     (insolation and stellar type)
+//   C: appropriate chemistry (predicted atmospheric composition, in percent by volume)
+//   L: liquid solvent       (equilibrium temperature)
+// The rules are deliberately simple and transparent; they rank candidates, they do not
+// measure habitability.
+
+export const PHI_FACTORS = {
+    S: { label: 'Substrate', description: 'Solid surface, from radius and bulk density' },
+    E: { label: 'Energy', description: 'Usable stellar energy, from insolation and stellar type' },
+    C: { label: 'Chemistry', description: 'Water, carbon and absence of toxic gases in the predicted atmosphere' },
+    L: { label: 'Liquid Solvent', description: 'Temperature window for liquid water, or cryogenic hydrocarbons' },
+};
+
+const clamp01 = (x) => Math.max(0, Math.min(1, x));
+const gaussian = (x, mean, sigma) => Math.exp(-Math.pow(x - mean, 2) / (2 * sigma * sigma));
+
+// Rocky worlds up to ~1.6 R⊕ score fully; above that the chance of a volatile envelope
+// grows and the score falls to zero by 4 R⊕. Icy bodies (density below ~3 g/cm³) keep a
+// partial score for their solid ice shell.
+export function substrateFactor({ pl_rade, pl_dens }) {
+    if (!(pl_rade > 0)) return 0;
+    const size = pl_rade <= 1.6 ? 1 : clamp01((4 - pl_rade) / (4 - 1.6));
+    if (pl_dens == null) return size;
+    const composition = pl_dens >= 3 ? 1 : clamp01(0.4 + 0.6 * (pl_dens - 1) / 2);
+    return size * composition;
+}
+
+// Insolation is scored on a log scale around Earth's; M dwarfs are penalised for flares
+// and tidal locking, hot stars for UV flux and short main-sequence lifetimes. Tidal and
+// chemical energy are not modelled, so a small floor stands in for them. A missing stellar
+// temperature leaves the stellar type unknown and unpenalised.
+export function energyFactor({ pl_insol, st_teff }) {
+    const light = pl_insol > 0 ? gaussian(Math.log10(pl_insol), 0, 1) : 0;
+    let stellar = 1;
+    if (st_teff > 0 && st_teff < 3900) stellar = 0.7; // M dwarf
+    else if (st_teff > 7300) stellar = 0.6;           // A type and hotter
+    return Math.max(0.1, light * stellar);
+}
+
+const TOXIC_GASES = ['SO₂', 'NH₃', 'CO'];
+
+export function chemistryFactor(composition) {
+    if (!composition) return 0;
+    const water = clamp01((composition['H₂O'] ?? 0) / 1);
+    const carbon = clamp01(((composition['CO₂'] ?? 0) + (composition['CH₄'] ?? 0)) / 0.04);
+    const toxic = TOXIC_GASES.reduce((sum, gas) => sum + (composition[gas] ?? 0), 0);
+    const clean = clamp01(1 - toxic / 0.3);
+    return 0.4 * water + 0.3 * carbon + 0.3 * clean;
+}
+
+// Equilibrium temperatures between ~180 and ~310 K allow surface liquid water for a
+// plausible greenhouse effect (Earth: 255 K). Titan-like 70–110 K worlds can hold liquid
+// methane and ethane, which earns a partial score.
+export function liquidFactor({ pl_eqt }) {
+    if (!(pl_eqt > 0)) return 0;
+    const water = pl_eqt < 180 ? gaussian(pl_eqt, 180, 30) : pl_eqt > 310 ? gaussian(pl_eqt, 310, 30) : 1;
+    const hydrocarbon = pl_eqt >= 70 && pl_eqt <= 110 ? 0.3 : 0;
+    return Math.max(water, hydrocarbon);
+}
+
+// Similarity of an atmosphere (percent by volume) to Earth's, from 0 to 1. Used by the
+// JWST panel's meter and by Stage 2.
+export function calculateAtmosphericSimilarity(composition) {
+    const concs = composition;
+
+    const scoreComponent = (conc, ideal, tolerance) => {
+        return Math.exp(-Math.pow(conc - ideal, 2) / (2 * Math.pow(tolerance, 2)));
+    };
+
+    // Scores for individual components (0-1), adjusted for new ranges
+    const h2o_score = concs['H₂O'] / 10;
+    const o2_score = scoreComponent(concs['O₂'], 21, 5); // More sensitive around 21%
+    const co2_score = 1 - Math.min(1, (concs['CO₂'] / 1) * 2); // Penalize above 0.5%
+    const o3_score = concs['O₃'] / 0.1;
+    const ch4_score = scoreComponent(concs['CH₄'], 0.01, 0.05);
+
+    // Penalties for toxic gases
+    const toxic_penalty = (
+        (concs['CO'] / 0.1) + 
+        (concs['SO₂'] / 0.1) + 
+        (concs['NH₃'] / 0.1)
+    ) / 3;
+
+    // Weights for each component
+    const weights = {
+        h2o: 0.35,
+        o2: 0.35,
+        co2: 0.15,
+        o3: 0.1,
+        ch4: 0.05
+    };
+
+    // Weighted average of positive components
+    const positive_score = 
+        h2o_score * weights.h2o +
+        o2_score * weights.o2 +
+        co2_score * weights.co2 +
+        o3_score * weights.o3 +
+        ch4_score * weights.ch4;
+
+    // Apply toxic penalty
+    const final_score = positive_score * (1 - toxic_penalty * 1.5);
+    
+    return Math.max(0, Math.min(1, final_score));
+}
+
+export function calculatePHI(planet, composition) {
+    const factors = {
+        S: substrateFactor(planet),
+        E: energyFactor(planet),
+        C: chemistryFactor(composition),
+        L: liquidFactor(planet),
+    };
+    const value = Math.pow(factors.S * factors.E * factors.C * factors.L, 1 / 4);
+    return { factors, value };
+}
+
+// Solar System bodies scored with the same rules, for comparison in the drawer.
+// Compositions are trace-gas abundances in percent; N₂ and Ar backgrounds are omitted.
+export const PHI_REFERENCE_BODIES = [
+    {
+        name: 'Earth',
+        planet: { pl_rade: 1.0, pl_dens: 5.51, pl_insol: 1.0, pl_eqt: 255, st_teff: 5772 },
+        composition: { 'H₂O': 1.0, 'O₂': 21, 'CO₂': 0.04, 'CH₄': 0.0002, 'O₃': 0.000007, 'SO₂': 0, 'NH₃': 0, 'CO': 0.00001 },
+    },
+    {
+        name: 'Europa',
+        planet: { pl_rade: 0.245, pl_dens: 3.01, pl_insol: 0.037, pl_eqt: 102, st_teff: 5772 },
+        // Tenuous O₂ exosphere over a water-ice shell.
+        composition: { 'H₂O': 0.5, 'O₂': 0.01, 'CO₂': 0.001, 'CH₄': 0, 'O₃': 0, 'SO₂': 0.001, 'NH₃': 0, 'CO': 0 },
+    },
+    {
+        name: 'Titan',
+        planet: { pl_rade: 0.404, pl_dens: 1.88, pl_insol: 0.011, pl_eqt: 82, st_teff: 5772 },
+        composition: { 'H₂O': 0, 'O₂': 0, 'CO₂': 0.000001, 'CH₄': 5.0, 'O₃': 0, 'SO₂': 0, 'NH₃': 0, 'CO': 0.005 },
+    },
+].map(body => ({ ...body, phi: calculatePHI(body.planet, body.composition) }));
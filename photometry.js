@@ -0,0 +1,302 @@
+// Simulated Kepler long-cadence photometry of a planet's transits (see transit.js): an unfolded
+// multi-quarter time series with selectable noise components, detrended and then folded into
+// the local view lc_cnn reads; imported light curves are parsed into the same form. Times are
+// in days from the start of the series; fluxes are relative to the star's mean brightness.
+
+import { transitFlux } from './transit.js';
+import { createNormal, logUniform } from './uncertainty.js';
+
+export const KEPLER_CADENCE = 29.4244 / 1440; // days
+export const QUARTER_DAYS = 93;
+const QUARTER_GAP = 1; // data downlink between quarters
+export const DEFAULT_QUARTERS = 4;
+// Long-cadence exposures smear ingress and egress; in-transit points average this many samples.
+const SUPERSAMPLE = 5;
+
+export const NOISE_COMPONENTS = {
+    white:         { label: 'Photometric precision', description: 'White noise set by the Kepler magnitude: photon, background and instrument noise' },
+    red:           { label: 'Red noise', description: 'Correlated noise on hour timescales from granulation and pointing jitter' },
+    starspots:     { label: 'Starspot modulation', description: 'Rotational modulation from evolving spot groups; stronger on cool stars' },
+    flares:        { label: 'Flares', description: 'Fast-rise, exponential-decay brightenings, frequent on M dwarfs' },
+    momentumDumps: { label: 'Momentum dumps', description: 'Flux steps and thermal recovery ramps when the reaction wheels are desaturated every three days' },
+};
+export const DEFAULT_NOISE = Object.keys(NOISE_COMPONENTS);
+
+// Flares decay within 10 to 60 minutes.
+const MAX_FLARE_DECAY = 60 / 1440;
+
+// Kepler targets without a catalog magnitude are drawn from this range.
+export const KEPMAG_RANGE = [11, 16];
+
+// Scatter of one long-cadence point for a star of Kepler magnitude `kepmag`: photon noise,
+// background and read noise that grow as the star fades, and a floor. Matches Kepler's
+// observed 6.5-hour CDPP of about 30 ppm at Kp = 12 and 110 ppm at Kp = 15.
+export function keplerPrecision(kepmag) {
+    const fainter = kepmag - 12;
+    const photon = 54e-6 * Math.pow(10, 0.2 * fainter);
+    const background = 20e-6 * Math.pow(10, 0.4 * fainter);
+    const floor = 90e-6;
+    return Math.sqrt(photon * photon + background * background + floor * floor);
+}
+
+// Cadence times of the observed quarters.
+function observingTimes(quarters) {
+    const perQuarter = Math.floor(QUARTER_DAYS / KEPLER_CADENCE);
+    const times = new Float64Array(quarters * perQuarter);
+    for (let q = 0; q < quarters; q++) {
+        const start = q * (QUARTER_DAYS + QUARTER_GAP);
+        for (let i = 0; i < perQuarter; i++) times[q * perQuarter + i] = start + i * KEPLER_CADENCE;
+    }
+    return times;
+}
+
+// Parameters of each noise component for one star, drawn from `random`.
+function drawNoise(noise, { kepmag, teff }, baseline, random) {
+    const cool = teff < 4000;
+    const drawn = {};
+    if (noise.includes('white')) drawn.white = { sigma: keplerPrecision(kepmag) };
+    if (noise.includes('red')) drawn.red = { sigma: logUniform(random, 1e-5, 6e-5), timescale: 0.1 + random() * 0.4 };
+    if (noise.includes('starspots')) {
+        drawn.starspots = {
+            amplitude: cool ? logUniform(random, 1e-3, 2e-2) : logUniform(random, 1e-4, 5e-3),
+            period: cool ? 20 + random() * 60 : 10 + random() * 30,
+            lifetime: 20 + random() * 60,
+            phases: [random(), random(), random()].map(f => f * 2 * Math.PI),
+        };
+    }
+    if (noise.includes('flares')) {
+        const rate = cool ? logUniform(random, 0.05, 1) : logUniform(random, 0.002, 0.02); // per day
+        const count = Math.round(rate * baseline);
+        drawn.flares = Array.from({ length: count }, () => ({
+            start: random() * baseline,
+            amplitude: logUniform(random, 1e-4, cool ? 5e-2 : 2e-3),
+            decay: (10 + random() * 50) / 1440,
+        })).sort((a, b) => a.start - b.start);
+    }
+    if (noise.includes('momentumDumps')) {
+        drawn.momentumDumps = { interval: 3, offset: random() * 3, step: 5e-5 + random() * 1.5e-4, ramp: 0.2 + random() * 0.3 };
+    }
+    return drawn;
+}
+
+// An unfolded light curve: the transits of `transit` at `epoch` (days) and period, with the
+// `noise` components (ids of NOISE_COMPONENTS) for a star of the given Kepler magnitude and
+// temperature. `random` draws the noise. Returns { time, flux, model, breaks } with the
+// noiseless transit model in `model` and the times of momentum dumps, which Kepler flags, in
+// `breaks`.
+export function simulateLightCurve(transit, { epoch, kepmag, teff, noise = DEFAULT_NOISE, quarters = DEFAULT_QUARTERS, random }) {
+    const time = observingTimes(quarters);
+    const n = time.length;
+    const flux = new Float64Array(n);
+    const model = new Float64Array(n);
+    const baseline = time[n - 1];
+    const normal = createNormal(random);
+    const drawn = drawNoise(noise, { kepmag, teff }, baseline, random);
+    const { period, duration } = transit;
+
+    let red = drawn.red ? normal() * drawn.red.sigma : 0;
+    let firstFlare = 0;
+    for (let i = 0; i < n; i++) {
+        const t = time[i];
+        const fromMid = t - epoch - Math.round((t - epoch) / period) * period;
+        let f = 1;
+        if (Math.abs(fromMid) < duration / 2 + KEPLER_CADENCE) {
+            f = 0;
+            for (let s = 0; s < SUPERSAMPLE; s++) f += transitFlux(transit, fromMid + ((s + 0.5) / SUPERSAMPLE - 0.5) * KEPLER_CADENCE);
+            f /= SUPERSAMPLE;
+        }
+        model[i] = f;
+
+        if (drawn.white) f += normal() * drawn.white.sigma;
+        if (drawn.red) {
+            // AR(1) process, restarted at each quarter gap.
+            const gap = i > 0 ? t - time[i - 1] : KEPLER_CADENCE;
+            const rho = gap > 2 * KEPLER_CADENCE ? 0 : Math.exp(-gap / drawn.red.timescale);
+            red = rho * red + Math.sqrt(1 - rho * rho) * normal() * drawn.red.sigma;
+            f += red;
+        }
+        if (drawn.starspots) {
+            const { amplitude, period: rotation, lifetime, phases } = drawn.starspots;
+            const angle = 2 * Math.PI * t / rotation + phases[0];
+            // Spot groups grow and decay over their lifetime; the harmonic skews the shape.
+            const envelope = 0.6 + 0.4 * Math.sin(2 * Math.PI * t / lifetime + phases[1]);
+            f += amplitude * envelope * (Math.sin(angle) + 0.3 * Math.sin(2 * angle + phases[2]));
+        }
+        if (drawn.flares) {
+            const flares = drawn.flares;
+            while (firstFlare < flares.length && t - flares[firstFlare].start > 10 * MAX_FLARE_DECAY) firstFlare++;
+            for (let j = firstFlare; j < flares.length && flares[j].start <= t; j++) {
+                f += flares[j].amplitude * Math.exp(-(t - flares[j].start) / flares[j].decay);
+            }
+        }
+        if (drawn.momentumDumps) {
+            const { interval, offset, step, ramp } = drawn.momentumDumps;
+            const dumps = Math.floor((t - offset) / interval);
+            // Each dump shifts the pointing: a step that alternates in sign and a thermal ramp
+            // that settles over a fraction of a day.
+            if (dumps >= 0) {
+                const since = t - offset - dumps * interval;
+                f += (dumps % 2 === 0 ? step : -step) * (1 - 0.5 * Math.exp(-since / ramp));
+            }
+        }
+        flux[i] = f;
+    }
+    const breaks = [];
+    if (drawn.momentumDumps) {
+        const { interval, offset } = drawn.momentumDumps;
+        for (let t = offset; t < baseline; t += interval) breaks.push(t);
+    }
+    return { time, flux, model, breaks };
+}
+
+// --- DETRENDING ---
+// Divides out the slow variability: medians of consecutive `window`-day bins are joined by a
+// linear spline. Bins never straddle a data gap or one of the `breaks` (sorted times of flagged
+// discontinuities). Points within a duration of mid-transit on the `mask` ephemeris
+// ({ period, epoch, duration }), when given, are left out of the medians so that the spline
+// runs under the transit instead of through it; unmasked, only transits shorter than about a
+// third of the window survive.
+export function detrend(time, flux, window, breaks = [], mask = null) {
+    const masked = (t) => {
+        if (!mask) return false;
+        const fromMid = t - mask.epoch - Math.round((t - mask.epoch) / mask.period) * mask.period;
+        return Math.abs(fromMid) < mask.duration;
+    };
+    const knots = [];
+    let start = 0, segment = 0, nextBreak = 0;
+    for (let i = 1; i <= time.length; i++) {
+        while (nextBreak < breaks.length && breaks[nextBreak] <= time[i - 1]) nextBreak++;
+        const gap = i < time.length && (time[i] - time[i - 1] > 2 * KEPLER_CADENCE || breaks[nextBreak] <= time[i]);
+        if (i < time.length && !gap && time[i] - time[start] < window) continue;
+        // A short bin at the end of a segment joins the one before it, whose median is steadier.
+        const previous = knots[knots.length - 1];
+        if (previous?.segment === segment && previous.end === start && time[i - 1] - time[start] < window / 2) {
+            knots.pop();
+            start = previous.start;
+        }
+        const values = flux.slice(start, i).filter((_, j) => !masked(time[start + j])).sort();
+        knots.push({ t: (time[start] + time[i - 1]) / 2, median: values.length ? values[Math.floor(values.length / 2)] : null, start, end: i, segment });
+        if (gap) segment++;
+        start = i;
+    }
+    // A bin that is all transit takes its median from the line between the nearest unmasked
+    // bins of its segment, or from its own flux when the segment has none.
+    knots.forEach((knot, k) => {
+        if (knot.median != null) return;
+        const nearest = (step) => {
+            for (let j = k + step; knots[j]?.segment === knot.segment; j += step) if (knots[j].median != null) return knots[j];
+            return null;
+        };
+        const before = nearest(-1), after = nearest(1);
+        if (before && after) knot.median = before.median + (after.median - before.median) * (knot.t - before.t) / (after.t - before.t);
+        else if (before || after) knot.median = (before || after).median;
+        else {
+            const values = flux.slice(knot.start, knot.end).sort();
+            knot.median = values[Math.floor(values.length / 2)];
+        }
+    });
+    const detrended = new Float64Array(flux.length);
+    knots.forEach((knot, k) => {
+        // The neighbouring knot on each side within the same segment; at the ends of a segment
+        // the line through the nearest two is extended.
+        const inSegment = (j) => knots[j]?.segment === knot.segment ? knots[j] : null;
+        const before = inSegment(k - 1), after = inSegment(k + 1);
+        for (let i = knot.start; i < knot.end; i++) {
+            const other = (time[i] < knot.t ? before : after) || before || after;
+            const trend = other ? knot.median + (other.median - knot.median) * (time[i] - knot.t) / (other.t - knot.t) : knot.median;
+            detrended[i] = flux[i] / trend;
+        }
+    });
+    return detrended;
+}
+
+// Detrending window for a transit: a few durations, so that enough of each bin lies outside
+// the masked transit, but short enough to follow spots.
+export const detrendWindow = (transit) => Math.min(3, Math.max(0.5, 3 * transit.duration));
+
+// --- FOLDING ---
+// Median flux in `numPoints` bins across `viewDurations` transit durations around mid-transit,
+// folded on `period` and `epoch`, so that a flare in a bin does not lift it. Empty bins are
+// interpolated from their neighbours.
+export function foldLocalView(time, flux, { period, epoch, duration }, numPoints, viewDurations) {
+    const width = viewDurations * duration;
+    const bins = Array.from({ length: numPoints }, () => []);
+    for (let i = 0; i < time.length; i++) {
+        const fromMid = time[i] - epoch - Math.round((time[i] - epoch) / period) * period;
+        const bin = Math.floor((fromMid / width + 0.5) * numPoints);
+        if (bin < 0 || bin >= numPoints) continue;
+        bins[bin].push(flux[i]);
+    }
+    const folded = bins.map(values => {
+        if (values.length === 0) return null;
+        values.sort((a, b) => a - b);
+        const middle = values.length >> 1;
+        return values.length % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+    });
+    const filled = folded.map((value, i) => {
+        if (value != null) return value;
+        let before = i - 1, after = i + 1;
+        while (before >= 0 && folded[before] == null) before--;
+        while (after < numPoints && folded[after] == null) after++;
+        if (before < 0 && after >= numPoints) return 1;
+        if (before < 0) return folded[after];
+        if (after >= numPoints) return folded[before];
+        return folded[before] + (folded[after] - folded[before]) * (i - before) / (after - before);
+    });
+    return filled;
+}
+
+// --- IMPORT ---
+// Column names, lower-cased, recognised in imported light curves: Kepler and TESS light-curve
+// tables exported as CSV, or plain time and flux columns.
+const TIME_COLUMNS = ['time', 'bjd', 'bkjd', 'btjd', 't'];
+const FLUX_COLUMNS = ['pdcsap_flux', 'sap_flux', 'flux', 'f'];
+const MIN_IMPORTED_POINTS = 100;
+
+// Parses an unfolded light curve from comma- or whitespace-separated text: a header naming the
+// time (days) and flux columns, or no header with time and flux in the first two columns.
+// Rows without finite values, such as Kepler's NaN gaps, are dropped. Returns { time, flux }
+// sorted by time, in days from the first point and relative to the median flux. Throws on
+// anything that is not a light curve.
+export function parseLightCurve(text) {
+    const rows = text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => (line.includes(',') ? line.split(',') : line.split(/\s+/)).map(cell => cell.trim().replace(/^"(.*)"$/, '$1')));
+    if (rows.length === 0) throw new Error('The file has no rows');
+
+    let timeColumn = 0, fluxColumn = 1;
+    if (rows[0].some(cell => cell !== '' && !Number.isFinite(Number(cell)))) {
+        const header = rows.shift().map(cell => cell.toLowerCase());
+        timeColumn = header.findIndex(name => TIME_COLUMNS.includes(name));
+        fluxColumn = FLUX_COLUMNS.map(name => header.indexOf(name)).find(i => i >= 0) ?? -1;
+        if (timeColumn < 0) throw new Error(`No time column; expected one of ${TIME_COLUMNS.join(', ')}`);
+        if (fluxColumn < 0) throw new Error(`No flux column; expected one of ${FLUX_COLUMNS.join(', ')}`);
+    }
+
+    const points = rows
+        .map(row => [parseFloat(row[timeColumn]), parseFloat(row[fluxColumn])])
+        .filter(([t, f]) => Number.isFinite(t) && Number.isFinite(f))
+        .sort((a, b) => a[0] - b[0]);
+    if (points.length < MIN_IMPORTED_POINTS) throw new Error(`Only ${points.length} rows have a time and flux; at least ${MIN_IMPORTED_POINTS} are needed`);
+    const sorted = Float64Array.from(points, ([, f]) => f).sort();
+    const median = sorted[Math.floor(sorted.length / 2)];
+    if (!(median > 0)) throw new Error('The median flux is not positive');
+    const start = points[0][0];
+    return {
+        time: Float64Array.from(points, ([t]) => t - start),
+        flux: Float64Array.from(points, ([, f]) => f / median),
+    };
+}
+
+// Fingerprint of an imported light curve, for run manifests.
+export function hashLightCurve({ time, flux }) {
+    let hash = 0x811c9dc5;
+    [time, flux].forEach(values => {
+        new Uint8Array(values.buffer, values.byteOffset, values.byteLength).forEach(byte => {
+            hash ^= byte;
+            hash = Math.imul(hash, 0x01000193);
+        });
+    });
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
@@ -0,0 +1,114 @@
+// Compiles the declarative pipeline definition (pipeline.json) into the form the engine and
+// the UI use. The config lists
+//   thresholds: { [key]: { label, default, info?, min?, max?, step? } }
+//   metrics:    { [id]: { label, source | registry | expression, range? } }
+//   stages:     [{ id, label, name, short, metrics, gate, modal, gateModal, discussion }]
+// where `source` names a scorer in METRIC_SOURCES (engine.js), `registry` a catalog-derived
+// metric in METRIC_REGISTRY (metrics.js), `expression` derives a metric from catalog fields
+// and earlier metrics, and `gate` is an expression (see expressions.js) that decides which
+// planets go on to the next stage. A stage may also list a registry id without declaring it,
+// and any gate may read registered metrics by id. The compiled pipeline is plain data,
+// so it can be posted to the worker.
+
+import { METRIC_SOURCES, hashCode } from './engine.js';
+import { METRIC_REGISTRY } from './metrics.js';
+import { parseExpression, expressionNames, gatedThresholds } from './expressions.js';
+
+const THRESHOLD_DEFAULTS = { min: 0, max: 1, step: 0.05 };
+
+export function compilePipeline(config) {
+    if (!config.stages?.length) throw new Error('The pipeline config has no stages');
+
+    const thresholds = {};
+    Object.entries(config.thresholds || {}).forEach(([key, threshold]) => {
+        if (typeof threshold.default !== 'number') throw new Error(`Threshold "${key}" has no numeric default`);
+        thresholds[key] = { ...THRESHOLD_DEFAULTS, label: key, ...threshold };
+    });
+
+    const metrics = {};
+    Object.entries(config.metrics || {}).forEach(([id, metric]) => {
+        if (metric.source && !METRIC_SOURCES[metric.source]) throw new Error(`Metric "${id}" has unknown source "${metric.source}"`);
+        if (metric.registry && !METRIC_REGISTRY[metric.registry]) throw new Error(`Metric "${id}" has unknown registry id "${metric.registry}"`);
+        if (!metric.source && !metric.registry && !metric.expression) throw new Error(`Metric "${id}" needs a source, a registry id or an expression`);
+        const { label = id, range } = METRIC_REGISTRY[metric.registry] || {};
+        metrics[id] = { label, ...(range && { range }), ...metric, expression: metric.expression ? parseExpression(metric.expression) : null };
+    });
+    config.stages.forEach(stage => (stage.metrics || []).forEach(id => {
+        if (metrics[id] || !METRIC_REGISTRY[id]) return;
+        const { label, range } = METRIC_REGISTRY[id];
+        metrics[id] = { label, ...(range && { range }), registry: id, expression: null };
+    }));
+
+    // Names an expression may read: metrics of this or earlier stages, thresholds and, for
+    // anything else, the registered metrics and the planet's catalog fields.
+    const known = new Set();
+    const checkNames = (ast, where) => expressionNames(ast).forEach(name => {
+        const [head, key] = name.split('.');
+        if (head === 'thresholds' && !thresholds[key]) throw new Error(`${where} uses unknown threshold "${key}"`);
+        if (metrics[head] && !metrics[head].registry && !known.has(head)) throw new Error(`${where} uses metric "${head}" before its stage`);
+    });
+
+    const scored = new Set();
+    const stages = config.stages.map((stage, index) => {
+        if (!stage.id) throw new Error(`Stage ${index + 1} has no id`);
+        if (!stage.gate) throw new Error(`Stage "${stage.id}" has no gate`);
+        // Sources this stage scores: its metrics' sources after their requirements, less
+        // whatever an earlier stage already scored.
+        const sources = [];
+        const addSource = (source) => {
+            if (scored.has(source) || sources.includes(source)) return;
+            METRIC_SOURCES[source].requires.forEach(addSource);
+            sources.push(source);
+        };
+        (stage.metrics || []).forEach(id => {
+            const metric = metrics[id];
+            if (!metric) throw new Error(`Stage "${stage.id}" uses unknown metric "${id}"`);
+            if (metric.source) addSource(metric.source);
+            else if (metric.expression) checkNames(metric.expression, `Metric "${id}"`);
+            known.add(id);
+        });
+        sources.forEach(source => scored.add(source));
+
+        const gate = parseExpression(stage.gate);
+        checkNames(gate, `The ${stage.id} gate`);
+        const label = stage.label || stage.id;
+        return {
+            ...stage,
+            label,
+            short: stage.short || label,
+            metrics: stage.metrics || [],
+            sources,
+            gate,
+            gated: gatedThresholds(gate),
+            // Stages with an uncertain metric have a pass probability worth showing.
+            uncertain: (stage.metrics || []).some(id => METRIC_SOURCES[metrics[id].source]?.probabilityAtLeast),
+        };
+    });
+
+    return { thresholds, metrics, stages, discussion: config.discussion || {} };
+}
+
+// The planet lists the status bar and table tabs show: every stage after the first adds the
+// planets it evaluated, and every stage the planets that passed it. Passing the last stage
+// puts a planet on the final shortlist.
+export function pipelineBuckets(pipeline) {
+    const buckets = [];
+    pipeline.stages.forEach((stage, index) => {
+        if (index > 0) buckets.push({ id: `${stage.id}Evaluated`, label: `${stage.label} Evaluated`, stage: stage.id, passed: false });
+        const last = index === pipeline.stages.length - 1;
+        buckets.push({ id: last ? 'finalShortlist' : `${stage.id}Passed`, label: last ? 'Final Shortlist' : `${stage.label} Passed`, stage: stage.id, passed: true });
+    });
+    return buckets;
+}
+
+// Identifies what the cached scores depend on: which stage scores which sources.
+export function pipelineSignature(pipeline) {
+    return hashCode(JSON.stringify(pipeline.stages.map(stage => [stage.id, stage.sources]))).toString(36);
+}
+
+// Identifies everything in the definition that a run's outcome depends on: each metric's
+// definition and each stage's sources, metrics and gate. Labels and texts are left out.
+export function pipelineFingerprint(pipeline) {
+    const metrics = Object.entries(pipeline.metrics).map(([id, metric]) => [id, metric.source || metric.registry || metric.expression]);
+    return hashCode(JSON.stringify([metrics, pipeline.stages.map(stage => [stage.id, stage.sources, stage.metrics, stage.gate])])).toString(36);
+}
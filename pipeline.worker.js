@@ -0,0 +1,111 @@
+// Runs the analysis engine off the main thread. Messages in:
+//   { type: 'init', urls }                             load TensorFlow.js and the models, from
+//                                                      the absolute URLs of their bundled weights
+//   { type: 'catalog', records }                       replace the catalog to analyse
+//   { type: 'lightCurves', lightCurves }               replace the imported light curves
+//   { type: 'run', runId, settings, pipeline, batchSize }
+//                                                      score the catalog
+//   { type: 'scoreRemaining', runId, indices, scores, settings, pipeline, batchSize }
+//                                                      score the stages the given records newly
+//                                                      reach, whose cached scores are `scores`
+//   { type: 'robustness', runId, settings, pipeline, runs, batchSize }
+//                                                      Monte Carlo robustness of the catalog
+//   { type: 'cancel', runId }                          abandon a run between batches
+//   { type: 'setModel', id, artifacts, version }       swap in weights trained on the main thread
+// Messages out: 'models', 'progress', 'batch', 'stagesBatch', 'robustnessBatch', 'done', 'cancelled' and 'error'.
+
+import { MODEL_REGISTRY, loadModels, weightHash } from './models.js';
+import { scoreCatalog, scoreRemainingStages, scoreRobustnessCatalog } from './engine.js';
+
+const TFJS_URL = 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.20.0/dist/tf.fesm.min.js';
+
+const models = Object.fromEntries(Object.keys(MODEL_REGISTRY).map(id => [id, null]));
+let records = [];
+let lightCurves = {};
+let activeRunId = null;
+
+async function init({ urls }) {
+    try {
+        self.tf = await import(/* @vite-ignore */ TFJS_URL);
+    } catch (err) {
+        const modelInfo = Object.fromEntries(Object.entries(MODEL_REGISTRY).map(([id, entry]) => [
+            id, { status: 'missing', version: entry.version, weightHash: null, source: null, error: 'TensorFlow.js not available in the worker' },
+        ]));
+        self.postMessage({ type: 'models', modelInfo });
+        return;
+    }
+
+    const loaded = await loadModels(urls);
+    const modelInfo = {};
+    Object.entries(loaded).forEach(([id, { model, ...info }]) => {
+        models[id] = model;
+        modelInfo[id] = info;
+    });
+    self.postMessage({ type: 'models', modelInfo });
+}
+
+async function setModel({ id, artifacts, version }) {
+    const model = await tf.loadLayersModel(tf.io.fromMemory(artifacts));
+    models[id]?.dispose();
+    models[id] = model;
+    self.postMessage({ type: 'models', modelInfo: { [id]: { status: 'loaded', version, weightHash: weightHash(model), source: 'browser training', error: null } } });
+}
+
+async function run({ runId, settings, pipeline, batchSize }) {
+    activeRunId = runId;
+    const total = records.length;
+    const completed = await scoreCatalog(records, { settings, models, pipeline, lightCurves }, {
+        batchSize,
+        isCancelled: () => activeRunId !== runId,
+        onBatch: (start, scores) => {
+            self.postMessage({ type: 'batch', runId, start, scores });
+            self.postMessage({ type: 'progress', runId, done: start + scores.length, total });
+        },
+    });
+    self.postMessage({ type: completed ? 'done' : 'cancelled', runId });
+}
+
+async function scoreRemaining({ runId, indices, scores, settings, pipeline, batchSize }) {
+    activeRunId = runId;
+    const items = indices.map((index, i) => ({ planet: records[index], scores: scores[i] }));
+    const completed = await scoreRemainingStages(items, { settings, models, pipeline, lightCurves }, {
+        batchSize,
+        isCancelled: () => activeRunId !== runId,
+        onBatch: (start, scores) => {
+            self.postMessage({ type: 'stagesBatch', runId, indices: indices.slice(start, start + scores.length), scores });
+            self.postMessage({ type: 'progress', runId, done: start + scores.length, total: items.length });
+        },
+    });
+    self.postMessage({ type: completed ? 'done' : 'cancelled', runId });
+}
+
+async function robustness({ runId, settings, pipeline, runs, batchSize }) {
+    activeRunId = runId;
+    const total = records.length;
+    const completed = await scoreRobustnessCatalog(records, { settings, models, pipeline, lightCurves }, runs, {
+        batchSize,
+        isCancelled: () => activeRunId !== runId,
+        onBatch: (start, results) => {
+            self.postMessage({ type: 'robustnessBatch', runId, start, results });
+            self.postMessage({ type: 'progress', runId, done: start + results.length, total });
+        },
+    });
+    self.postMessage({ type: completed ? 'done' : 'cancelled', runId });
+}
+
+self.onmessage = async ({ data }) => {
+    try {
+        switch (data.type) {
+            case 'init': await init(data); break;
+            case 'catalog': records = data.records; break;
+            case 'lightCurves': lightCurves = data.lightCurves; break;
+            case 'run': await run(data); break;
+            case 'scoreRemaining': await scoreRemaining(data); break;
+            case 'robustness': await robustness(data); break;
+            case 'cancel': if (activeRunId === data.runId) activeRunId = null; break;
+            case 'setModel': await setModel(data); break;
+        }
+    } catch (err) {
+        self.postMessage({ type: 'error', runId: data.runId, message: err.message });
+    }
+};
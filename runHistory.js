@@ -0,0 +1,83 @@
+// Run history: each completed pipeline run is kept as a run manifest with its results (see
+// manifest.js), and any two runs can be diffed to see which planets entered, left or moved
+// through the stages and which score or threshold changes moved them.
+
+import { compareConfiguration } from './manifest.js';
+import { NOISE_COMPONENTS } from './photometry.js';
+import { LIGHT_CURVE_MODES, DEFAULT_LIGHT_CURVE_MODE } from './engine.js';
+
+export const MAX_RUN_HISTORY = 20;
+
+// How far a planet got in a run: the number of stages it passed in a row, or null when the
+// planet is not in that run's catalog.
+export function stagesPassed(planet, pipeline) {
+    if (!planet) return null;
+    let passed = 0;
+    while (passed < pipeline.stages.length && planet.gates[pipeline.stages[passed].id]?.passed) passed++;
+    return passed;
+}
+
+// Whether `value` passes the threshold a stage's gate compares it with; null when the gate
+// does not compare it with a threshold.
+function passesGate(stage, id, value, thresholds) {
+    const gated = stage.gated[id];
+    if (!gated || value == null) return null;
+    return gated.atLeast ? value >= thresholds[gated.threshold] : value <= thresholds[gated.threshold];
+}
+
+// Every metric value of a planet in both runs, by stage, with the change and whether each
+// value passed its threshold comparison in each run.
+function scoreDeltas(before, after, beforeRun, afterRun, pipeline) {
+    return pipeline.stages.flatMap(stage => {
+        const a = before?.gates[stage.id]?.values || {};
+        const b = after?.gates[stage.id]?.values || {};
+        return Object.keys({ ...a, ...b }).map(id => ({
+            stage: stage.id,
+            metric: id,
+            before: a[id] ?? null,
+            after: b[id] ?? null,
+            delta: a[id] != null && b[id] != null ? b[id] - a[id] : null,
+            passedBefore: passesGate(stage, id, a[id], beforeRun.settings.thresholds),
+            passedAfter: passesGate(stage, id, b[id], afterRun.settings.thresholds),
+        }));
+    });
+}
+
+// Runs recorded before the noise components were selectable have none.
+const describeNoise = (noise) => noise ? noise.map(id => NOISE_COMPONENTS[id]?.label ?? id).join(', ') || 'none' : null;
+
+// Runs recorded before the BLS search existed folded on the catalog ephemeris.
+const describeLightCurveMode = (mode = DEFAULT_LIGHT_CURVE_MODE) => LIGHT_CURVE_MODES[mode]?.label ?? mode;
+
+// Differences between two recorded runs: `settings` lists changed thresholds and other
+// configuration; `added` and `dropped` are planets that entered or left the final shortlist
+// and `moved` those that reached a different stage without either being shortlisted. Each
+// planet change carries the stages passed in both runs and its score deltas.
+export function diffRuns(beforeRun, afterRun, pipeline) {
+    const settings = compareConfiguration(beforeRun, afterRun).map(({ field, label, recorded, current }) => ({ field, label, before: recorded, after: current }));
+    Object.keys({ ...beforeRun.settings.thresholds, ...afterRun.settings.thresholds }).forEach(key => {
+        const before = beforeRun.settings.thresholds[key] ?? null, after = afterRun.settings.thresholds[key] ?? null;
+        if (before !== after) settings.push({ field: `thresholds.${key}`, label: pipeline.thresholds[key]?.label ?? key, before, after });
+    });
+    if (beforeRun.settings.esiMetric !== afterRun.settings.esiMetric) {
+        settings.push({ field: 'esiMetric', label: 'ESI component', before: beforeRun.settings.esiMetric, after: afterRun.settings.esiMetric });
+    }
+    const noiseBefore = describeNoise(beforeRun.settings.noise), noiseAfter = describeNoise(afterRun.settings.noise);
+    if (noiseBefore !== noiseAfter) settings.push({ field: 'noise', label: 'Light-curve noise', before: noiseBefore, after: noiseAfter });
+    const modeBefore = describeLightCurveMode(beforeRun.settings.lightCurveMode), modeAfter = describeLightCurveMode(afterRun.settings.lightCurveMode);
+    if (modeBefore !== modeAfter) settings.push({ field: 'lightCurveMode', label: 'Transit detection', before: modeBefore, after: modeAfter });
+
+    const last = pipeline.stages.length;
+    const diff = { settings, added: [], dropped: [], moved: [] };
+    const names = Object.keys({ ...beforeRun.results.planets, ...afterRun.results.planets });
+    names.forEach(name => {
+        const before = beforeRun.results.planets[name], after = afterRun.results.planets[name];
+        const from = stagesPassed(before, pipeline), to = stagesPassed(after, pipeline);
+        if (from === to) return;
+        const change = { name, from, to, deltas: scoreDeltas(before, after, beforeRun, afterRun, pipeline) };
+        if (to === last) diff.added.push(change);
+        else if (from === last) diff.dropped.push(change);
+        else diff.moved.push(change);
+    });
+    return diff;
+}
@@ -0,0 +1,117 @@
+// Behaviour checks for the false-positive vetting (vetting.js) on simulated photometry with
+// every noise component: planet transits must almost never be flagged, and eclipsing binaries
+// injected in their place must almost always be.
+//   planets  the transits of a generated catalog's rows, detected on the catalog ephemeris
+//   binaries eclipses at twice the period with unequal depths and with a secondary eclipse at
+//            phase 0.5 around Sun-like stars, and grazing V-shaped ones around a subgiant,
+//            whose eclipses last long enough for long cadence to resolve their shape
+// Run with `npm run check-vetting`; exits non-zero when a rate is out of bounds.
+
+import { generateCatalog, createRandom, DEFAULT_GENERATOR_CONFIG } from '../generator.js';
+import { imputeCatalog } from '../imputation.js';
+import { detectTransit, planetTransit } from '../engine.js';
+import { DEFAULT_NOISE, detrend, detrendWindow, simulateLightCurve } from '../photometry.js';
+import { limbDarkening, transitGeometry } from '../transit.js';
+import { logUniform } from '../uncertainty.js';
+import { vetTransit, vettingStar } from '../vetting.js';
+
+const PLANET_ROWS = 300;
+const MAX_PLANETS_FLAGGED = 0.01;
+const BINARIES_PER_KIND = 60;
+const MIN_BINARIES_FLAGGED = 0.9;
+
+const SUN = { mass: 1, radius: 1 };
+const SUBGIANT = { mass: 1.3, radius: 2.5 };
+
+// Each kind of binary: the flag it should raise names it. `star` is the eclipsed primary, whose
+// companion has a solar mass, `orbits` the binary's period in vetted periods, and `eclipses`
+// { transit, offset, scale } with `offset` the fraction of the binary's period after the primary
+// and `scale` the eclipse's depth relative to its model's.
+const BINARY_KINDS = {
+    oddEven: {
+        star: SUN,
+        orbits: 2,
+        eclipses: (eclipse, random) => [
+            { transit: eclipse(0.1 + random() * 0.2, random() * 0.5), offset: 0, scale: 1 },
+            { transit: eclipse(0.1 + random() * 0.2, random() * 0.5), offset: 0.5, scale: 0.3 + random() * 0.3 },
+        ],
+    },
+    secondary: {
+        star: SUN,
+        orbits: 1,
+        eclipses: (eclipse, random) => {
+            const transit = eclipse(0.1 + random() * 0.2, random() * 0.5);
+            return [{ transit, offset: 0, scale: 1 }, { transit, offset: 0.5, scale: 0.2 + random() * 0.3 }];
+        },
+    },
+    vShape: {
+        star: SUBGIANT,
+        orbits: 1,
+        eclipses: (eclipse, random) => {
+            const radiusRatio = 0.2 + random() * 0.2;
+            return [{ transit: eclipse(radiusRatio, 1 + radiusRatio * (0.2 + random() * 0.5)), offset: 0, scale: 1 }];
+        },
+    },
+};
+
+function checkPlanets() {
+    const catalog = generateCatalog(DEFAULT_GENERATOR_CONFIG).slice(0, PLANET_ROWS);
+    imputeCatalog(catalog);
+    const flagged = [];
+    let vetted = 0;
+    catalog.forEach(planet => {
+        const { lightCurve, flux, ephemeris } = detectTransit(planet, planetTransit(planet));
+        const { flags } = vetTransit(lightCurve.time, flux, ephemeris, vettingStar(planet));
+        vetted++;
+        if (flags.length) flagged.push(`${planet.pl_name} (${flags.join(', ')})`);
+    });
+    return { label: 'Planet transits flagged', vetted, flagged, passed: flagged.length <= MAX_PLANETS_FLAGGED * vetted };
+}
+
+// A binary's light curve: its primary eclipse simulated with every noise component, the other
+// eclipses added noiselessly, detrended and vetted on the period of the primary's dips.
+function vetBinary(kind, random) {
+    const { star, orbits, eclipses: drawEclipses } = BINARY_KINDS[kind];
+    const period = logUniform(random, 1, 40);
+    const binaryPeriod = orbits * period;
+    const aR = 215.032 * Math.cbrt((star.mass + 1) * Math.pow(binaryPeriod / 365.25, 2)) / star.radius;
+    const eclipse = (radiusRatio, impact) => transitGeometry({ period: binaryPeriod, aR, radiusRatio, impact, ...limbDarkening(5778) });
+    const eclipses = drawEclipses(eclipse, random);
+    const epoch = random() * period;
+    const options = { epoch, kepmag: 11 + random() * 4, teff: 5778 };
+    const lightCurve = simulateLightCurve(eclipses[0].transit, { ...options, noise: DEFAULT_NOISE, random });
+    const flux = Float64Array.from(lightCurve.flux);
+    eclipses.slice(1).forEach(({ transit, offset, scale }) => {
+        const { model } = simulateLightCurve(transit, { ...options, epoch: epoch + offset * binaryPeriod, noise: [], random });
+        model.forEach((m, i) => { flux[i] += scale * (m - 1); });
+    });
+    const ephemeris = { period, epoch, duration: eclipses[0].transit.duration };
+    const detrended = detrend(lightCurve.time, flux, detrendWindow(ephemeris), lightCurve.breaks, ephemeris);
+    return vetTransit(lightCurve.time, detrended, ephemeris, star);
+}
+
+function checkBinaries(kind) {
+    const random = createRandom(Object.keys(BINARY_KINDS).indexOf(kind) + 1);
+    const missed = [];
+    let flaggedAs = 0;
+    for (let i = 0; i < BINARIES_PER_KIND; i++) {
+        const { flags } = vetBinary(kind, random);
+        if (flags.includes(kind)) flaggedAs++;
+        if (!flags.length) missed.push(`binary ${i + 1}`);
+    }
+    const vetted = BINARIES_PER_KIND;
+    return {
+        label: `Binaries (${kind}) passed as planets`,
+        vetted,
+        flagged: missed,
+        passed: vetted - missed.length >= MIN_BINARIES_FLAGGED * vetted,
+        note: `${flaggedAs} flagged ${kind}`,
+    };
+}
+
+const results = [checkPlanets(), ...Object.keys(BINARY_KINDS).map(checkBinaries)];
+results.forEach(({ label, vetted, flagged, passed, note }) => {
+    console.log(`${passed ? 'ok  ' : 'FAIL'} ${label}: ${flagged.length} of ${vetted}${note ? `; ${note}` : ''}`);
+    flagged.slice(0, 10).forEach(name => console.log(`       ${name}`));
+});
+if (results.some(result => !result.passed)) process.exitCode = 1;
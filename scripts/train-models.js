@@ -0,0 +1,95 @@
+// Trains the bundled weights under public/models/<id>/ (see MODEL_REGISTRY in models.js):
+//   lc_cnn    the training panel's model and labeled synthetic light curves (training.js)
+//   spec_cnn  spectra forward-modelled from the heuristic compositions of a generated catalog
+//   phi_mlp   the heuristic blend of PHI and atmospheric similarity, from sampled features
+// Run with `npm run train-models`. The training data are seeded, but weight initialisation is
+// not, so each run gives slightly different weights (and weight hashes in run manifests).
+
+import fs from 'node:fs';
+import path from 'node:path';
+import * as tfjs from '@tensorflow/tfjs';
+import { MODEL_REGISTRY } from '../models.js';
+import { DEFAULT_TRAINING_CONFIG, createLcModel, trainLcModel, evaluateByClass } from '../training.js';
+import { generateTrainingSet } from '../lightcurves.js';
+import { generateCatalog, createRandom, DEFAULT_GENERATOR_CONFIG } from '../generator.js';
+import { imputeCatalog } from '../imputation.js';
+import { heuristicComposition } from '../engine.js';
+import { buildSpecInput, featureAmplitude, forwardSpectrum, planetAtmosphereProps } from '../spectra.js';
+
+globalThis.tf = tfjs;
+const OUTPUT = path.resolve(import.meta.dirname, '../public/models');
+
+// Writes a Layers-format export: model.json and a single weights.bin shard.
+async function saveModel(id, model) {
+    const dir = path.join(OUTPUT, id);
+    fs.mkdirSync(dir, { recursive: true });
+    model.setUserDefinedMetadata({ version: MODEL_REGISTRY[id].version });
+    await model.save(tf.io.withSaveHandler(async artifacts => {
+        const { weightData, weightSpecs, ...rest } = artifacts;
+        const json = { ...rest, weightsManifest: [{ paths: ['weights.bin'], weights: weightSpecs }] };
+        fs.writeFileSync(path.join(dir, 'model.json'), JSON.stringify(json));
+        fs.writeFileSync(path.join(dir, 'weights.bin'), Buffer.from(weightData));
+        return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+    }));
+    console.log(`Saved ${id} to ${path.relative(process.cwd(), dir)}`);
+}
+
+async function trainLc() {
+    const dataset = generateTrainingSet(DEFAULT_TRAINING_CONFIG);
+    const model = createLcModel();
+    const { bestEpoch } = await trainLcModel(model, dataset, DEFAULT_TRAINING_CONFIG);
+    const byClass = await evaluateByClass(model, dataset);
+    console.log(`lc_cnn: best epoch ${bestEpoch + 1}`, Object.entries(byClass).map(([kind, c]) => `${kind} ${(100 * c.correct / c.total).toFixed(1)}%`).join(', '));
+    return model;
+}
+
+async function trainSpec() {
+    const random = createRandom(7);
+    const planets = generateCatalog({ ...DEFAULT_GENERATOR_CONFIG, size: 3000, seed: 99, goldenCount: 300 });
+    imputeCatalog(planets);
+    const inputs = [], targets = [];
+    planets.forEach(planet => {
+        const amplitude = featureAmplitude(planetAtmosphereProps(planet));
+        inputs.push(buildSpecInput(planet));
+        targets.push(forwardSpectrum(heuristicComposition(planet, random), amplitude));
+    });
+    const { inputShape, outputShape } = MODEL_REGISTRY.spec_cnn;
+    const model = tf.sequential();
+    model.add(tf.layers.conv1d({ inputShape, filters: 8, kernelSize: 7, activation: 'relu' }));
+    model.add(tf.layers.globalAveragePooling1d({}));
+    model.add(tf.layers.dense({ units: 32, activation: 'relu' }));
+    model.add(tf.layers.dense({ units: outputShape[0], activation: 'relu' }));
+    model.compile({ optimizer: tf.train.adam(0.01), loss: 'meanSquaredError' });
+    const xs = tf.tensor3d(inputs.flat(), [inputs.length, ...inputShape]);
+    const ys = tf.tensor2d(targets);
+    const history = await model.fit(xs, ys, { epochs: 60, batchSize: 64, shuffle: true, validationSplit: 0.2, verbose: 0 });
+    tf.dispose([xs, ys]);
+    console.log(`spec_cnn: validation RMS ${Math.sqrt(history.history.val_loss.at(-1)).toFixed(1)} ppm`);
+    return model;
+}
+
+async function trainPhi() {
+    const random = createRandom(11);
+    const inputs = [], targets = [];
+    for (let i = 0; i < 4000; i++) {
+        // phiFeatures() order: ESI, LC score, earth similarity, PHI, log radius, log insolation, Teq / 1000
+        const features = [random(), random(), random(), random(), random() * 1.4 - 0.4, random() * 4 - 1, 0.05 + random() * 2];
+        inputs.push(features);
+        targets.push([features[3] * 0.6 + features[2] * 0.4]);
+    }
+    const model = tf.sequential();
+    model.add(tf.layers.dense({ inputShape: MODEL_REGISTRY.phi_mlp.inputShape, units: 16, activation: 'relu' }));
+    model.add(tf.layers.dense({ units: 8, activation: 'relu' }));
+    model.add(tf.layers.dense({ units: 1, activation: 'sigmoid' }));
+    model.compile({ optimizer: tf.train.adam(0.01), loss: 'meanSquaredError' });
+    const xs = tf.tensor2d(inputs);
+    const ys = tf.tensor2d(targets);
+    const history = await model.fit(xs, ys, { epochs: 60, batchSize: 64, shuffle: true, validationSplit: 0.2, verbose: 0 });
+    tf.dispose([xs, ys]);
+    console.log(`phi_mlp: validation RMS ${Math.sqrt(history.history.val_loss.at(-1)).toFixed(3)}`);
+    return model;
+}
+
+await saveModel('lc_cnn', await trainLc());
+await saveModel('spec_cnn', await trainSpec());
+await saveModel('phi_mlp', await trainPhi());
@@ -0,0 +1,44 @@
+// Threshold sensitivity: how the Stage 1 and shortlist counts respond to the gate
+// thresholds, evaluated from cached scores (see engine.js) without re-running any model.
+// Counting re-evaluates each planet's configured gates (thresholdGates() in engine.js) at every
+// grid point, so edited gate expressions are counted as they are applied.
+
+const steps = (from, to, step) => Array.from({ length: Math.round((to - from) / step) + 1 }, (_, i) => Math.round((from + i * step) * 100) / 100);
+
+export const SENSITIVITY_GRID = {
+    esi: steps(0.5, 1.0, 0.05),
+    lc: steps(0.0, 1.0, 0.1),
+    phi: steps(0.0, 1.0, 0.05),
+};
+
+// `planets` hold each planet's current `gates` (gatePlanet()) and its thresholdGates() as
+// `atThresholds`; `thresholds` are the current thresholds.
+
+// counts[i][j] is the number of planets that pass Stage 1 with ESI threshold esi[i] and LC
+// threshold lc[j], the other thresholds unchanged.
+export function stage1CountGrid(planets, thresholds, { esi = SENSITIVITY_GRID.esi, lc = SENSITIVITY_GRID.lc } = {}) {
+    const passing = planets.map(({ atThresholds }) => atThresholds.stage1).filter(Boolean);
+    return esi.map(esiThreshold => lc.map(lcThreshold => {
+        const at = { ...thresholds, esi: esiThreshold, lc: lcThreshold };
+        return passing.reduce((n, passes) => n + (passes(at) ? 1 : 0), 0);
+    }));
+}
+
+// Final shortlist size at each PHI threshold, for planets that pass Stage 1 under the current
+// gates. Planets whose Stage 2 scores are still pending are counted separately.
+export function shortlistCountCurve(planets, thresholds, { phi = SENSITIVITY_GRID.phi } = {}) {
+    const grid = phi.map(phiThreshold => ({ ...thresholds, phi: phiThreshold }));
+    const counts = phi.map(() => 0);
+    let pending = 0;
+    planets.forEach(({ gates, atThresholds }) => {
+        if (!gates?.stage1?.passed) return;
+        if (!atThresholds.stage2) {
+            pending++;
+            return;
+        }
+        grid.forEach((at, k) => {
+            if (atThresholds.stage2(at)) counts[k]++;
+        });
+    });
+    return { counts, pending };
+}
@@ -0,0 +1,104 @@
+// Transmission-spectrum model shared by the interactive JWST panel and Stage 2. Gas
+// absorption bands are Gaussians on a 0.5–5.5 µm (NIRSpec PRISM) grid; their depth scales
+// with concentration and with the planet's atmospheric feature amplitude.
+
+export const ABSORPTION_FEATURES = {
+    'O₂':  { color: 'rgba(102, 153, 153, 0.4)', fullName: 'Oxygen', features: [[1.27, 0.02, 0.8]], label: ['Oxygen', 'O₂'] },
+    'H₂O': { color: 'rgba(64, 128, 128, 0.4)', fullName: 'Water', features: [
+        [1.1, 0.1, 0.8], [1.4, 0.15, 1.0], [1.9, 0.15, 1.2], [2.7, 0.2, 1.5]
+    ], label: ['Water', 'H₂O'] },
+    'CO':  { color: 'rgba(170, 85, 85, 0.4)', fullName: 'Carbon Monoxide', features: [[2.35, 0.1, 1.0]], label: ['CO'] },
+    'CH₄': { color: 'rgba(128, 128, 64, 0.4)', fullName: 'Methane', features: [[3.35, 0.15, 1.1]], label: ['Methane', 'CH₄'] },
+    'SO₂': { color: 'rgba(153, 153, 85, 0.4)', fullName: 'Sulfur Dioxide', features: [[4.05, 0.05, 0.9]], label: ['Sulfur Dioxide', 'SO₂'] },
+    'CO₂': { color: 'rgba(85, 136, 85, 0.4)', fullName: 'Carbon Dioxide', features: [[4.3, 0.1, 1.8]], label: ['Carbon Dioxide', 'CO₂'] },
+    'O₃':  { color: 'rgba(85, 119, 136, 0.4)', fullName: 'Ozone', features: [[4.8, 0.05, 0.6]], label: ['Ozone', 'O₃'] },
+    'NH₃': { color: 'rgba(135, 206, 250, 0.4)', fullName: 'Ammonia', features: [[2.15, 0.15, 1.3]], label: ['Ammonia', 'NH₃'] },
+};
+
+// Concentration (percent) at which a gas's bands reach their full strength.
+export const MAX_CONCENTRATIONS = { 'H₂O': 10, 'O₂': 25, 'CO₂': 1, 'CH₄': 0.1, 'O₃': 0.1, 'SO₂': 0.1, 'NH₃': 0.1, 'CO': 0.1 };
+
+export const SPECTRUM_POINTS = 128;
+export const SPECTRUM_WAVELENGTHS = Array.from({ length: SPECTRUM_POINTS }, (_, i) => 0.5 + 5.0 * i / (SPECTRUM_POINTS - 1));
+
+const gaussian = (x, mean, sigma) => Math.exp(-Math.pow(x - mean, 2) / (2 * sigma * sigma));
+
+// Depth of the spectral features, as a fraction of the stellar flux. Cold or very hot
+// planets and very low or very high gravity damp the atmosphere's signal.
+export function featureAmplitude({ tempK, surfaceGravity }) {
+    const tempFactor = Math.exp(-Math.pow((tempK || 288) - 288, 2) / (2 * Math.pow(200, 2)));
+    const g = surfaceGravity || 9.8;
+    const gravityFactor = (g > 0) ? (1 / (1 + Math.exp(-0.2 * (g - 25))) * (1 / (1 + Math.exp(0.5 * (g - 5))))) : 0;
+    const atmospherePotential = 0.1 + 0.9 * (tempFactor * 0.7 + gravityFactor * 0.3);
+    return (20 + atmospherePotential * 1800) / 1e6;
+}
+
+// Catalog planet -> the inputs of featureAmplitude().
+export function planetAtmosphereProps(planet) {
+    const radius = planet.pl_rade || 1.0;
+    const mass = planet.pl_masse || Math.pow(radius, 3);
+    return { tempK: planet.pl_eqt || 255, surfaceGravity: 9.8 * mass / (radius * radius) };
+}
+
+// Unit-concentration absorption of one gas at each grid wavelength.
+function gasTemplate(gas, wavelengths) {
+    return wavelengths.map(lambda => ABSORPTION_FEATURES[gas].features
+        .reduce((sum, [center, sigma, strength]) => sum + strength * gaussian(lambda, center, sigma), 0));
+}
+
+const TEMPLATES = Object.fromEntries(Object.keys(ABSORPTION_FEATURES).map(gas => [gas, gasTemplate(gas, SPECTRUM_WAVELENGTHS)]));
+
+// Absorption (fraction of stellar flux) on any wavelength grid.
+export function absorptionAt(lambda, composition, amplitude) {
+    let absorption = 0;
+    Object.entries(composition).forEach(([gas, conc]) => {
+        if (!(conc > 0) || !ABSORPTION_FEATURES[gas]) return;
+        ABSORPTION_FEATURES[gas].features.forEach(([center, sigma, strength]) => {
+            absorption += amplitude * (conc / MAX_CONCENTRATIONS[gas]) * strength * gaussian(lambda, center, sigma);
+        });
+    });
+    return absorption;
+}
+
+// Absorption on SPECTRUM_WAVELENGTHS, in ppm.
+export function forwardSpectrum(composition, amplitude) {
+    return SPECTRUM_WAVELENGTHS.map(lambda => absorptionAt(lambda, composition, amplitude) * 1e6);
+}
+
+// Least-squares fit of the band templates to a spectrum (ppm), with concentrations kept
+// non-negative by projected coordinate descent.
+export function retrieveComposition(spectrumPpm, amplitude, iterations = 200) {
+    const gases = Object.keys(TEMPLATES);
+    const columns = gases.map(gas => TEMPLATES[gas].map(t => t * amplitude * 1e6));
+    const norms = columns.map(col => col.reduce((sum, v) => sum + v * v, 0));
+    const x = gases.map(() => 0);
+    const residual = [...spectrumPpm];
+
+    for (let it = 0; it < iterations; it++) {
+        gases.forEach((_, g) => {
+            if (norms[g] === 0) return;
+            const col = columns[g];
+            const dot = col.reduce((sum, v, i) => sum + v * residual[i], 0);
+            const updated = Math.max(0, x[g] + dot / norms[g]);
+            const delta = updated - x[g];
+            if (delta === 0) return;
+            for (let i = 0; i < residual.length; i++) residual[i] -= delta * col[i];
+            x[g] = updated;
+        });
+    }
+    return Object.fromEntries(gases.map((gas, g) => [gas, x[g] * MAX_CONCENTRATIONS[gas]]));
+}
+
+const MAX_FEATURE_AMPLITUDE = (20 + 1800) / 1e6; // featureAmplitude() with a perfect atmosphere potential
+
+// spec_cnn input: the planet's featureless transmission spectrum (a Rayleigh slope) weighted
+// by the host star's blackbody, scaled by the feature amplitude relative to its upper
+// bound. It carries what Kepler photometry and the catalog know about planet and star.
+export function buildSpecInput(planet) {
+    const scale = featureAmplitude(planetAtmosphereProps(planet)) / MAX_FEATURE_AMPLITUDE;
+    const teff = planet.st_teff || 5772;
+    const planck = (lambda) => 1 / (Math.pow(lambda, 5) * (Math.exp(14388 / (lambda * teff)) - 1));
+    const shape = SPECTRUM_WAVELENGTHS.map(lambda => Math.pow(lambda / 0.5, -4 / 3) * planck(lambda));
+    const max = Math.max(...shape) || 1;
+    return shape.map(v => scale * v / max);
+}
@@ -0,0 +1,111 @@
+// IndexedDB persistence for loaded catalogs, pipeline results, the run history and UI
+// settings, so that a reload restores the last session without re-running the pipeline.
+// Every call resolves (to null on failure) rather than rejecting: persistence must never
+// block the poster.
+
+const DB_NAME = 'ai-poster-pipeline';
+const DB_VERSION = 2;
+const STORES = { catalogs: 'catalogs', analysis: 'analysis', runs: 'runs', settings: 'settings' };
+const SETTINGS_KEY = 'ui';
+
+let dbPromise = null;
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+    dbPromise = new Promise((resolve) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORES.catalogs)) db.createObjectStore(STORES.catalogs, { keyPath: 'hash' });
+            if (!db.objectStoreNames.contains(STORES.analysis)) db.createObjectStore(STORES.analysis, { keyPath: 'key' });
+            if (!db.objectStoreNames.contains(STORES.runs)) db.createObjectStore(STORES.runs, { keyPath: 'id' });
+            if (!db.objectStoreNames.contains(STORES.settings)) db.createObjectStore(STORES.settings);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.warn('IndexedDB unavailable; session data will not be saved.', request.error);
+            resolve(null);
+        };
+    });
+    return dbPromise;
+}
+
+async function withStore(storeName, mode, action) {
+    try {
+        const db = await openDatabase();
+        if (!db) return null;
+        const tx = db.transaction(storeName, mode);
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+        const [result] = await Promise.all([requestToPromise(action(tx.objectStore(storeName))), done]);
+        return result ?? null;
+    } catch (err) {
+        console.warn(`IndexedDB ${mode} on "${storeName}" failed.`, err);
+        return null;
+    }
+}
+
+// Pipeline scores depend on the catalog and on the settings that produced them (the model
+// versions). Gate decisions are derived from the scores and are not stored.
+export function analysisKey(catalogHash, settings) {
+    const parts = Object.keys(settings).sort().map(k => `${k}=${settings[k]}`);
+    return `${catalogHash}|${parts.join('|')}`;
+}
+
+export function saveCatalogRecords(hash, records, meta) {
+    // Strip per-run results; they are stored separately under the analysis key. Copy now,
+    // before the imputation stage fills in the records.
+    const clean = records.map(({ analysis, ...record }) => record);
+    return withStore(STORES.catalogs, 'readwrite', store => store.put({ hash, meta, records: clean, savedAt: Date.now() }));
+}
+
+export function loadCatalogRecords(hash) {
+    return withStore(STORES.catalogs, 'readonly', store => store.get(hash));
+}
+
+// `results` maps planet name -> the planet's scores (`analysis.scores`).
+export function saveAnalysis(catalogHash, settings, results) {
+    const key = analysisKey(catalogHash, settings);
+    return withStore(STORES.analysis, 'readwrite', store => store.put({ key, catalogHash, settings, results, savedAt: Date.now() }));
+}
+
+export function loadAnalysis(catalogHash, settings) {
+    return withStore(STORES.analysis, 'readonly', store => store.get(analysisKey(catalogHash, settings)));
+}
+
+// Run history entries (see runHistory.js), keyed by their `id`.
+export function saveRun(run) {
+    return withStore(STORES.runs, 'readwrite', store => store.put(run));
+}
+
+export function loadRuns() {
+    return withStore(STORES.runs, 'readonly', store => store.getAll());
+}
+
+export function deleteRun(id) {
+    return withStore(STORES.runs, 'readwrite', store => store.delete(id));
+}
+
+export function saveSettings(settings) {
+    return withStore(STORES.settings, 'readwrite', store => store.put(settings, SETTINGS_KEY));
+}
+
+export function loadSettings() {
+    return withStore(STORES.settings, 'readonly', store => store.get(SETTINGS_KEY));
+}
+
+export async function clearLocalData() {
+    await Promise.all(Object.values(STORES).map(name => withStore(name, 'readwrite', store => store.clear())));
+}
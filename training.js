@@ -0,0 +1,96 @@
+// In-browser training of lc_cnn on labeled synthetic light curves (see lightcurves.js).
+
+import { MODEL_REGISTRY } from './models.js';
+
+export const DEFAULT_TRAINING_CONFIG = {
+    size: 2000,
+    validationSplit: 0.2,
+    epochs: 30,
+    batchSize: 32,
+    patience: 5,        // epochs without a val_loss improvement before stopping
+    learningRate: 0.005,
+    seed: 2024,
+};
+
+// Fresh lc_cnn, used when no weights were loaded to fine-tune.
+export function createLcModel() {
+    const model = tf.sequential();
+    model.add(tf.layers.conv1d({ inputShape: MODEL_REGISTRY.lc_cnn.inputShape, filters: 8, kernelSize: 5, activation: 'relu' }));
+    model.add(tf.layers.maxPooling1d({ poolSize: 2 }));
+    model.add(tf.layers.conv1d({ filters: 8, kernelSize: 5, activation: 'relu' }));
+    model.add(tf.layers.globalAveragePooling1d({}));
+    model.add(tf.layers.dense({ units: 1, activation: 'sigmoid' }));
+    return model;
+}
+
+const toTensors = ({ inputs, targets }, numPoints) => ({
+    xs: tf.tensor3d(inputs.flat(), [inputs.length, numPoints, 1]),
+    ys: tf.tensor2d(targets, [targets.length, 1]),
+});
+
+// Fits `model` in place. Early stopping watches val_loss and restores the best weights.
+// `onEpochEnd(epoch, { loss, acc, valLoss, valAcc })` is called after every epoch; setting
+// `control.stop = true` ends training after the current epoch.
+export async function trainLcModel(model, dataset, config = DEFAULT_TRAINING_CONFIG, { onEpochEnd, control = {} } = {}) {
+    const { epochs, batchSize, patience, learningRate } = { ...DEFAULT_TRAINING_CONFIG, ...config };
+    model.compile({ optimizer: tf.train.adam(learningRate), loss: 'binaryCrossentropy', metrics: ['accuracy'] });
+
+    const train = toTensors(dataset.train, dataset.numPoints);
+    const validation = toTensors(dataset.validation, dataset.numPoints);
+
+    let best = { valLoss: Infinity, epoch: -1, weights: null };
+    let stoppedEarly = false;
+    const history = [];
+
+    try {
+        await model.fit(train.xs, train.ys, {
+            epochs,
+            batchSize,
+            shuffle: true,
+            validationData: [validation.xs, validation.ys],
+            callbacks: {
+                onEpochEnd: async (epoch, logs) => {
+                    const entry = {
+                        loss: logs.loss,
+                        acc: logs.acc ?? logs.accuracy,
+                        valLoss: logs.val_loss,
+                        valAcc: logs.val_acc ?? logs.val_accuracy,
+                    };
+                    history.push(entry);
+                    if (entry.valLoss < best.valLoss) {
+                        best.weights?.forEach(w => w.dispose());
+                        best = { valLoss: entry.valLoss, epoch, weights: model.getWeights().map(w => w.clone()) };
+                    } else if (epoch - best.epoch >= patience) {
+                        stoppedEarly = true;
+                        model.stopTraining = true;
+                    }
+                    if (control.stop) model.stopTraining = true;
+                    onEpochEnd?.(epoch, entry);
+                },
+            },
+        });
+        if (best.weights) model.setWeights(best.weights);
+    } finally {
+        best.weights?.forEach(w => w.dispose());
+        tf.dispose([train.xs, train.ys, validation.xs, validation.ys]);
+    }
+
+    return { history, bestEpoch: best.epoch, stoppedEarly, stoppedByUser: Boolean(control.stop) };
+}
+
+// Accuracy on the validation set broken down by light-curve class, at a 0.5 cut.
+export async function evaluateByClass(model, dataset) {
+    const { inputs, targets, kinds } = dataset.validation;
+    const xs = tf.tensor3d(inputs.flat(), [inputs.length, dataset.numPoints, 1]);
+    const pred = model.predict(xs);
+    const scores = await pred.data();
+    tf.dispose([xs, pred]);
+
+    const byClass = {};
+    kinds.forEach((kind, i) => {
+        const counts = byClass[kind] || (byClass[kind] = { correct: 0, total: 0 });
+        counts.total += 1;
+        if ((scores[i] >= 0.5 ? 1 : 0) === targets[i]) counts.correct += 1;
+    });
+    return byClass;
+}
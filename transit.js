@@ -0,0 +1,187 @@
+// Analytic transit light curves: the quadratic limb-darkened occultation of Mandel & Agol
+// (2002) on a circular Keplerian orbit. Fluxes are relative to the unocculted star; times are
+// in days from mid-transit. The star's intensity falls off towards the limb as
+//   I(μ) / I(1) = 1 − u1·(1 − μ) − u2·(1 − μ)²
+// with μ the cosine of the angle from disk centre.
+
+const R_SUN_KM = 696340;
+const R_EARTH_KM = 6371;
+const AU_KM = 149597871;
+
+// Bump when the light-curve model changes, so that cached scores are recomputed.
+export const TRANSIT_MODEL = 'mandel-agol-quadratic-2';
+
+// Kepler-band quadratic coefficients for main-sequence stars (log g = 4.5, solar metallicity),
+// after Claret & Bloemen (2011): [T_eff, u1, u2]. Linear between rows, clamped at the ends.
+const LIMB_DARKENING = [
+    [3500, 0.33, 0.38],
+    [4000, 0.55, 0.17],
+    [4500, 0.58, 0.14],
+    [5000, 0.52, 0.18],
+    [5500, 0.45, 0.22],
+    [5778, 0.40, 0.26],
+    [6000, 0.37, 0.28],
+    [6500, 0.31, 0.31],
+    [7000, 0.27, 0.33],
+];
+
+export function limbDarkening(teff) {
+    const first = LIMB_DARKENING[0], last = LIMB_DARKENING[LIMB_DARKENING.length - 1];
+    if (!(teff > first[0])) return { u1: first[1], u2: first[2] };
+    if (teff >= last[0]) return { u1: last[1], u2: last[2] };
+    const upper = LIMB_DARKENING.findIndex(row => row[0] > teff);
+    const [t0, a0, b0] = LIMB_DARKENING[upper - 1], [t1, a1, b1] = LIMB_DARKENING[upper];
+    const f = (teff - t0) / (t1 - t0);
+    return { u1: a0 + f * (a1 - a0), u2: b0 + f * (b1 - b0) };
+}
+
+// --- ELLIPTIC INTEGRALS ---
+// Complete integrals of the first and second kind, K(k) and E(k), by the arithmetic-geometric mean.
+function ellipticKE(k) {
+    let a = 1, b = Math.sqrt(1 - k * k), c = k;
+    let sum = c * c / 2, power = 0.5;
+    while (Math.abs(c) > 1e-15) {
+        const mean = (a + b) / 2;
+        c = (a - b) / 2;
+        b = Math.sqrt(a * b);
+        a = mean;
+        power *= 2;
+        sum += power * c * c;
+    }
+    const K = Math.PI / (2 * a);
+    return { K, E: K * (1 - sum) };
+}
+
+// Complete integral of the third kind, Π(n, k) = ∫ dθ / ((1 + n·sin²θ)·√(1 − k²·sin²θ)) over
+// [0, π/2], by Bulirsch's algorithm (n > −1).
+function ellipticPi(n, k) {
+    let kc = Math.sqrt(1 - k * k);
+    let p = Math.sqrt(n + 1);
+    let m0 = 1, c = 1, d = 1 / p, e = kc;
+    for (;;) {
+        const f = c;
+        c = d / p + c;
+        let g = e / p;
+        d = 2 * (f * g + d);
+        p = g + p;
+        g = m0;
+        m0 = kc + m0;
+        if (Math.abs(1 - kc / g) <= 1e-8) return Math.PI / 2 * (c * m0 + d) / (m0 * (m0 + p));
+        kc = 2 * Math.sqrt(e);
+        e = kc * m0;
+    }
+}
+
+// --- OCCULTATION ---
+// Relative flux when a planet of radius `p` (in stellar radii) is centred a distance `z` (in
+// stellar radii) from the centre of a quadratically limb-darkened star. Follows the cases of
+// Mandel & Agol (2002), Table 1: λe is the uniform-disk occulted fraction, λd and ηd the
+// limb-darkening terms.
+export function occultQuadratic(z, p, u1, u2) {
+    const TOL = 1e-10;
+    if (p <= 0 || z >= 1 + p) return 1;
+    if (Math.abs(z - p) < TOL) z = p;
+    else if (Math.abs(z - (1 - p)) < TOL) z = 1 - p;
+    else if (z < TOL) z = 0;
+
+    const omega = 1 - u1 / 3 - u2 / 6;
+    const a = (z - p) * (z - p), b = (z + p) * (z + p), q = p * p - z * z;
+    const eta2 = p * p / 2 * (p * p + 2 * z * z);
+    let lambdaE, lambdaD, etaD;
+
+    if (p >= 1 && z <= p - 1) {
+        // The star is entirely covered.
+        return 0;
+    } else if (z > Math.abs(1 - p)) {
+        // The planet straddles the limb.
+        const kappa1 = Math.acos(Math.min(1, (1 - p * p + z * z) / (2 * z)));
+        const kappa0 = Math.acos(Math.min(1, (p * p + z * z - 1) / (2 * p * z)));
+        lambdaE = (p * p * kappa0 + kappa1 - Math.sqrt(Math.max(0, 4 * z * z - Math.pow(1 + z * z - p * p, 2))) / 2) / Math.PI;
+        etaD = (kappa1 + 2 * eta2 * kappa0 - (1 + 5 * p * p + z * z) / 4 * Math.sqrt(Math.max(0, (1 - a) * (b - 1)))) / (2 * Math.PI);
+        if (z === p) {
+            // The planet's edge touches the star's centre (p > 1/2 here).
+            const { K, E } = ellipticKE(1 / (2 * p));
+            lambdaD = 1 / 3 + 16 * p / (9 * Math.PI) * (2 * p * p - 1) * E - (1 - 4 * p * p) * (3 - 8 * p * p) / (9 * Math.PI * p) * K;
+        } else {
+            const k = Math.sqrt((1 - a) / (4 * z * p));
+            const { K, E } = ellipticKE(k);
+            lambdaD = ((1 - b) * (2 * b + a - 3) - 3 * q * (b - 2)) * K + 4 * p * z * (z * z + 7 * p * p - 4) * E - 3 * (q / a) * ellipticPi(1 / a - 1, k);
+            lambdaD /= 9 * Math.PI * Math.sqrt(p * z);
+        }
+    } else {
+        // The planet lies entirely on the disk.
+        lambdaE = p * p;
+        etaD = eta2;
+        if (z === 0) {
+            lambdaD = -2 / 3 * Math.pow(1 - p * p, 1.5);
+        } else if (z === 1 - p) {
+            lambdaD = 2 / (3 * Math.PI) * Math.acos(1 - 2 * p) - 4 / (9 * Math.PI) * Math.sqrt(p * (1 - p)) * (3 + 2 * p - 8 * p * p);
+            if (p > 0.5) lambdaD -= 2 / 3;
+        } else if (z === p) {
+            if (p === 0.5) {
+                lambdaD = 1 / 3 - 4 / (9 * Math.PI);
+            } else {
+                const { K, E } = ellipticKE(2 * p);
+                lambdaD = 1 / 3 + 2 / (9 * Math.PI) * (4 * (2 * p * p - 1) * E + (1 - 4 * p * p) * K);
+            }
+        } else {
+            const k = Math.sqrt((b - a) / (1 - a));
+            const { K, E } = ellipticKE(k);
+            lambdaD = (1 - 5 * z * z + p * p + q * q) * K + (1 - a) * (z * z + 7 * p * p - 4) * E - 3 * (q / a) * ellipticPi(b / a - 1, k);
+            lambdaD *= 2 / (9 * Math.PI * Math.sqrt(1 - a));
+        }
+    }
+
+    const covered = p > z ? 2 / 3 : 0;
+    return 1 - ((1 - u1 - 2 * u2) * lambdaE + (u1 + 2 * u2) * (lambdaD + covered) + u2 * etaD) / omega;
+}
+
+// --- ORBIT ---
+// Transit shape parameters from orbital elements: `aR` is the semi-major axis and
+// `radiusRatio` the planet radius, both in stellar radii, and `impact` the impact parameter
+// b = aR·cos i. Durations are the first-to-fourth contact T14 and the flat-bottomed T23
+// (zero for a grazing transit), in days.
+export function transitGeometry({ period, aR, radiusRatio, impact, u1, u2 }) {
+    const p = radiusRatio, b = impact;
+    const cosI = b / aR;
+    const sinI = Math.sqrt(1 - cosI * cosI);
+    const chord = (extent) => extent > b * b
+        ? period / Math.PI * Math.asin(Math.min(1, Math.sqrt(extent - b * b) / (aR * sinI)))
+        : 0;
+    const duration = chord((1 + p) * (1 + p));
+    const fullDuration = chord((1 - p) * (1 - p));
+    return {
+        period, aR, radiusRatio: p, impact: b, inclination: Math.acos(cosI) * 180 / Math.PI, u1, u2,
+        duration,
+        fullDuration,
+        ingress: (duration - fullDuration) / 2,
+        depth: 1 - occultQuadratic(b, p, u1, u2),
+    };
+}
+
+// The transit of a catalog planet with the given impact parameter. The semi-major axis comes
+// from pl_orbsmax or, when missing, from Kepler's third law; orbits inside 1.5 stellar radii
+// (possible in generated catalogs) are moved out to it.
+export function transitParameters(planet, impact) {
+    const period = planet.pl_orbper;
+    const stRad = planet.st_rad || 1;
+    const smaAU = planet.pl_orbsmax || Math.cbrt((planet.st_mass || 1) * Math.pow(period / 365.25, 2));
+    return transitGeometry({
+        period,
+        aR: Math.max(1.5, smaAU * AU_KM / (stRad * R_SUN_KM)),
+        radiusRatio: (planet.pl_rade || 1) * R_EARTH_KM / (stRad * R_SUN_KM),
+        impact,
+        ...limbDarkening(planet.st_teff || 5778),
+    });
+}
+
+// Relative flux `time` days from mid-transit.
+export function transitFlux(transit, time) {
+    const { period, aR, impact, radiusRatio, u1, u2 } = transit;
+    const angle = 2 * Math.PI * time / period;
+    // Behind the star there is nothing to occult.
+    if (Math.cos(angle) <= 0) return 1;
+    const cosI = impact / aR;
+    const z = aR * Math.sqrt(Math.pow(Math.sin(angle), 2) + Math.pow(cosI * Math.cos(angle), 2));
+    return occultQuadratic(z, radiusRatio, u1, u2);
+}
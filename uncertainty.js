@@ -0,0 +1,111 @@
+// Propagation of catalog measurement uncertainties by Monte Carlo sampling.
+// Asymmetric errors (err1 > 0, err2 < 0) are drawn from a split normal distribution.
+
+import { errorFields } from './catalog.js';
+import { createRandom } from './generator.js';
+
+export const DEFAULT_SAMPLE_COUNT = 200;
+export const CREDIBLE_INTERVAL = 0.68; // central 1σ-equivalent interval
+
+export function hasUncertainty(planet, field) {
+    const [upperKey, lowerKey] = errorFields(field);
+    return planet[field] != null && (planet[upperKey] > 0 || planet[lowerKey] < 0);
+}
+
+// Standard normal deviates from a uniform generator such as createRandom().
+export function createNormal(random) {
+    return () => {
+        // Box-Muller; 1 - u keeps the logarithm finite.
+        const u1 = 1 - random(), u2 = random();
+        return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    };
+}
+
+// A draw between `min` and `max` that is uniform in the logarithm.
+export const logUniform = (random, min, max) => Math.exp(Math.log(min) + random() * (Math.log(max) - Math.log(min)));
+
+// Returns a shallow copy of the planet with the given fields drawn from their error
+// distributions. Physical quantities are kept positive.
+export function samplePlanet(planet, fields, normal) {
+    const sample = { ...planet };
+    fields.forEach(field => {
+        if (!hasUncertainty(planet, field)) return;
+        const [upperKey, lowerKey] = errorFields(field);
+        const z = normal();
+        const sigma = z >= 0 ? (planet[upperKey] ?? 0) : -(planet[lowerKey] ?? 0);
+        sample[field] = Math.max(planet[field] * 1e-3, planet[field] + z * sigma);
+    });
+    return sample;
+}
+
+// Evaluates `compute(sampledPlanet)` over n draws. The sampler has its own seed so that
+// it never disturbs other seeded sequences in the pipeline.
+export function sampleMetric(planet, fields, compute, { n = DEFAULT_SAMPLE_COUNT, seed = 0 } = {}) {
+    if (!fields.some(field => hasUncertainty(planet, field))) {
+        return [compute(planet)];
+    }
+    const normal = createNormal(createRandom(seed));
+    const values = [];
+    for (let i = 0; i < n; i++) {
+        values.push(compute(samplePlanet(planet, fields, normal)));
+    }
+    return values;
+}
+
+export function quantile(sorted, q) {
+    if (sorted.length === 0) return null;
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos), hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+export function summarizeSamples(values, interval = CREDIBLE_INTERVAL) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const tail = (1 - interval) / 2;
+    return {
+        median: quantile(sorted, 0.5),
+        lower: quantile(sorted, tail),
+        upper: quantile(sorted, 1 - tail),
+        count: sorted.length,
+    };
+}
+
+export function probabilityAtLeast(values, threshold) {
+    if (values.length === 0) return 0;
+    return values.filter(v => v >= threshold).length / values.length;
+}
+
+// Evenly spaced quantiles of a sample, a compact stand-in for the sample itself when it has
+// to be kept (e.g. to re-evaluate a pass probability at a new threshold).
+export const QUANTILE_GRID_POINTS = 21;
+
+export function quantileGrid(values, points = QUANTILE_GRID_POINTS) {
+    if (values.length <= 1) return [...values];
+    const sorted = [...values].sort((a, b) => a - b);
+    return Array.from({ length: points }, (_, i) => quantile(sorted, i / (points - 1)));
+}
+
+// probabilityAtLeast() for a quantileGrid(), interpolating linearly between grid points.
+export function probabilityAtLeastFromGrid(grid, threshold) {
+    if (grid.length === 0) return 0;
+    const last = grid.length - 1;
+    if (last === 0) return grid[0] >= threshold ? 1 : 0;
+    if (threshold <= grid[0]) return 1;
+    if (threshold > grid[last]) return 0;
+    let i = 0;
+    while (grid[i + 1] < threshold) i++;
+    const below = (i + (threshold - grid[i]) / (grid[i + 1] - grid[i])) / last;
+    return 1 - below;
+}
+
+// Counts of `values` in `bins` equal-width bins over [min, max]; values outside are clamped
+// into the end bins.
+export function histogram(values, { bins = 20, min = 0, max = 1 } = {}) {
+    const counts = new Array(bins).fill(0);
+    const width = (max - min) / bins;
+    values.forEach(v => {
+        const bin = Math.min(bins - 1, Math.max(0, Math.floor((v - min) / width)));
+        counts[bin]++;
+    });
+    return { counts, edges: Array.from({ length: bins + 1 }, (_, i) => min + i * width) };
+}
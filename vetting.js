@@ -0,0 +1,252 @@
+// False-positive vetting of a detected transit, after the Kepler Robovetter (Thompson et al.
+// 2018). Each test reads the detrended light curve around the ephemeris the transit was folded
+// on, and flags a signal that an eclipsing binary or a larger star explains better than a
+// planet. A transit with any flag is labelled a false positive.
+//
+// Depths are medians, which flares and other outliers barely move, measured against the median
+// out-of-transit flux. Their errors start from the scatter of the out-of-transit points
+// (1.4826 × their median absolute deviation) and are scaled up by the red noise: how much more
+// the depths of transit-long boxes away from the transit scatter than white noise would make
+// them.
+
+import { centralDuration } from './bls.js';
+import { detrendWindow } from './photometry.js';
+
+export const VETTING_TESTS = {
+    oddEven:   { label: 'Odd/even depth', description: 'Odd- and even-numbered transits differ in depth, as the primary and secondary eclipses of a binary at twice the period do' },
+    secondary: { label: 'Secondary eclipse', description: 'A significant dip away from the transit, as when the companion of an eclipsing binary is eclipsed in turn' },
+    vShape:    { label: 'V-shape', description: 'The dip has no flat bottom, as in a grazing eclipse of two stars' },
+    duration:  { label: 'Duration vs stellar density', description: 'The transit lasts longer than a central transit could around a star of the catalog mass and radius, so the eclipsed star is larger or less dense' },
+};
+
+// Points measured in each depth at least; a test with fewer is skipped.
+const MIN_POINTS = 3;
+// The error of a median of white noise, relative to that of a mean.
+const MEDIAN_ERROR = 1.2533;
+// Few transits make odd and even depths noisier than white noise, so they must differ by more
+// than the usual three sigma. A single transit of either parity is too exposed to red noise and
+// to the detrending under it to compare, so each parity needs this many.
+const ODD_EVEN_SIGMA = 4;
+const ODD_EVEN_TRANSITS = 2;
+// Kepler's detection threshold, which a dip at any phase away from the transit must reach. With
+// a transit or two in the baseline each box holds a single stretch of the light curve, whose
+// spots, flares and momentum-dump ramps put dips and bumps of several sigma at some phases; as
+// in the Robovetter, the dip must also stand this far above the largest bump and the next
+// largest dip, and be seen on this many orbits.
+const SECONDARY_SIGMA = 7.1;
+const SECONDARY_MARGIN = 2;
+const SECONDARY_ORBITS = 2;
+// Outside ingress and egress, a flat-bottomed, limb-darkened transit is about as deep in the
+// outer half of its duration as in the inner half; a V-shaped one less than half as deep.
+const V_SHAPE_RATIO = 0.5;
+const V_SHAPE_SIGMA = 3;
+// A transit shorter than this many cadences is smeared into a V by the integration itself.
+const V_SHAPE_CADENCES = 4;
+// Longest transit, as a multiple of a central transit of a planet of the measured radius ratio,
+// that the star could host; the catalog's stellar errors stay well within this.
+const DURATION_LIMIT = 1.5;
+// Largest relative difference between the catalog semi-major axis and the one Kepler's third
+// law gives for the catalog period and stellar mass at which the duration test still runs.
+const KEPLER_TOLERANCE = 0.25;
+
+// The middle value (the upper one of an even count), by quickselect: depths take thousands of
+// medians per light curve.
+function median(values) {
+    const a = Float64Array.from(values);
+    const k = a.length >> 1;
+    let lo = 0, hi = a.length - 1;
+    while (lo < hi) {
+        const pivot = a[(lo + hi) >> 1];
+        let i = lo, j = hi;
+        while (i <= j) {
+            while (a[i] < pivot) i++;
+            while (a[j] > pivot) j--;
+            if (i <= j) {
+                const swap = a[i];
+                a[i++] = a[j];
+                a[j--] = swap;
+            }
+        }
+        if (k <= j) hi = j;
+        else if (k >= i) lo = i;
+        else break;
+    }
+    return a[k];
+}
+
+// Robust standard deviation: 1.4826 × the median absolute deviation.
+const robustScatter = (values, centre = median(values)) => 1.4826 * median(values.map(v => Math.abs(v - centre)));
+
+// The star { mass, radius } (solar units) the duration test holds a planet's transit to, or null
+// when the catalog's stellar mass or radius is missing or imputed, or the mass and period put
+// the planet at a semi-major axis the catalog disagrees with: the transit is simulated from
+// `pl_orbsmax`, so the test would then measure the catalog rather than the transit.
+export function vettingStar(planet) {
+    const { st_mass: mass, st_rad: radius, pl_orbper: period, pl_orbsmax: semiMajorAxis, imputed = {} } = planet;
+    if (!(mass > 0) || !(radius > 0) || imputed.st_mass || imputed.st_rad) return null;
+    if (semiMajorAxis > 0) {
+        const kepler = Math.cbrt(mass * Math.pow(period / 365.25, 2));
+        if (Math.abs(semiMajorAxis / kepler - 1) > KEPLER_TOLERANCE) return null;
+    }
+    return { mass, radius };
+}
+
+// Vets a transit with ephemeris { period, epoch, duration } in a detrended light curve around a
+// star { mass, radius } (see vettingStar; null skips the duration test). Returns
+// { flags, tests, redNoise }: each test's measurements, or null when skipped, and the ids of
+// the tests that flag it.
+export function vetTransit(time, flux, { period, epoch, duration }, star) {
+    const ephemeris = { period, epoch, duration };
+    const fromMid = Float64Array.from(time, t => t - epoch - Math.round((t - epoch) / period) * period);
+    // Integration over a cadence smears a transit shorter than one across its neighbours.
+    const cadence = median(time.slice(1).map((t, i) => t - time[i]));
+    const edge = duration / 2 + Math.max(duration / 2, cadence);
+    const where = (inside) => {
+        const values = [];
+        for (let i = 0; i < flux.length; i++) if (inside(i)) values.push(flux[i]);
+        return values;
+    };
+    const outside = where(i => Math.abs(fromMid[i]) > edge);
+    const skipped = { flags: [], tests: { oddEven: null, secondary: null, vShape: null, duration: durationTest(ephemeris, star) } };
+    if (outside.length < MIN_POINTS) return skipped;
+    const level = median(outside);
+    const scatter = robustScatter(outside, level);
+
+    const boxes = phaseBoxes(time, flux, ephemeris, edge, level, scatter);
+    if (!boxes) return skipped;
+    const redNoise = Math.max(1, robustScatter(boxes.map(box => box.sigma)));
+
+    // Depth of the flux `values`, or of the points selected by `inside(i)`:
+    // { depth, error, points }, or null.
+    const depthOf = (values) => {
+        if (values.length < MIN_POINTS) return null;
+        return { depth: level - median(values), error: redNoise * MEDIAN_ERROR * scatter / Math.sqrt(values.length), points: values.length };
+    };
+    const depthWhere = (inside) => depthOf(where(inside));
+
+    const inner = depthWhere(i => Math.abs(fromMid[i]) < duration / 4);
+    const tests = {
+        oddEven: oddEvenTest(time, flux, fromMid, ephemeris, depthOf),
+        secondary: secondaryTest(boxes, redNoise, duration / period),
+        vShape: duration < V_SHAPE_CADENCES * cadence ? null : vShapeTest(fromMid, duration, inner, depthWhere),
+        duration: durationTest(ephemeris, star, inner?.depth),
+    };
+    return { flags: Object.keys(tests).filter(id => tests[id]?.flagged), tests, redNoise };
+}
+
+// Boxes of the transit's duration at phases at least `edge` days from mid-transit, slid in
+// steps of a quarter duration: { depth, phase, sigma, orbits } with the median depth, its
+// significance under white noise and the number of orbits the box's points span. Null when the
+// orbit is too short to leave room for them. Long periods make for many bins, most of them
+// empty, so points are grouped by bin in flat arrays.
+function phaseBoxes(time, flux, { period, epoch, duration }, edge, level, scatter) {
+    const width = duration / period;
+    const bins = Math.ceil(4 / width);
+    if (bins < 16) return null;
+    const binOf = new Int32Array(time.length);
+    const offsets = new Int32Array(bins + 1);
+    const firstOrbit = new Float64Array(bins).fill(Infinity), lastOrbit = new Float64Array(bins).fill(-Infinity);
+    for (let i = 0; i < time.length; i++) {
+        const phase = (time[i] - epoch) / period;
+        const bin = binOf[i] = Math.floor((phase - Math.floor(phase)) * bins);
+        offsets[bin + 1]++;
+        firstOrbit[bin] = Math.min(firstOrbit[bin], Math.floor(phase));
+        lastOrbit[bin] = Math.max(lastOrbit[bin], Math.floor(phase));
+    }
+    for (let bin = 0; bin < bins; bin++) offsets[bin + 1] += offsets[bin];
+    const grouped = new Float64Array(time.length);
+    const filled = offsets.slice(0, bins);
+    for (let i = 0; i < time.length; i++) grouped[filled[binOf[i]]++] = flux[i];
+
+    const boxes = [];
+    const first = Math.ceil(edge / period * bins), last = Math.floor((1 - edge / period) * bins) - 4;
+    for (let start = first; start <= last; start++) {
+        const points = offsets[start + 4] - offsets[start];
+        if (points < MIN_POINTS) continue;
+        const depth = level - median(grouped.subarray(offsets[start], offsets[start + 4]));
+        const sigma = depth / (MEDIAN_ERROR * scatter / Math.sqrt(points));
+        let earliest = Infinity, latest = -Infinity;
+        for (let bin = start; bin < start + 4; bin++) {
+            earliest = Math.min(earliest, firstOrbit[bin]);
+            latest = Math.max(latest, lastOrbit[bin]);
+        }
+        const orbits = latest - earliest + 1;
+        boxes.push({ depth, phase: (start + 2) / bins, sigma, orbits });
+    }
+    return boxes.length >= MIN_POINTS ? boxes : null;
+}
+
+// Depths of the odd- and even-numbered transits over the central half of the duration. The
+// points of one transit share its red noise and the detrending under it, so each parity's error
+// is at least the scatter of its transits' own depths, pooled over both parities, over the
+// square root of their number.
+function oddEvenTest(time, flux, fromMid, { period, epoch, duration }, depthOf) {
+    const transits = new Map();
+    time.forEach((t, i) => {
+        if (Math.abs(fromMid[i]) >= duration / 4) return;
+        const number = Math.round((t - epoch) / period);
+        if (!transits.has(number)) transits.set(number, []);
+        transits.get(number).push(flux[i]);
+    });
+    const depths = [[], []];
+    transits.forEach((values, number) => {
+        const transit = depthOf(values);
+        if (transit) depths[Math.abs(number) % 2].push(transit.depth);
+    });
+    if (depths.some(parity => parity.length < ODD_EVEN_TRANSITS)) return null;
+    const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const squares = depths.flatMap(parity => parity.map(d => (d - mean(parity)) ** 2));
+    const transitScatter = Math.sqrt(squares.reduce((sum, v) => sum + v, 0) / (squares.length - 2));
+
+    const [even, odd] = [0, 1].map(parity => {
+        const values = [...transits].flatMap(([number, points]) => Math.abs(number) % 2 === parity ? points : []);
+        const all = depthOf(values);
+        return all && { ...all, error: Math.max(all.error, transitScatter / Math.sqrt(depths[parity].length)) };
+    });
+    if (!odd || !even) return null;
+    const sigma = Math.abs(odd.depth - even.depth) / Math.hypot(odd.error, even.error);
+    return { oddDepth: odd.depth, evenDepth: even.depth, sigma, flagged: sigma > ODD_EVEN_SIGMA };
+}
+
+// The most significant of the boxes away from the transit seen on enough orbits, against the
+// most significant bump and the most significant dip clear of it. `width` is a box's width in
+// phase. Null when no box is seen on enough orbits.
+function secondaryTest(boxes, redNoise, width) {
+    let best = null, bump = -Infinity;
+    boxes.forEach(box => {
+        if (box.orbits >= SECONDARY_ORBITS && (!best || box.sigma > best.sigma)) best = box;
+        bump = Math.max(bump, -box.sigma);
+    });
+    if (!best) return null;
+    const next = boxes.reduce((max, box) => Math.abs(box.phase - best.phase) > width ? Math.max(max, box.sigma) : max, 0);
+    const sigma = best.sigma / redNoise;
+    const margin = sigma - Math.max(bump, next) / redNoise;
+    return { depth: best.depth, phase: best.phase, sigma, margin, flagged: sigma > SECONDARY_SIGMA && margin > SECONDARY_MARGIN };
+}
+
+// Depth just outside the middle half of the transit relative to inside it. Ingress and egress
+// are left out, their length estimated from the radius ratio √depth, so that large planets are
+// not mistaken for V-shaped eclipses. A transit longer than the detrending window lies under a
+// single straight stretch of the spline, which bends its bottom, so its shape is not judged.
+function vShapeTest(fromMid, duration, inner, depthWhere) {
+    if (duration > detrendWindow({ duration })) return null;
+    if (!inner || !(inner.depth > 0)) return null;
+    const radiusRatio = Math.sqrt(inner.depth);
+    const shoulder = duration / 2 * (1 - 2 * radiusRatio / (1 + radiusRatio));
+    if (shoulder <= duration / 4) return null;
+    const outer = depthWhere(i => Math.abs(fromMid[i]) >= duration / 4 && Math.abs(fromMid[i]) < shoulder);
+    if (!outer) return null;
+    // Only a transit detected in the middle can have its shape judged.
+    const significant = inner.depth / inner.error > V_SHAPE_SIGMA;
+    const sigma = (V_SHAPE_RATIO * inner.depth - outer.depth) / Math.hypot(V_SHAPE_RATIO * inner.error, outer.error);
+    return { ratio: outer.depth / inner.depth, sigma, flagged: significant && sigma > V_SHAPE_SIGMA };
+}
+
+// The transit's duration against a central one's for the star, lengthened by the radius ratio
+// √depth since the planet's limbs cross the star's too.
+function durationTest({ period, duration }, star, depth = 0) {
+    if (!star) return null;
+    const expected = centralDuration(period, star) * (1 + Math.sqrt(Math.max(0, depth)));
+    const ratio = duration / expected;
+    return { expected, ratio, flagged: ratio > DURATION_LIMIT };
+}